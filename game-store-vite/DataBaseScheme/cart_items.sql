@@ -4,6 +4,8 @@ create table public.cart_items (
   game_id bigint null,
   game_key_id bigint null,
   user_id bigint null,
+  reserved_until timestamp with time zone null,
+  reservation_extended boolean not null default false,
   constraint cart_items_pkey primary key (id),
   constraint cart_items_game_id_fkey foreign KEY (game_id) references games (id),
   constraint cart_items_game_key_id_fkey foreign KEY (game_key_id) references game_keys (id),
@@ -4,7 +4,12 @@ create table public.game_keys (
   key text null default ''::text,
   game_id bigint null,
   price double precision null,
+  original_price double precision null,
   key_type text null,
+  status text not null default 'available'::text,
   constraint game_keys_pkey primary key (id),
-  constraint game_keys_game_id_fkey foreign KEY (game_id) references games (id)
+  constraint game_keys_game_id_fkey foreign KEY (game_id) references games (id),
+  constraint game_keys_status_check check (
+    status = any (array['available'::text, 'reserved'::text, 'sold'::text, 'revoked'::text])
+  )
 ) TABLESPACE pg_default;
\ No newline at end of file
@@ -5,6 +5,7 @@ create table public.games (
   description text null,
   cover text null,
   category_id bigint null,
+  low_stock_threshold integer not null default 5,
   constraint games_pkey primary key (id),
   constraint games_category_id_fkey foreign KEY (category_id) references categories (id)
 ) TABLESPACE pg_default;
\ No newline at end of file
@@ -0,0 +1,14 @@
+create table public.notifications (
+  id bigint generated by default as identity not null,
+  created_at timestamp with time zone not null default now(),
+  user_id bigint not null,
+  game_id bigint null,
+  type text not null,
+  message text not null,
+  price double precision null,
+  read_at timestamp with time zone null,
+  constraint notifications_pkey primary key (id),
+  constraint notifications_user_id_fkey foreign KEY (user_id) references users (id),
+  constraint notifications_game_id_fkey foreign KEY (game_id) references games (id),
+  constraint notifications_type_check check (type = any (array['price_drop'::text, 'back_in_stock'::text]))
+) TABLESPACE pg_default;
\ No newline at end of file
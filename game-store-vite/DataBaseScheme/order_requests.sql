@@ -0,0 +1,18 @@
+create table public.order_requests (
+  id bigint generated by default as identity not null,
+  created_at timestamp with time zone not null default now(),
+  order_id bigint not null,
+  user_id bigint null,
+  type text not null,
+  reason text null,
+  status text not null default 'pending'::text,
+  staff_note text null,
+  processed_at timestamp with time zone null,
+  processed_by bigint null,
+  constraint order_requests_pkey primary key (id),
+  constraint order_requests_order_id_fkey foreign KEY (order_id) references "order" (id),
+  constraint order_requests_user_id_fkey foreign KEY (user_id) references users (id),
+  constraint order_requests_processed_by_fkey foreign KEY (processed_by) references users (id),
+  constraint order_requests_type_check check (type = any (array['cancellation'::text, 'refund'::text])),
+  constraint order_requests_status_check check (status = any (array['pending'::text, 'approved'::text, 'denied'::text]))
+) TABLESPACE pg_default;
@@ -3,6 +3,15 @@ create table public.order (
   total_price double precision not null,
   user_id bigint null,
   comment text null,
+  payment_provider text null,
+  payment_id text null,
+  tax_label text null,
+  tax_rate double precision null,
+  tax_amount double precision null,
+  status text not null default 'pending'::text,
   constraint order_pkey primary key (id),
-  constraint order_user_id_fkey foreign KEY (user_id) references users (id)
+  constraint order_user_id_fkey foreign KEY (user_id) references users (id),
+  constraint order_status_check check (
+    status = any (array['pending'::text, 'processing'::text, 'completed'::text, 'cancelled'::text, 'refunded'::text])
+  )
 ) TABLESPACE pg_default;
\ No newline at end of file
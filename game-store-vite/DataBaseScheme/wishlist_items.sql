@@ -0,0 +1,18 @@
+create table public.wishlist_items (
+  id bigint generated by default as identity not null,
+  created_at timestamp with time zone not null default now(),
+  user_id bigint not null,
+  game_id bigint not null,
+  target_price double precision null,
+  notify_price_drop boolean not null default true,
+  notify_back_in_stock boolean not null default true,
+  notify_in_app boolean not null default true,
+  notify_email boolean not null default false,
+  last_notified_price double precision null,
+  last_notified_at timestamp with time zone null,
+  constraint wishlist_items_pkey primary key (id),
+  constraint wishlist_items_user_game_key unique (user_id, game_id),
+  constraint wishlist_items_user_id_fkey foreign KEY (user_id) references users (id),
+  constraint wishlist_items_game_id_fkey foreign KEY (game_id) references games (id),
+  constraint wishlist_items_target_price_check check (target_price is null or target_price >= 0)
+) TABLESPACE pg_default;
\ No newline at end of file
@@ -1,6 +1,8 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { AuthProvider } from './contexts/AuthContext';
 import { CartProvider } from './contexts/CartContext';
+import { WishlistProvider } from './contexts/WishlistContext';
+import { SettingsProvider } from './contexts/SettingsContext';
 import PublicLayout from './layouts/PublicLayout';
 import ConsoleLayout from './layouts/ConsoleLayout';
 import HomePage from './pages/HomePage';
@@ -13,44 +15,60 @@ import StaffDashboard from './pages/StaffDashboard';
 import StaffCategoriesPage from './pages/StaffCategoriesPage';
 import StaffGamesPage from './pages/StaffGamesPage';
 import StaffGameKeysPage from './pages/StaffGameKeysPage';
+import StaffUsersPage from './pages/StaffUsersPage';
+import StaffOrdersPage from './pages/StaffOrdersPage';
+import StaffSettingsPage from './pages/StaffSettingsPage';
 import CheckoutPage from './pages/CheckoutPage';
+import OrderPage from './pages/OrderPage';
+import InvoicePage from './pages/InvoicePage';
+import SearchPage from './pages/SearchPage';
 import CartPage from './pages/CartPage';
 import ProfilePage from './pages/ProfilePage';
 function App() {
   return (
-    <AuthProvider>
-      <CartProvider>
-        <Router>
-          <div>
-            <Routes>
-              {/* Public Routes with PublicLayout */}
-              <Route path="/" element={<PublicLayout />}>
-                <Route index element={<HomePage />} />
-                <Route path="games" element={<AllGamesPage />} />
-                <Route path="login" element={<LoginPage />} />
-                <Route path="register" element={<RegistrationPage />} />
-                <Route path="game/:gameId" element={<GameDetailPage />} />
-                <Route path="cart" element={<CartPage />} />
-                <Route path="checkout" element={<CheckoutPage />} />
-                <Route path="profile" element={<ProfilePage />} />
-              </Route>
+    <SettingsProvider>
+      <AuthProvider>
+        <CartProvider>
+          <WishlistProvider>
+            <Router>
+              <div>
+                <Routes>
+                  {/* Public Routes with PublicLayout */}
+                  <Route path="/" element={<PublicLayout />}>
+                    <Route index element={<HomePage />} />
+                    <Route path="games" element={<AllGamesPage />} />
+                    <Route path="search" element={<SearchPage />} />
+                    <Route path="login" element={<LoginPage />} />
+                    <Route path="register" element={<RegistrationPage />} />
+                    <Route path="game/:gameId" element={<GameDetailPage />} />
+                    <Route path="cart" element={<CartPage />} />
+                    <Route path="checkout" element={<CheckoutPage />} />
+                    <Route path="orders/:orderId" element={<OrderPage />} />
+                    <Route path="orders/:orderId/invoice" element={<InvoicePage />} />
+                    <Route path="profile" element={<ProfilePage />} />
+                  </Route>
 
-              {/* Staff Routes with ConsoleLayout - Protected */}
-              <Route path="/staff" element={
-                <StaffRoute>
-                  <ConsoleLayout />
-                </StaffRoute>
-              }>
-                <Route index element={<StaffDashboard />} />
-                <Route path="categories" element={<StaffCategoriesPage />} />
-                <Route path="games" element={<StaffGamesPage />} />
-                <Route path="game-keys" element={<StaffGameKeysPage />} />
-              </Route>
-            </Routes>
-          </div>
-        </Router>
-      </CartProvider>
-    </AuthProvider>
+                  {/* Staff Routes with ConsoleLayout - Protected */}
+                  <Route path="/staff" element={
+                    <StaffRoute>
+                      <ConsoleLayout />
+                    </StaffRoute>
+                  }>
+                    <Route index element={<StaffDashboard />} />
+                    <Route path="categories" element={<StaffCategoriesPage />} />
+                    <Route path="games" element={<StaffGamesPage />} />
+                    <Route path="game-keys" element={<StaffGameKeysPage />} />
+                    <Route path="users" element={<StaffUsersPage />} />
+                    <Route path="orders" element={<StaffOrdersPage />} />
+                    <Route path="settings" element={<StaffSettingsPage />} />
+                  </Route>
+                </Routes>
+              </div>
+            </Router>
+          </WishlistProvider>
+        </CartProvider>
+      </AuthProvider>
+    </SettingsProvider>
   )
 }
 
@@ -0,0 +1,172 @@
+// Faceted filter panel for the game catalog: categories, platforms, price range and availability
+
+import { useState, useEffect } from 'react';
+import { getPlatformLabel, hasActiveFilters, EMPTY_CATALOG_FILTERS } from '../utils/catalogFilterUtils';
+
+const getCategoryIcon = (categoryName) => {
+  const name = categoryName.toLowerCase();
+  if (name.includes('shooter') || name.includes('fps')) return '🔫';
+  if (name.includes('action')) return '⚡';
+  if (name.includes('fighting') || name.includes('combat')) return '🥊';
+  if (name.includes('adventure')) return '🗺️';
+  if (name.includes('rpg') || name.includes('role')) return '⚔️';
+  if (name.includes('strategy')) return '🧠';
+  if (name.includes('sports')) return '⚽';
+  if (name.includes('racing') || name.includes('driving')) return '🏎️';
+  if (name.includes('puzzle')) return '🧩';
+  if (name.includes('simulation')) return '🛠️';
+  if (name.includes('horror') || name.includes('survival')) return '👻';
+  if (name.includes('fantasy') || name.includes('magic')) return '🧙';
+  if (name.includes('sci-fi') || name.includes('space')) return '🚀';
+  if (name.includes('indie')) return '💎';
+  if (name.includes('casual')) return '🎲';
+  return '🎮'; // Default game icon
+};
+
+const toggleValue = (list, value) => {
+  return list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+};
+
+const FacetOption = ({ checked, onChange, label, count }) => (
+  <label className={`flex items-center justify-between gap-2 py-1 text-sm cursor-pointer ${count === 0 && !checked ? 'text-gray-400' : 'text-gray-700'}`}>
+    <span className="flex items-center gap-2">
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={onChange}
+        className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+      />
+      {label}
+    </span>
+    <span className="text-xs text-gray-500">{count}</span>
+  </label>
+);
+
+const CatalogFilters = ({ categories, filters, counts, onChange }) => {
+  // Price inputs apply on submit or blur, so typing does not refilter on every keystroke
+  const [priceInput, setPriceInput] = useState({ min: '', max: '' });
+
+  useEffect(() => {
+    setPriceInput({
+      min: filters.minPrice != null ? String(filters.minPrice) : '',
+      max: filters.maxPrice != null ? String(filters.maxPrice) : ''
+    });
+  }, [filters.minPrice, filters.maxPrice]);
+
+  const applyPrice = (e) => {
+    e?.preventDefault();
+    const min = priceInput.min === '' ? null : parseFloat(priceInput.min);
+    const max = priceInput.max === '' ? null : parseFloat(priceInput.max);
+    const minPrice = min == null || isNaN(min) ? null : min;
+    const maxPrice = max == null || isNaN(max) ? null : max;
+    if (minPrice === filters.minPrice && maxPrice === filters.maxPrice) return;
+    // Swap a reversed range instead of showing nothing
+    if (minPrice != null && maxPrice != null && minPrice > maxPrice) {
+      onChange({ ...filters, minPrice: maxPrice, maxPrice: minPrice });
+    } else {
+      onChange({ ...filters, minPrice, maxPrice });
+    }
+  };
+
+  // Platforms present in the catalog, plus any selected through the URL
+  const platforms = [...new Set([...Object.keys(counts.platforms), ...filters.platforms])]
+    .sort((a, b) => getPlatformLabel(a).localeCompare(getPlatformLabel(b)));
+
+  return (
+    <div className="bg-white p-6 rounded-2xl shadow-lg space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-800">Filters</h3>
+        {hasActiveFilters(filters) && (
+          <button
+            onClick={() => onChange(EMPTY_CATALOG_FILTERS)}
+            className="text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+          >
+            Clear all
+          </button>
+        )}
+      </div>
+
+      {/* Availability */}
+      <div>
+        <h4 className="text-sm font-semibold text-gray-800 mb-2">Availability</h4>
+        <FacetOption
+          checked={filters.inStock}
+          onChange={() => onChange({ ...filters, inStock: !filters.inStock })}
+          label="In stock only"
+          count={counts.inStock}
+        />
+        <FacetOption
+          checked={filters.onSale}
+          onChange={() => onChange({ ...filters, onSale: !filters.onSale })}
+          label="On sale only"
+          count={counts.onSale}
+        />
+      </div>
+
+      {/* Categories */}
+      {categories.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-800 mb-2">Categories</h4>
+          {categories.map(category => (
+            <FacetOption
+              key={category.id}
+              checked={filters.categories.includes(category.id)}
+              onChange={() => onChange({ ...filters, categories: toggleValue(filters.categories, category.id) })}
+              label={<>{getCategoryIcon(category.name || '')} {category.name}</>}
+              count={counts.categories[category.id] || 0}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Platforms */}
+      {platforms.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-800 mb-2">Platform</h4>
+          {platforms.map(platform => (
+            <FacetOption
+              key={platform}
+              checked={filters.platforms.includes(platform)}
+              onChange={() => onChange({ ...filters, platforms: toggleValue(filters.platforms, platform) })}
+              label={getPlatformLabel(platform)}
+              count={counts.platforms[platform] || 0}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Price */}
+      <form onSubmit={applyPrice}>
+        <h4 className="text-sm font-semibold text-gray-800 mb-2">Price</h4>
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={priceInput.min}
+            onChange={(e) => setPriceInput(prev => ({ ...prev, min: e.target.value }))}
+            onBlur={applyPrice}
+            placeholder="Min"
+            aria-label="Minimum price"
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <span className="text-gray-400">–</span>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={priceInput.max}
+            onChange={(e) => setPriceInput(prev => ({ ...prev, max: e.target.value }))}
+            onBlur={applyPrice}
+            placeholder="Max"
+            aria-label="Maximum price"
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+        </div>
+        <button type="submit" className="sr-only">Apply price</button>
+      </form>
+    </div>
+  );
+};
+
+export default CatalogFilters;
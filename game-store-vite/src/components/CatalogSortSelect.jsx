@@ -0,0 +1,21 @@
+// Sort order dropdown for game listings
+
+import { CATALOG_SORTS } from '../utils/catalogSortUtils';
+
+const CatalogSortSelect = ({ value, onChange, id = 'catalog-sort' }) => (
+  <div className="flex items-center gap-2">
+    <label htmlFor={id} className="text-sm font-medium text-gray-600 whitespace-nowrap">Sort by</label>
+    <select
+      id={id}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+    >
+      {CATALOG_SORTS.map(sort => (
+        <option key={sort.value} value={sort.value}>{sort.label}</option>
+      ))}
+    </select>
+  </div>
+);
+
+export default CatalogSortSelect;
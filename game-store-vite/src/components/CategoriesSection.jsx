@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { apiGet } from '../utils/apiUtils';
+import { getCategoryImageUrl } from '../utils/imageUtils';
 
 const CategoriesSection = () => {
   const [categories, setCategories] = useState([]);
@@ -47,10 +48,6 @@ const CategoriesSection = () => {
     fetchCategories();
   }, []);
 
-  const getImageUrl = (cover) => {
-    return `https://s3.tebi.io/game-key-store/categories/${cover}`;
-  };
-
   if (loading) {
     return (
       <section className="py-20 bg-gray-50">
@@ -104,7 +101,7 @@ const CategoriesSection = () => {
               {/* Category Image */}
               <div className="h-44 overflow-hidden relative bg-gradient-to-br from-indigo-400 via-purple-500 to-purple-600">
                 <img 
-                  src={getImageUrl(category.cover)} 
+                  src={getCategoryImageUrl(category.cover)} 
                   alt={category.name}
                   className="w-full h-full object-cover transition-transform duration-300 ease-in-out group-hover:scale-105"
                   onError={(e) => {
@@ -1,5 +1,6 @@
 import { useState, useRef } from 'react';
 import { uploadFile, deleteFile } from '../utils/apiUtils';
+import { getImageUrl } from '../utils/imageUtils';
 
 /**
  * CoverUpload Component
@@ -219,12 +220,7 @@ const CoverUpload = ({
     }
   };
 
-  const getImageUrl = (cover) => {
-    if (!cover) return null;
-    return `https://s3.tebi.io/game-key-store/${prefix}/${cover}`;
-  };
-
-  const currentImageUrl = getImageUrl(currentCover);
+  const currentImageUrl = getImageUrl(prefix, currentCover) || null;
   const displayImage = preview || currentImageUrl;
 
   // Check if any operation is in progress
@@ -0,0 +1,308 @@
+// Spreadsheet (CSV/TSV) importer for game keys with a validation preview
+
+import { useState } from 'react';
+import { apiPost, findExistingGameKeys } from '../utils/apiUtils';
+import { formatPrice } from '../utils/moneyUtils';
+import { parseKeyFile, validateImportRows } from '../utils/gameKeyUtils';
+
+const GameKeyImport = ({ games, onImported, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  // Rows before the inventory check, kept so a failed check can be retried
+  const [uncheckedRows, setUncheckedRows] = useState([]);
+  const [inventoryChecked, setInventoryChecked] = useState(false);
+  const [results, setResults] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const invalidCount = rows.length - validRows.length;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setError('');
+    setResults(null);
+    setRows([]);
+    setUncheckedRows([]);
+    setInventoryChecked(false);
+    setFileName(file.name);
+
+    try {
+      const text = await file.text();
+      const { rows: parsedRows, missingColumns } = parseKeyFile(text);
+
+      if (missingColumns.length > 0) {
+        setError(`Missing required column(s): ${missingColumns.join(', ')}. Expected headers: game, key, price, key_type.`);
+        return;
+      }
+      if (parsedRows.length === 0) {
+        setError('The file has no data rows.');
+        return;
+      }
+
+      const validatedRows = validateImportRows(parsedRows, games);
+      setUncheckedRows(validatedRows);
+      await checkInventory(validatedRows);
+    } catch (error) {
+      console.error('Error reading key file:', error);
+      setError(error.message || 'Failed to read file');
+    } finally {
+      // Allow picking the same file again after fixing it
+      e.target.value = '';
+    }
+  };
+
+  // Ask the backend which of the file's keys are already in inventory.
+  // Until this succeeds nothing can be imported, so duplicates can't slip through and be sold twice.
+  const checkInventory = async (validatedRows) => {
+    const keys = validatedRows.filter(row => row.key).map(row => row.key);
+    if (keys.length === 0) {
+      setRows(validatedRows);
+      setInventoryChecked(true);
+      return;
+    }
+
+    try {
+      setChecking(true);
+      setError('');
+      const existing = new Set((await findExistingGameKeys(keys)).map(key => String(key).toUpperCase()));
+      setRows(validatedRows.map(row => (
+        row.key && existing.has(row.key.toUpperCase())
+          ? { ...row, errors: [...row.errors, 'Already in inventory'] }
+          : row
+      )));
+      setInventoryChecked(true);
+    } catch (error) {
+      console.error('Error checking existing keys:', error);
+      setError(`Could not check keys against inventory: ${error.message}. Retry the check before importing.`);
+      setRows(validatedRows);
+      setInventoryChecked(false);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (validRows.length === 0 || !inventoryChecked) return;
+
+    try {
+      setImporting(true);
+      setError('');
+      const keys = validRows.map(row => ({
+        game_id: row.game_id,
+        key: row.key,
+        price: row.price,
+        key_type: row.key_type
+      }));
+      const response = await apiPost('admin/game-keys/bulk', { keys });
+
+      // Match per-key results back to file lines; without them every submitted row counts as added
+      const resultsByKey = new Map((response.results || []).map(result => [result.key, result]));
+      setResults(validRows.map(row => {
+        const result = resultsByKey.get(row.key);
+        return {
+          line: row.line,
+          key: row.key,
+          game_name: row.game_name,
+          success: result ? result.success !== false : true,
+          message: result?.error || result?.message || ''
+        };
+      }));
+      onImported();
+    } catch (error) {
+      console.error('Error importing keys:', error);
+      setError(error.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const reset = () => {
+    setFileName('');
+    setRows([]);
+    setUncheckedRows([]);
+    setInventoryChecked(false);
+    setResults(null);
+    setError('');
+  };
+
+  const succeeded = results ? results.filter(result => result.success).length : 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h2 className="text-xl font-semibold">Import Keys from Spreadsheet</h2>
+          <p className="text-sm text-gray-500">
+            CSV or TSV with a header row: <span className="font-mono">game, key, price, key_type</span>. Games can be given by ID or exact name.
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700 text-2xl font-bold"
+        >
+          ×
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded flex items-center justify-between gap-3">
+          <p>{error}</p>
+          {rows.length > 0 && !inventoryChecked && !checking && !results && (
+            <button
+              type="button"
+              onClick={() => checkInventory(uncheckedRows)}
+              className="px-3 py-1 text-sm font-medium bg-white border border-red-300 rounded hover:bg-red-50 whitespace-nowrap"
+            >
+              Retry check
+            </button>
+          )}
+        </div>
+      )}
+
+      {!results && (
+        <div className="mb-4">
+          <label className="inline-block px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 cursor-pointer">
+            {fileName ? 'Choose another file' : 'Choose file'}
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+          </label>
+          {fileName && <span className="ml-3 text-sm text-gray-600">{fileName}</span>}
+          {checking && <span className="ml-3 text-sm text-gray-500">Checking inventory...</span>}
+        </div>
+      )}
+
+      {/* Validation Preview */}
+      {rows.length > 0 && !results && (
+        <>
+          <div className="flex flex-wrap gap-3 mb-4 text-sm">
+            <span className="inline-flex px-2 py-1 rounded-full bg-green-100 text-green-800 font-semibold">
+              {validRows.length} valid
+            </span>
+            <span className={`inline-flex px-2 py-1 rounded-full font-semibold ${invalidCount > 0 ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-600'}`}>
+              {invalidCount} with problems (will be skipped)
+            </span>
+          </div>
+
+          <div className="overflow-x-auto max-h-96 overflow-y-auto border border-gray-200 rounded-lg mb-4">
+            <table className="w-full">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Line</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Game</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Key</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Key Type</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rows.map(row => (
+                  <tr key={row.line} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                    <td className="px-4 py-2 text-sm text-gray-500">{row.line}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{row.game_name || row.game || '—'}</td>
+                    <td className="px-4 py-2 text-sm font-mono text-gray-900">{row.key || '—'}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{row.price != null ? formatPrice(row.price) : '—'}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{row.key_type || '—'}</td>
+                    <td className="px-4 py-2 text-sm">
+                      {row.errors.length === 0 ? (
+                        <span className="text-green-700">OK</span>
+                      ) : (
+                        <span className="text-red-700">{row.errors.join('; ')}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={reset}
+              className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              Clear
+            </button>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={importing || checking || !inventoryChecked || validRows.length === 0}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {importing ? 'Importing...' : `Import ${validRows.length} Valid Key${validRows.length === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        </>
+      )}
+
+      {/* Import Report */}
+      {results && (
+        <>
+          <div className={`mb-4 px-4 py-3 rounded border ${succeeded === results.length ? 'bg-green-100 border-green-400 text-green-700' : 'bg-yellow-100 border-yellow-400 text-yellow-800'}`}>
+            <p>
+              Imported {succeeded} of {results.length} key{results.length === 1 ? '' : 's'}
+              {invalidCount > 0 && `; ${invalidCount} row${invalidCount === 1 ? ' was' : 's were'} skipped during validation`}.
+            </p>
+          </div>
+
+          <div className="overflow-x-auto max-h-96 overflow-y-auto border border-gray-200 rounded-lg mb-4">
+            <table className="w-full">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Line</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Game</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Key</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {results.map(result => (
+                  <tr key={result.line} className={result.success ? '' : 'bg-red-50'}>
+                    <td className="px-4 py-2 text-sm text-gray-500">{result.line}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{result.game_name}</td>
+                    <td className="px-4 py-2 text-sm font-mono text-gray-900">{result.key}</td>
+                    <td className="px-4 py-2 text-sm">
+                      {result.success ? (
+                        <span className="text-green-700">Added</span>
+                      ) : (
+                        <span className="text-red-700">{result.message || 'Failed'}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={reset}
+              className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              Import Another File
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+            >
+              Done
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GameKeyImport;
@@ -2,10 +2,14 @@ import { Link } from 'react-router-dom';
 import { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { useCart } from '../contexts/CartContext';
+import { useSettings } from '../contexts/SettingsContext';
+import SearchBox from './SearchBox';
+import NotificationBell from './NotificationBell';
 
 const Header = () => {
   const { authenticated, user, isStaff, logout, loading } = useAuth();
   const { cartCount } = useCart();
+  const { settings } = useSettings();
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
   const dropdownRef = useRef(null);
 
@@ -35,11 +39,11 @@ const Header = () => {
   // Show loading state while auth is initializing
   if (loading) {
     return (
-      <header className="bg-gradient-to-br from-indigo-500 to-purple-600 shadow-lg sticky top-0 z-50">
+      <header className="bg-gradient-to-br from-indigo-500 to-purple-600 shadow-lg sticky top-0 z-50 print:hidden">
         <div className="max-w-6xl mx-auto px-5 flex justify-between items-center h-[70px]">
           <div className="logo">
             <Link to="/" className="no-underline">
-              <h1 className="text-white m-0 text-2xl font-bold">GameStore</h1>
+              <h1 className="text-white m-0 text-2xl font-bold">{settings.store_name}</h1>
             </Link>
           </div>
           <nav className="hidden md:flex gap-8 items-center">
@@ -55,11 +59,11 @@ const Header = () => {
   }
 
   return (
-    <header className="bg-gradient-to-br from-indigo-500 to-purple-600 shadow-lg sticky top-0 z-50">
+    <header className="bg-gradient-to-br from-indigo-500 to-purple-600 shadow-lg sticky top-0 z-50 print:hidden">
       <div className="max-w-6xl mx-auto px-5 flex justify-between items-center h-[70px]">
         <div className="logo">
           <Link to="/" className="no-underline">
-            <h1 className="text-white m-0 text-2xl font-bold">GameStore</h1>
+            <h1 className="text-white m-0 text-2xl font-bold">{settings.store_name}</h1>
           </Link>
         </div>
         <nav className="hidden md:flex gap-8 items-center">
@@ -72,6 +76,7 @@ const Header = () => {
           )}
         </nav>
 
+        <SearchBox />
 
         <div className="flex gap-4 items-center max-md:gap-2.5">
           {authenticated ? (
@@ -111,6 +116,16 @@ const Header = () => {
                     </svg>
                     Profile
                   </Link>
+                  <Link
+                    to="/profile?tab=wishlist"
+                    className="block px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-600 transition-colors duration-200"
+                    onClick={() => setIsDropdownOpen(false)}
+                  >
+                    <svg className="inline-block w-4 h-4 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+                    </svg>
+                    Wishlist
+                  </Link>
                   <button
                     onClick={handleLogout}
                     className="w-full text-left block px-4 py-2 text-sm text-gray-700 hover:bg-red-50 hover:text-red-600 transition-colors duration-200"
@@ -140,33 +155,34 @@ const Header = () => {
             </div>
           )}
 
-          {/* Cart Button */}
-          {authenticated && (
-            <Link
-              to="/cart"
-              className="relative text-white p-2 rounded-md transition-all duration-300 hover:bg-white/10 hover:-translate-y-0.5 mr-4"
-              title="Shopping Cart"
+          {/* Wishlist notifications */}
+          {authenticated && <NotificationBell />}
+
+          {/* Cart Button, for guests too since they can fill a cart before logging in */}
+          <Link
+            to="/cart"
+            className="relative text-white p-2 rounded-md transition-all duration-300 hover:bg-white/10 hover:-translate-y-0.5 mr-4"
+            title="Shopping Cart"
+          >
+            <svg
+              className="w-6 h-6"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
             >
-              <svg
-                className="w-6 h-6"
-                fill="none"
-                stroke="currentColor"
-                viewBox="0 0 24 24"
-              >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth={2}
-                  d="M3 3h2l.4 2M7 13h10l4-8H5.4m0 0L7 13m0 0l-1.1 5M7 13l-1.1 5m0 0H17M7 18a2 2 0 11-4 0 2 2 0 014 0zM21 18a2 2 0 11-4 0 2 2 0 014 0z"
-                />
-              </svg>
-              {cartCount > 0 && (
-                <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center font-bold">
-                  {cartCount > 99 ? '99+' : cartCount}
-                </span>
-              )}
-            </Link>
-          )}
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M3 3h2l.4 2M7 13h10l4-8H5.4m0 0L7 13m0 0l-1.1 5M7 13l-1.1 5m0 0H17M7 18a2 2 0 11-4 0 2 2 0 014 0zM21 18a2 2 0 11-4 0 2 2 0 014 0z"
+              />
+            </svg>
+            {cartCount > 0 && (
+              <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center font-bold">
+                {cartCount > 99 ? '99+' : cartCount}
+              </span>
+            )}
+          </Link>
         </div>
 
       </div>
@@ -0,0 +1,17 @@
+// Text with the parts that match a search query highlighted
+
+import { getHighlightParts } from '../utils/searchUtils';
+
+const HighlightedText = ({ text, query, className = 'bg-yellow-200 text-inherit rounded-sm' }) => {
+  return (
+    <>
+      {getHighlightParts(text, query).map((part, index) => (
+        part.match
+          ? <mark key={index} className={className}>{part.text}</mark>
+          : <span key={index}>{part.text}</span>
+      ))}
+    </>
+  );
+};
+
+export default HighlightedText;
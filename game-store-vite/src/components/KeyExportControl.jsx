@@ -0,0 +1,33 @@
+// Format picker and button for exporting purchased game keys
+
+import { useState } from 'react';
+import { KEY_EXPORT_FORMATS } from '../utils/keyExportUtils';
+
+const KeyExportControl = ({ onExport, loading = false, label = 'Export Keys' }) => {
+  const [format, setFormat] = useState('csv');
+
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        aria-label="Export format"
+        className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      >
+        {Object.entries(KEY_EXPORT_FORMATS).map(([value, { label: formatLabel }]) => (
+          <option key={value} value={value}>{formatLabel}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={() => onExport(format)}
+        disabled={loading}
+        className="px-3 py-1.5 border border-indigo-600 text-indigo-600 rounded-lg text-sm font-medium hover:bg-indigo-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {loading ? 'Exporting...' : label}
+      </button>
+    </div>
+  );
+};
+
+export default KeyExportControl;
@@ -0,0 +1,72 @@
+// Purchased key with copy button, activation link and platform redemption steps
+
+import { useState } from 'react';
+import { useSettings } from '../contexts/SettingsContext';
+import { getRedemptionPlatform, getRedemptionUrl, isOneClickRedemption } from '../utils/redemptionUtils';
+
+const KeyRedemption = ({ gameKey }) => {
+  const { settings } = useSettings();
+  const [copied, setCopied] = useState(false);
+  const [showSteps, setShowSteps] = useState(false);
+
+  const platform = getRedemptionPlatform(gameKey.key_type, settings.redemption_platforms);
+  const redemptionUrl = getRedemptionUrl(platform, gameKey.key);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(gameKey.key);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy key:', err);
+    }
+  };
+
+  return (
+    <div className="bg-white border rounded-lg p-3 max-w-xs text-left">
+      <div className="text-xs text-gray-500 mb-1">Your Key:</div>
+      <div className="flex items-stretch gap-2">
+        <div className="flex-1 font-mono text-sm bg-gray-100 p-2 rounded border select-all break-all">
+          {gameKey.key}
+        </div>
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="px-2 text-xs font-medium border border-gray-300 rounded hover:bg-gray-50 transition-colors print:hidden"
+        >
+          {copied ? 'Copied!' : 'Copy'}
+        </button>
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-center gap-3 text-xs print:hidden">
+        {redemptionUrl && (
+          <a
+            href={redemptionUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="font-semibold text-indigo-600 hover:text-indigo-800"
+          >
+            {isOneClickRedemption(platform) ? `Activate on ${platform.name}` : `Open ${platform.name} redeem page`} ↗
+          </a>
+        )}
+        <button
+          type="button"
+          onClick={() => setShowSteps(prev => !prev)}
+          className="text-gray-600 hover:text-gray-800 underline"
+        >
+          {showSteps ? 'Hide instructions' : 'How to redeem'}
+        </button>
+      </div>
+
+      {showSteps && (
+        <ol className="mt-2 list-decimal list-inside space-y-1 text-xs text-gray-600">
+          {platform.steps.map((step, index) => (
+            <li key={index}>{step}</li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default KeyRedemption;
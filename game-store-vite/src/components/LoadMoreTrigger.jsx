@@ -0,0 +1,52 @@
+// Loads the next page when scrolled into view, with a "Load more" button as a fallback
+
+import { useEffect, useRef } from 'react';
+
+const LoadMoreTrigger = ({ onLoadMore, hasMore, loading, error }) => {
+  const sentinelRef = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore;
+  }, [onLoadMore]);
+
+  // A fresh observer after each load reports straight away if the sentinel is still visible,
+  // so short pages keep loading until the viewport is filled. After an error the user retries by hand.
+  useEffect(() => {
+    if (!hasMore || loading || error || !sentinelRef.current || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        observer.disconnect();
+        onLoadMoreRef.current();
+      }
+    }, { rootMargin: '400px 0px' });
+
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [hasMore, loading, error]);
+
+  if (!hasMore) return null;
+
+  return (
+    <div ref={sentinelRef} className="flex flex-col items-center gap-3 py-8">
+      {loading ? (
+        <p className="text-indigo-500 font-medium">Loading more games...</p>
+      ) : (
+        <>
+          {error && <p className="text-red-500 text-sm">{error}</p>}
+          <button
+            onClick={() => onLoadMore()}
+            className="px-6 py-3 bg-white text-indigo-600 border border-indigo-200 rounded-lg font-semibold transition-all duration-300 hover:-translate-y-0.5 hover:shadow-md"
+          >
+            {error ? 'Try again' : 'Load more'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LoadMoreTrigger;
@@ -0,0 +1,16 @@
+// "Only N left" indicator for storefront game cards and the game detail page
+
+import { getStockLevel } from '../utils/gameKeyUtils';
+
+const LowStockBadge = ({ game, className = '' }) => {
+  const stock = getStockLevel(game);
+  if (!stock || !stock.isLow) return null;
+
+  return (
+    <span className={`inline-flex items-center text-sm font-semibold text-orange-700 bg-orange-100 px-2 py-1 rounded ${className}`}>
+      Only {stock.available} left
+    </span>
+  );
+};
+
+export default LowStockBadge;
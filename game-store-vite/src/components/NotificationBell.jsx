@@ -0,0 +1,139 @@
+// Header bell listing in-app wishlist notifications (price drops, back in stock)
+
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { fetchNotifications, markNotificationsRead } from '../utils/apiUtils';
+import { NOTIFICATION_TYPES, NOTIFICATION_POLL_MS, getUnreadCount } from '../utils/wishlistUtils';
+
+const NotificationBell = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+
+  const loadNotifications = async () => {
+    try {
+      const response = await fetchNotifications();
+      const items = response?.data || response || [];
+      setNotifications(Array.isArray(items) ? items : []);
+    } catch (err) {
+      // The bell just stays as it was; the next poll tries again
+      console.error('Failed to fetch notifications:', err);
+    }
+  };
+
+  // Check for new notifications now and then while the page is open
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, NOTIFICATION_POLL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Handle clicks outside the panel to close it
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, []);
+
+  const markRead = async (ids) => {
+    if (ids.length === 0) return;
+    try {
+      await markNotificationsRead(ids);
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(notification => (
+        ids.includes(notification.id) ? { ...notification, read_at: notification.read_at || readAt } : notification
+      )));
+    } catch (err) {
+      console.error('Failed to mark notifications as read:', err);
+    }
+  };
+
+  const handleOpen = () => {
+    if (!isOpen) loadNotifications();
+    setIsOpen(!isOpen);
+  };
+
+  const handleSelect = (notification) => {
+    if (!notification.read_at) markRead([notification.id]);
+    setIsOpen(false);
+    if (notification.game_id) navigate(`/game/${notification.game_id}`);
+  };
+
+  const unreadCount = getUnreadCount(notifications);
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={handleOpen}
+        className="relative text-white p-2 rounded-md transition-all duration-300 hover:bg-white/10 hover:-translate-y-0.5"
+        title="Notifications"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={isOpen}
+      >
+        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center font-bold">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white rounded-md shadow-lg z-50 border border-gray-200">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+            <h3 className="text-sm font-semibold text-gray-800">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markRead(notifications.filter(notification => !notification.read_at).map(notification => notification.id))}
+                className="text-xs font-medium text-indigo-600 hover:text-indigo-800"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">
+              No notifications yet. Wishlist a game to hear about price drops and restocks.
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto">
+              {notifications.map(notification => {
+                const type = NOTIFICATION_TYPES[notification.type];
+                return (
+                  <li key={notification.id}>
+                    <button
+                      onClick={() => handleSelect(notification)}
+                      className={`w-full text-left flex gap-3 px-4 py-3 text-sm border-b border-gray-50 hover:bg-indigo-50 ${
+                        notification.read_at ? 'text-gray-600' : 'text-gray-800 bg-indigo-50/50 font-medium'
+                      }`}
+                    >
+                      <span className="text-lg leading-none">{type?.icon || '🔔'}</span>
+                      <span className="flex-1 min-w-0">
+                        <span className="block">{notification.message}</span>
+                        <span className="block text-xs text-gray-400 mt-1 font-normal">
+                          {type?.label ? `${type.label} · ` : ''}{new Date(notification.created_at).toLocaleString()}
+                        </span>
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,75 @@
+// List of purchased items in an order, with the game key and how to redeem it
+
+import { formatPrice } from '../utils/moneyUtils';
+import { getGameImageUrl } from '../utils/imageUtils';
+import KeyRedemption from './KeyRedemption';
+
+const OrderItemList = ({ subOrders = [] }) => {
+  return (
+    <div className="space-y-4">
+      {subOrders.map((subOrder) => {
+        const game = subOrder.game || {};
+        const gameKey = subOrder.game_key || {};
+
+        return (
+          <div key={subOrder.id} className="bg-gray-50 rounded-lg p-4">
+            <div className="flex items-start gap-4">
+              {/* Game Image */}
+              <div className="flex-shrink-0 w-16 h-16 bg-gradient-to-br from-indigo-500 to-purple-600 rounded-lg flex items-center justify-center relative overflow-hidden">
+                {game.cover ? (
+                  <>
+                    <img 
+                      src={getGameImageUrl(game.cover)}
+                      alt={game.name || 'Game'}
+                      className="w-full h-full object-cover rounded-lg"
+                      onError={(e) => {
+                        e.target.style.display = 'none';
+                        e.target.parentNode.querySelector('.fallback-text').style.display = 'flex';
+                      }}
+                    />
+                    <div className="fallback-text absolute inset-0 text-white font-semibold text-xs text-center leading-tight items-center justify-center px-1 hidden">
+                      {game.name?.substring(0, 8) || 'Game'}
+                    </div>
+                  </>
+                ) : (
+                  <div className="text-white font-semibold text-xs text-center leading-tight px-1">
+                    {game.name?.substring(0, 8) || 'Game'}
+                  </div>
+                )}
+              </div>
+
+              {/* Game Details */}
+              <div className="flex-1 min-w-0">
+                <h4 className="font-semibold text-gray-800 mb-2">
+                  {game.name || 'Unknown Game'}
+                </h4>
+                {game.description && (
+                  <p className="text-sm text-gray-600 mb-2 line-clamp-2">
+                    {game.description}
+                  </p>
+                )}
+                <div className="flex items-center gap-2 text-sm">
+                  {gameKey.key_type && (
+                    <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded text-xs">
+                      {gameKey.key_type}
+                    </span>
+                  )}
+                  <span className="font-medium text-green-600">
+                    {formatPrice(gameKey.price || subOrder.price || 0)}
+                  </span>
+                </div>
+              </div>
+
+              {/* Game Key */}
+              <div className="text-right flex-shrink-0">
+                {gameKey.key && <KeyRedemption gameKey={gameKey} />}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default OrderItemList;
@@ -0,0 +1,116 @@
+// Customer actions for asking to cancel an order or refund a delivered one
+
+import { useState } from 'react';
+import { requestOrderCancellation, requestOrderRefund } from '../utils/apiUtils';
+import { canCancelOrder, canRequestRefund, getPendingOrderRequest, ORDER_REQUEST_TYPES } from '../utils/orderUtils';
+
+const OrderRequestActions = ({ order, onSubmitted }) => {
+  // 'cancellation' or 'refund' while the reason form is open
+  const [requestType, setRequestType] = useState(null);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const pendingRequest = getPendingOrderRequest(order);
+  const cancellable = canCancelOrder(order);
+  const refundable = canRequestRefund(order);
+
+  if (pendingRequest) {
+    return (
+      <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded text-sm">
+        Your {(ORDER_REQUEST_TYPES[pendingRequest.type] || 'request').toLowerCase()} request is being reviewed. We'll email you once it has been processed.
+      </div>
+    );
+  }
+
+  if (!cancellable && !refundable) return null;
+
+  const openForm = (type) => {
+    setRequestType(type);
+    setReason('');
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (requestType === 'refund' && !reason.trim()) {
+      setError('Please tell us why you would like a refund.');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      if (requestType === 'refund') {
+        await requestOrderRefund(order.id, reason);
+      } else {
+        await requestOrderCancellation(order.id, reason);
+      }
+      setRequestType(null);
+      onSubmitted?.();
+    } catch (err) {
+      console.error('Failed to submit order request:', err);
+      setError(err.message || 'Failed to send your request. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!requestType) {
+    return (
+      <div className="flex flex-wrap gap-3">
+        {cancellable && (
+          <button
+            onClick={() => openForm('cancellation')}
+            className="px-4 py-2 border border-red-300 text-red-600 rounded-lg text-sm font-medium hover:bg-red-50 transition-colors"
+          >
+            Cancel Order
+          </button>
+        )}
+        {refundable && (
+          <button
+            onClick={() => openForm('refund')}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors"
+          >
+            Request Refund
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4">
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        {requestType === 'refund' ? 'Why would you like a refund? *' : 'Reason for cancelling (optional)'}
+      </label>
+      <textarea
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        rows="3"
+        maxLength={500}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      />
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      <div className="flex justify-end gap-3 mt-3">
+        <button
+          type="button"
+          onClick={() => setRequestType(null)}
+          disabled={submitting}
+          className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+        >
+          Back
+        </button>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting ? 'Sending...' : requestType === 'refund' ? 'Send Refund Request' : 'Request Cancellation'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default OrderRequestActions;
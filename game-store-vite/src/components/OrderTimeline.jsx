@@ -0,0 +1,32 @@
+// Timeline of an order: when it was placed and every cancellation or refund request
+
+import { getOrderTimeline, formatOrderDate, ORDER_REQUEST_STATUSES } from '../utils/orderUtils';
+
+const OrderTimeline = ({ order }) => {
+  const events = getOrderTimeline(order);
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+      {events.map((event, index) => {
+        const status = ORDER_REQUEST_STATUSES.find(option => option.value === event.status);
+        return (
+          <li key={index} className="ml-4">
+            <div className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-indigo-500 border-2 border-white"></div>
+            <p className="text-xs text-gray-500">{formatOrderDate(event.date)}</p>
+            <p className="text-sm font-medium text-gray-800">
+              {event.title}
+              {status && (
+                <span className={`inline-block ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${status.color}`}>
+                  {status.label}
+                </span>
+              )}
+            </p>
+            {event.detail && <p className="text-sm text-gray-600 italic">"{event.detail}"</p>}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default OrderTimeline;
@@ -1,9 +1,10 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { registerUser } from '../utils/apiUtils';
 
 const Register = () => {
   const navigate = useNavigate();
+  const location = useLocation();
 
   const [formData, setFormData] = useState({
     name: '',
@@ -78,7 +79,8 @@ const Register = () => {
 
       // Redirect to login page after a short delay to show success message
       setTimeout(() => {
-        navigate('/login');
+        // Keep the return path (e.g. checkout for a guest cart) for after login
+        navigate('/login', { state: location.state });
       }, 500);
     } catch (error) {
       // Handle different types of errors
@@ -0,0 +1,49 @@
+// Countdown for how long a cart key stays reserved, with a one-time extend button
+
+import { useState, useEffect } from 'react';
+import { getReservationRemaining, formatCountdown, RESERVATION_WARNING_MS } from '../utils/reservationUtils';
+
+const ReservationTimer = ({ expiresAt, canExtend = false, onExtend, label = 'Reserved for' }) => {
+  const [now, setNow] = useState(Date.now());
+  const [extending, setExtending] = useState(false);
+
+  // Depend on the timestamp, since callers usually build a new Date on every render
+  const expiryTime = expiresAt?.getTime();
+
+  useEffect(() => {
+    if (!expiryTime) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [expiryTime]);
+
+  const remaining = getReservationRemaining(expiresAt, now);
+  if (remaining === null) return null;
+
+  const handleExtend = async () => {
+    setExtending(true);
+    await onExtend();
+    setExtending(false);
+  };
+
+  const urgent = remaining < RESERVATION_WARNING_MS;
+
+  return (
+    <div className={`inline-flex items-center gap-2 text-xs font-medium ${urgent ? 'text-red-600' : 'text-gray-600'}`}>
+      <span>
+        {remaining > 0 ? `⏱ ${label} ${formatCountdown(remaining)}` : 'Reservation expired'}
+      </span>
+      {canExtend && onExtend && remaining > 0 && (
+        <button
+          type="button"
+          onClick={handleExtend}
+          disabled={extending}
+          className="text-indigo-600 hover:text-indigo-800 underline disabled:opacity-50"
+        >
+          {extending ? 'Extending...' : 'Extend'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ReservationTimer;
@@ -0,0 +1,54 @@
+// Bar chart of revenue per day for the staff dashboard
+
+import { formatPrice } from '../utils/moneyUtils';
+
+const SalesChart = ({ data = [] }) => {
+  if (data.length === 0) {
+    return (
+      <div className="text-gray-500 text-center py-8">
+        <p>No sales in this period</p>
+      </div>
+    );
+  }
+
+  const maxRevenue = Math.max(...data.map(point => Number(point.revenue) || 0), 0);
+  // Label roughly every 7th bar so long ranges stay readable
+  const labelEvery = Math.max(1, Math.ceil(data.length / 7));
+
+  // Days come as YYYY-MM-DD; read them as local dates, since a bare date parses as UTC midnight
+  // and would show the previous day west of UTC
+  const formatDay = (dateString) => {
+    return new Date(`${String(dateString).slice(0, 10)}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  };
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-48 border-b border-gray-200">
+        {data.map((point) => {
+          const revenue = Number(point.revenue) || 0;
+          const height = maxRevenue > 0 ? Math.max((revenue / maxRevenue) * 100, revenue > 0 ? 2 : 0) : 0;
+          return (
+            <div key={point.date} className="flex-1 h-full flex items-end group relative">
+              <div
+                className="w-full bg-blue-500 rounded-t group-hover:bg-blue-600 transition-colors"
+                style={{ height: `${height}%` }}
+              ></div>
+              <div className="hidden group-hover:block absolute bottom-full left-1/2 -translate-x-1/2 mb-2 whitespace-nowrap bg-gray-900 text-white text-xs rounded px-2 py-1 z-10">
+                {formatDay(point.date)}: {formatPrice(revenue)} · {point.orders || 0} orders
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-1 mt-2">
+        {data.map((point, index) => (
+          <div key={point.date} className="flex-1 text-center text-xs text-gray-500 whitespace-nowrap overflow-visible">
+            {index % labelEvery === 0 ? formatDay(point.date) : ''}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SalesChart;
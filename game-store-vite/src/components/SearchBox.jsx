@@ -0,0 +1,233 @@
+// Header search box with typeahead suggestions for games, categories and platforms
+
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { searchCatalog, fetchActiveCategories } from '../utils/apiUtils';
+import {
+  getSearchSuggestions,
+  SEARCH_DEBOUNCE_MS,
+  MIN_SEARCH_LENGTH,
+  SEARCH_SUGGESTION_CANDIDATES
+} from '../utils/searchUtils';
+import HighlightedText from './HighlightedText';
+
+const SUGGESTION_TYPE_LABELS = {
+  game: 'Game',
+  category: 'Category',
+  platform: 'Platform'
+};
+
+const SearchBox = () => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  // Server matches for the last debounced query: { query, games }
+  const [candidates, setCandidates] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  // On small screens the box stays behind a search icon until opened
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+  const inputRef = useRef(null);
+  const categoriesRequestedRef = useRef(false);
+  const requestIdRef = useRef(0);
+
+  // Load categories the first time the box is used, not on every page load
+  const loadCategories = async () => {
+    if (categoriesRequestedRef.current) return;
+    categoriesRequestedRef.current = true;
+    try {
+      setCategories(await fetchActiveCategories());
+    } catch (err) {
+      console.error('Failed to load categories for search suggestions:', err);
+      // Allow another attempt on the next focus
+      categoriesRequestedRef.current = false;
+    }
+  };
+
+  // Only update suggestions once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedQuery(query);
+      setActiveIndex(-1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  // Ask the server for a few matches once typing pauses; answers to older queries are dropped
+  useEffect(() => {
+    const trimmed = debouncedQuery.trim();
+    const requestId = ++requestIdRef.current;
+    if (trimmed.length < MIN_SEARCH_LENGTH) {
+      setCandidates(null);
+      return;
+    }
+
+    const loadCandidates = async () => {
+      try {
+        const response = await searchCatalog(trimmed, { limit: SEARCH_SUGGESTION_CANDIDATES });
+        if (requestId !== requestIdRef.current) return;
+        setCandidates({ query: trimmed, games: response?.data || [] });
+      } catch (err) {
+        if (requestId !== requestIdRef.current) return;
+        console.error('Failed to load search suggestions:', err);
+        setCandidates({ query: trimmed, games: [] });
+      }
+    };
+
+    loadCandidates();
+  }, [debouncedQuery]);
+
+  // Handle clicks outside the box to close suggestions
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+        setIsExpanded(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, []);
+
+  const candidatesLoaded = candidates?.query === debouncedQuery.trim();
+
+  const suggestions = useMemo(() => {
+    if (!candidatesLoaded) return [];
+    return getSearchSuggestions(debouncedQuery, candidates.games, categories);
+  }, [candidatesLoaded, candidates, categories, debouncedQuery]);
+
+  // Focus the box as soon as it is opened from the search icon
+  useEffect(() => {
+    if (isExpanded) inputRef.current?.focus();
+  }, [isExpanded]);
+
+  const goTo = (to) => {
+    setIsOpen(false);
+    setIsExpanded(false);
+    setQuery('');
+    setDebouncedQuery('');
+    navigate(to);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (activeIndex >= 0 && suggestions[activeIndex]) {
+      goTo(suggestions[activeIndex].to);
+      return;
+    }
+    const trimmed = query.trim();
+    if (!trimmed) return;
+    setIsOpen(false);
+    setIsExpanded(false);
+    navigate(`/search?q=${encodeURIComponent(trimmed)}`);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(prev => (prev + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex(prev => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+      setIsExpanded(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const showSuggestions = isOpen && debouncedQuery.trim().length >= MIN_SEARCH_LENGTH;
+
+  return (
+    <div className="relative w-64 max-lg:w-48 max-md:static max-md:w-auto max-md:ml-auto max-md:mr-2.5" ref={containerRef}>
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="md:hidden text-white p-2 rounded-md transition-all duration-300 hover:bg-white/10"
+        title="Search"
+        aria-label="Search games"
+        aria-expanded={isExpanded}
+      >
+        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+        </svg>
+      </button>
+
+      {/* Below md the box opens as a bar under the header */}
+      <div className={`max-md:absolute max-md:inset-x-0 max-md:top-full max-md:px-4 max-md:py-3 max-md:bg-indigo-600 max-md:shadow-lg ${isExpanded ? '' : 'max-md:hidden'}`}>
+        <form onSubmit={handleSubmit} role="search">
+          <input
+            ref={inputRef}
+            type="search"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setIsOpen(true);
+            }}
+            onFocus={() => {
+              loadCategories();
+              setIsOpen(true);
+            }}
+            onKeyDown={handleKeyDown}
+            placeholder="Search games..."
+            aria-label="Search games"
+            aria-autocomplete="list"
+            aria-expanded={showSuggestions}
+            className="w-full px-4 py-2 rounded-md bg-white/15 text-white placeholder-white/70 text-sm border border-white/30 focus:outline-none focus:bg-white focus:text-gray-800 focus:placeholder-gray-400 transition-colors duration-200"
+          />
+        </form>
+
+        {showSuggestions && (
+          <div className="absolute left-0 right-0 max-md:left-4 max-md:right-4 mt-2 bg-white rounded-md shadow-lg py-2 z-50 border border-gray-200">
+            {!candidatesLoaded ? (
+              <p className="px-4 py-2 text-sm text-gray-500">Loading...</p>
+            ) : suggestions.length === 0 ? (
+              <p className="px-4 py-2 text-sm text-gray-500">No matches for "{debouncedQuery.trim()}"</p>
+            ) : (
+              <ul role="listbox">
+                {suggestions.map((suggestion, index) => (
+                  <li
+                    key={`${suggestion.type}-${suggestion.to}`}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => goTo(suggestion.to)}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    className={`flex items-center justify-between gap-2 px-4 py-2 text-sm cursor-pointer ${
+                      index === activeIndex ? 'bg-indigo-50 text-indigo-600' : 'text-gray-700'
+                    }`}
+                  >
+                    <span className="truncate">
+                      <HighlightedText text={suggestion.label} query={debouncedQuery} />
+                    </span>
+                    <span className="text-xs text-gray-400 flex-shrink-0">{SUGGESTION_TYPE_LABELS[suggestion.type]}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <button
+              type="button"
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => {
+                setIsOpen(false);
+                setIsExpanded(false);
+                navigate(`/search?q=${encodeURIComponent(query.trim())}`);
+              }}
+              className="w-full text-left px-4 py-2 mt-1 text-sm font-medium text-indigo-600 border-t border-gray-100 hover:bg-indigo-50"
+            >
+              See all results for "{query.trim()}"
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchBox;
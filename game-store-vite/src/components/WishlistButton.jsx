@@ -0,0 +1,51 @@
+// Heart toggle that saves a game to the wishlist, for game cards and the game detail page
+
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useWishlist } from '../contexts/WishlistContext';
+
+const WishlistButton = ({ game, showLabel = false, className = '' }) => {
+  const { authenticated } = useAuth();
+  const { isWishlisted, toggleWishlist, pendingGameIds } = useWishlist();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const saved = isWishlisted(game.id);
+  const pending = pendingGameIds.includes(String(game.id));
+  const label = saved ? 'Remove from wishlist' : 'Add to wishlist';
+
+  const handleClick = (e) => {
+    // Cards wrap the heart in a link to the game page
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!authenticated) {
+      navigate('/login', { state: { from: location } });
+      return;
+    }
+    toggleWishlist(game);
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={pending}
+      aria-pressed={saved}
+      aria-label={label}
+      title={label}
+      className={`inline-flex items-center justify-center gap-2 transition-all duration-200 disabled:opacity-60 disabled:cursor-wait ${
+        showLabel
+          ? `px-4 py-2 rounded-lg border font-medium ${saved ? 'border-pink-200 bg-pink-50 text-pink-600' : 'border-gray-300 bg-white text-gray-700 hover:border-pink-300 hover:text-pink-600'}`
+          : `w-10 h-10 rounded-full bg-white/90 shadow-md hover:scale-110 ${saved ? 'text-pink-500' : 'text-gray-500 hover:text-pink-500'}`
+      } ${className}`}
+    >
+      <svg className="w-5 h-5" viewBox="0 0 24 24" fill={saved ? 'currentColor' : 'none'} stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+      </svg>
+      {showLabel && <span>{saved ? 'Wishlisted' : 'Add to Wishlist'}</span>}
+    </button>
+  );
+};
+
+export default WishlistButton;
@@ -0,0 +1,235 @@
+// Wishlist tab for the profile page: saved games, their current best price and notification settings
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useWishlist } from '../contexts/WishlistContext';
+import { getBestGamePrice, formatPrice } from '../utils/priceUtils';
+import { getGameImageUrl } from '../utils/imageUtils';
+import { getWishlistGame, isAtTargetPrice, parseTargetPrice } from '../utils/wishlistUtils';
+
+const PreferenceCheckbox = ({ checked, onChange, label }) => (
+  <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={(e) => onChange(e.target.checked)}
+      className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+    />
+    {label}
+  </label>
+);
+
+// One wishlisted game; keeps its own form state so editing one row doesn't disturb the others
+const WishlistItemRow = ({ item }) => {
+  const { toggleWishlist, updatePreferences, pendingGameIds } = useWishlist();
+  const game = getWishlistGame(item);
+  const gameName = game.name || `Game ${game.id}`;
+  const priceInfo = getBestGamePrice(game);
+  const removing = pendingGameIds.includes(String(game.id));
+
+  const [showSettings, setShowSettings] = useState(false);
+  const [form, setForm] = useState({
+    target_price: item.target_price != null ? String(item.target_price) : '',
+    notify_price_drop: item.notify_price_drop ?? true,
+    notify_back_in_stock: item.notify_back_in_stock ?? true,
+    notify_in_app: item.notify_in_app ?? true,
+    notify_email: item.notify_email ?? false
+  });
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const updateForm = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setMessage(null);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const targetPrice = parseTargetPrice(form.target_price);
+    if (targetPrice.error) {
+      setMessage({ type: 'error', text: targetPrice.error });
+      return;
+    }
+    if ((form.notify_price_drop || form.notify_back_in_stock) && !form.notify_in_app && !form.notify_email) {
+      setMessage({ type: 'error', text: 'Choose in-app or email to receive notifications' });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await updatePreferences(item.id, { ...form, target_price: targetPrice.value });
+      setMessage({ type: 'success', text: 'Notification settings saved' });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message || 'Failed to save notification settings' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex gap-4 items-center max-sm:flex-col max-sm:items-start">
+        <Link to={`/game/${game.id}`} className="w-24 h-16 flex-shrink-0 rounded-md overflow-hidden bg-gradient-to-br from-indigo-500 to-purple-600 flex items-center justify-center">
+          {game.cover ? (
+            <img
+              src={getGameImageUrl(game.cover)}
+              alt={gameName}
+              className="w-full h-full object-cover"
+              onError={(e) => { e.target.style.display = 'none'; }}
+            />
+          ) : (
+            <span className="text-white text-xs font-semibold px-1 text-center">{gameName.substring(0, 12)}</span>
+          )}
+        </Link>
+
+        <div className="flex-1 min-w-0">
+          <Link to={`/game/${game.id}`} className="font-semibold text-gray-800 hover:text-indigo-600">
+            {gameName}
+          </Link>
+          <div className="flex flex-wrap items-center gap-2 mt-1 text-sm">
+            {priceInfo.hasKeys ? (
+              <>
+                <span className="font-bold text-green-600">{priceInfo.displayPrice}</span>
+                {priceInfo.isOnSale && (
+                  <span className="text-gray-500 line-through">{formatPrice(priceInfo.originalPrice)}</span>
+                )}
+              </>
+            ) : (
+              <span className="font-medium text-orange-600">Out of stock</span>
+            )}
+            {item.target_price != null && (
+              <span className="text-gray-500">Target: {formatPrice(item.target_price)}</span>
+            )}
+            {isAtTargetPrice(item) && (
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                Target price reached
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div className="flex gap-2 flex-shrink-0">
+          <button
+            onClick={() => setShowSettings(!showSettings)}
+            className="px-3 py-1.5 text-sm font-medium text-indigo-600 border border-indigo-200 rounded-md hover:bg-indigo-50"
+            aria-expanded={showSettings}
+          >
+            Notifications
+          </button>
+          <button
+            onClick={() => toggleWishlist(game)}
+            disabled={removing}
+            className="px-3 py-1.5 text-sm font-medium text-red-600 border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+          >
+            {removing ? 'Removing...' : 'Remove'}
+          </button>
+        </div>
+      </div>
+
+      {showSettings && (
+        <form onSubmit={handleSave} className="mt-4 pt-4 border-t border-gray-100 grid gap-4 sm:grid-cols-2">
+          <div>
+            <label htmlFor={`target-price-${item.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+              Target price
+            </label>
+            <input
+              id={`target-price-${item.id}`}
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.target_price}
+              onChange={(e) => updateForm('target_price', e.target.value)}
+              placeholder="Any price drop"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">Leave empty to hear about any price drop.</p>
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-gray-700">Notify me when</p>
+            <PreferenceCheckbox
+              checked={form.notify_price_drop}
+              onChange={(checked) => updateForm('notify_price_drop', checked)}
+              label="The price drops"
+            />
+            <PreferenceCheckbox
+              checked={form.notify_back_in_stock}
+              onChange={(checked) => updateForm('notify_back_in_stock', checked)}
+              label="New keys are in stock"
+            />
+            <p className="text-sm font-medium text-gray-700 pt-2">Send notifications</p>
+            <PreferenceCheckbox
+              checked={form.notify_in_app}
+              onChange={(checked) => updateForm('notify_in_app', checked)}
+              label="In the app"
+            />
+            <PreferenceCheckbox
+              checked={form.notify_email}
+              onChange={(checked) => updateForm('notify_email', checked)}
+              label="By email"
+            />
+          </div>
+
+          <div className="sm:col-span-2 flex items-center gap-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            {message && (
+              <span className={`text-sm ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+                {message.text}
+              </span>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const WishlistPanel = () => {
+  const { wishlistItems, loading, error } = useWishlist();
+
+  return (
+    <div>
+      <div className="mb-6">
+        <h2 className="text-xl font-semibold text-gray-800">Wishlist</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Set a target price to be told when a game gets cheaper or when new keys come in.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">{error}</div>
+      )}
+
+      {loading && wishlistItems.length === 0 ? (
+        <div className="text-center py-8">
+          <p className="text-gray-600">Loading your wishlist...</p>
+        </div>
+      ) : wishlistItems.length === 0 ? (
+        <div className="text-center py-8">
+          <div className="text-4xl mb-3">🤍</div>
+          <p className="text-gray-600 mb-4">Your wishlist is empty. Tap the heart on any game to save it here.</p>
+          <Link
+            to="/games"
+            className="inline-block px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700"
+          >
+            Browse Games
+          </Link>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {wishlistItems.map(item => (
+            <WishlistItemRow key={item.id} item={item} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WishlistPanel;
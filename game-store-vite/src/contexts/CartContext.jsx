@@ -1,16 +1,21 @@
 // Cart Context for managing cart state throughout the app
 
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { 
   addGameKeyToCart, 
   fetchUserCart, 
   updateCartItem, 
   removeCartItem, 
   clearCart as clearCartAPI,
-  fetchCartCount 
+  fetchCartCount,
+  reserveCartItems,
+  extendCartReservation
 } from '../utils/apiUtils';
 import { useAuth } from './AuthContext';
 import { calculateCartTotal } from '../utils/moneyUtils';
+import { reconcileCartItems } from '../utils/cartUtils';
+import { getEarliestReservationExpiry, isReservationExpired } from '../utils/reservationUtils';
+import { createGuestCartItem, loadGuestCart, saveGuestCart, isTransientMergeError } from '../utils/guestCartUtils';
 
 const CartContext = createContext({
   cartItems: [],
@@ -18,11 +23,20 @@ const CartContext = createContext({
   cartTotal: 0,
   loading: false,
   error: null,
+  mergeConflicts: [],
+  expiredItems: [],
   addToCart: () => {},
   removeFromCart: () => {},
   updateQuantity: () => {},
   clearCart: () => {},
-  fetchCart: () => {}
+  fetchCart: () => {},
+  dismissMergeConflicts: () => {},
+  retryGuestCartMerge: () => {},
+  reserveCart: () => {},
+  extendReservation: () => {},
+  dismissExpiredItems: () => {},
+  validateCart: () => {},
+  acceptCartChanges: () => {}
 });
 
 export const useCart = () => {
@@ -37,23 +51,205 @@ export const CartProvider = ({ children }) => {
   const [cartItems, setCartItems] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const { authenticated } = useAuth();
+  const [mergeConflicts, setMergeConflicts] = useState([]);
+  const [expiredItems, setExpiredItems] = useState([]);
+  const { authenticated, loading: authLoading } = useAuth();
 
   // Calculate derived state
   const cartCount = cartItems.reduce((total, item) => total + (item.quantity || 1), 0);
   const cartTotal = calculateCartTotal(cartItems);
 
-  // Fetch cart data when user is authenticated
+  // Fetch cart data when user is authenticated; anonymous shoppers get the guest cart
   useEffect(() => {
+    if (authLoading) return;
+
     if (authenticated) {
-      fetchCart();
+      mergeGuestCart().then(fetchCart);
     } else {
-      // Clear cart if not authenticated
-      setCartItems([]);
+      setCartItems(loadGuestCart());
       setError(null);
     }
+  }, [authenticated, authLoading]);
+
+  // Release keys whose hold ran out, timed to the next expiring reservation
+  useEffect(() => {
+    if (!authenticated) return;
+
+    const earliest = getEarliestReservationExpiry(cartItems);
+    if (!earliest) return;
+
+    // Drop expired items from the cart and remember them for the expiry notice
+    const releaseExpiredItems = async () => {
+      const now = Date.now();
+      const expired = cartItems.filter(item => isReservationExpired(item, now));
+      if (expired.length === 0) return;
+
+      // The server releases expired holds itself; removing the items just keeps both carts in step
+      await Promise.all(expired.map(item => removeCartItem(item.id).catch(err => {
+        console.error(`Failed to remove expired cart item ${item.id}:`, err);
+      })));
+
+      const expiredIds = new Set(expired.map(item => item.id));
+      setCartItems(prev => prev.filter(item => !expiredIds.has(item.id)));
+      setExpiredItems(prev => [
+        ...prev,
+        ...expired.map(item => {
+          const game = item.game || item.game_key?.game || {};
+          return {
+            cart_item_id: item.id,
+            game_id: game.id,
+            game_name: game.name || 'Unknown Game',
+            key_type: item.game_key?.key_type
+          };
+        })
+      ]);
+    };
+
+    const timer = setTimeout(releaseExpiredItems, Math.max(0, earliest.getTime() - Date.now()) + 250);
+    return () => clearTimeout(timer);
+  }, [cartItems, authenticated]);
+
+  // Update the guest cart in state and localStorage together
+  const updateGuestCart = (updater) => {
+    setCartItems(prev => {
+      const updated = updater(prev);
+      saveGuestCart(updated);
+      return updated;
+    });
+  };
+
+  // Move the guest cart into the server cart after login/registration.
+  // Keys already in the server cart are skipped; keys the server rejects
+  // (sold or pulled in the meantime) are dropped and reported as conflicts.
+  // Items that failed for a passing reason (network or server error) are reported
+  // too but stay in the guest cart, so the merge can be retried.
+  const mergeGuestCart = async () => {
+    const guestItems = loadGuestCart();
+    if (guestItems.length === 0) return;
+
+    try {
+      setLoading(true);
+
+      let serverKeyIds = new Set();
+      try {
+        const response = await fetchUserCart();
+        const items = response?.data || response || [];
+        serverKeyIds = new Set((Array.isArray(items) ? items : []).map(item => item.game_key_id || item.game_key?.id));
+      } catch (err) {
+        console.error('Failed to fetch cart before merging guest cart:', err);
+      }
+
+      const conflicts = [];
+      const keptItems = [];
+      for (const item of guestItems) {
+        if (serverKeyIds.has(item.game_key_id)) continue;
+
+        try {
+          await addGameKeyToCart(item.game_key_id, item.quantity || 1);
+        } catch (err) {
+          console.error(`Failed to merge guest cart item ${item.game_key_id}:`, err);
+          const transient = isTransientMergeError(err);
+          if (transient) keptItems.push(item);
+          conflicts.push({
+            game_key_id: item.game_key_id,
+            game_id: item.game?.id,
+            game_name: item.game?.name || 'Unknown Game',
+            key_type: item.game_key?.key_type,
+            reason: transient
+              ? 'Could not be added right now. It is still saved, so you can try again.'
+              : err.message || 'No longer available',
+            retryable: transient
+          });
+        }
+      }
+
+      saveGuestCart(keptItems);
+      setMergeConflicts(conflicts);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const dismissMergeConflicts = () => {
+    setMergeConflicts([]);
+  };
+
+  // Try again to move guest items that failed for a passing reason
+  const retryGuestCartMerge = async () => {
+    setMergeConflicts([]);
+    await mergeGuestCart();
+    await fetchCart();
+  };
+
+  const dismissExpiredItems = () => {
+    setExpiredItems([]);
+  };
+
+  // Make sure every key in the cart is held, e.g. when entering checkout.
+  // Memoized so pages can run it from an effect without re-reserving on every render.
+  const reserveCart = useCallback(async () => {
+    if (!authenticated) return false;
+
+    try {
+      await reserveCartItems();
+      const response = await fetchUserCart();
+      const items = response?.data || response || [];
+      // Only pick up the holds; price and availability changes go through validateCart
+      const holds = new Map((Array.isArray(items) ? items : []).map(item => [item.id, item]));
+      setCartItems(prev => prev.map(item => {
+        const held = holds.get(item.id);
+        return held
+          ? { ...item, reserved_until: held.reserved_until, reservation_extended: held.reservation_extended }
+          : item;
+      }));
+      return true;
+    } catch (err) {
+      console.error('Failed to reserve cart items:', err);
+      return false;
+    }
   }, [authenticated]);
 
+  // Extend the hold on one cart item; the server allows this once per item
+  const extendReservation = async (cartItemId) => {
+    if (!authenticated) return false;
+
+    try {
+      const response = await extendCartReservation(cartItemId);
+      const updated = response?.data || response;
+      if (updated?.reserved_until) {
+        setCartItems(prev => prev.map(item =>
+          item.id === cartItemId ? { ...item, ...updated } : item
+        ));
+      } else {
+        await fetchCart();
+      }
+      return true;
+    } catch (err) {
+      console.error('Failed to extend reservation:', err);
+      return false;
+    }
+  };
+
+  // Re-fetch the cart and list what changed since the customer last saw it.
+  // The cached items are left untouched until the customer accepts the changes.
+  const validateCart = async () => {
+    const response = await fetchUserCart();
+    const items = response?.data || response || [];
+    return reconcileCartItems(cartItems, Array.isArray(items) ? items : []);
+  };
+
+  // Apply changes found by validateCart: drop unavailable keys and take the server's prices
+  const acceptCartChanges = async (changes) => {
+    const unavailable = changes.filter(change => change.type === 'unavailable');
+
+    await Promise.all(unavailable.map(change => removeCartItem(change.item.id).catch(err => {
+      // Already gone from the server cart
+      console.error(`Failed to remove unavailable cart item ${change.item.id}:`, err);
+    })));
+
+    await fetchCart();
+  };
+
   // Fetch cart from API
   const fetchCart = async () => {
     if (!authenticated) return;
@@ -74,10 +270,22 @@ export const CartProvider = ({ children }) => {
   };
 
   // Add item to cart
-  const addToCart = async (gameKeyId, quantity = 1) => {
+  // `gameKey` and `game` are only needed for anonymous shoppers, whose cart
+  // is kept locally and has to carry what the cart page displays
+  const addToCart = async (gameKeyId, quantity = 1, gameKey = null, game = null) => {
     if (!authenticated) {
-      setError('Please login to add items to cart');
-      return false;
+      if (!gameKey) {
+        setError('Please login to add items to cart');
+        return false;
+      }
+
+      setError(null);
+      updateGuestCart(prev => (
+        prev.some(item => item.game_key_id === gameKeyId)
+          ? prev
+          : [...prev, createGuestCartItem({ ...gameKey, id: gameKeyId }, game || {}, quantity)]
+      ));
+      return true;
     }
 
     try {
@@ -120,7 +328,10 @@ export const CartProvider = ({ children }) => {
 
   // Remove item from cart
   const removeFromCart = async (cartItemId) => {
-    if (!authenticated) return false;
+    if (!authenticated) {
+      updateGuestCart(prev => prev.filter(item => item.id !== cartItemId));
+      return true;
+    }
 
     try {
       setLoading(true);
@@ -146,7 +357,14 @@ export const CartProvider = ({ children }) => {
   // NOTE: This function may need to be updated if the backend no longer supports cart item updates
   // Consider implementing with remove + add approach if updateCartItem endpoint is removed
   const updateQuantity = async (cartItemId, quantity) => {
-    if (!authenticated || quantity < 1) return false;
+    if (quantity < 1) return false;
+
+    if (!authenticated) {
+      updateGuestCart(prev => prev.map(item =>
+        item.id === cartItemId ? { ...item, quantity } : item
+      ));
+      return true;
+    }
 
     try {
       setLoading(true);
@@ -172,7 +390,10 @@ export const CartProvider = ({ children }) => {
 
   // Clear entire cart
   const clearCart = async () => {
-    if (!authenticated) return false;
+    if (!authenticated) {
+      updateGuestCart(() => []);
+      return true;
+    }
 
     try {
       setLoading(true);
@@ -198,11 +419,20 @@ export const CartProvider = ({ children }) => {
     cartTotal,
     loading,
     error,
+    mergeConflicts,
+    expiredItems,
     addToCart,
     removeFromCart,
     updateQuantity,
     clearCart,
-    fetchCart
+    fetchCart,
+    dismissMergeConflicts,
+    retryGuestCartMerge,
+    reserveCart,
+    extendReservation,
+    dismissExpiredItems,
+    validateCart,
+    acceptCartChanges
   };
 
   return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
@@ -0,0 +1,62 @@
+// Settings Context for sharing store-wide settings throughout the app
+
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { fetchStoreSettings } from '../utils/apiUtils';
+import { setCurrency } from '../utils/moneyUtils';
+import { setImageBaseUrl } from '../utils/imageUtils';
+import { DEFAULT_STORE_SETTINGS, mergeStoreSettings } from '../utils/settingsUtils';
+
+const SettingsContext = createContext({
+  settings: DEFAULT_STORE_SETTINGS,
+  loading: true,
+  refreshSettings: () => {}
+});
+
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (context === undefined) {
+    throw new Error('useSettings must be used within a SettingsProvider');
+  }
+  return context;
+};
+
+export const SettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(DEFAULT_STORE_SETTINGS);
+  const [loading, setLoading] = useState(true);
+
+  const refreshSettings = useCallback(async () => {
+    try {
+      const data = await fetchStoreSettings();
+      const merged = mergeStoreSettings(data);
+      // Price and image helpers are plain functions, so push the values into them directly
+      setCurrency(merged.currency);
+      setImageBaseUrl(merged.image_base_url);
+      setSettings(merged);
+      return merged;
+    } catch (error) {
+      console.error('[SettingsContext] Failed to load store settings, using defaults:', error);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshSettings();
+  }, [refreshSettings]);
+
+  // Hold rendering until the first load settles so prices and images never flash with the wrong values
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <SettingsContext.Provider value={{ settings, loading, refreshSettings }}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
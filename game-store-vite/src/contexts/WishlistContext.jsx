@@ -0,0 +1,126 @@
+// Wishlist Context for the signed-in user's saved games and their notification preferences
+
+import { createContext, useContext, useState, useEffect } from 'react';
+import {
+  fetchWishlist,
+  addToWishlist,
+  updateWishlistItem,
+  removeFromWishlist
+} from '../utils/apiUtils';
+import { useAuth } from './AuthContext';
+import { findWishlistItem, DEFAULT_WISHLIST_PREFERENCES } from '../utils/wishlistUtils';
+
+const WishlistContext = createContext({
+  wishlistItems: [],
+  loading: false,
+  error: null,
+  pendingGameIds: [],
+  isWishlisted: () => false,
+  getWishlistItem: () => null,
+  toggleWishlist: () => {},
+  updatePreferences: () => {},
+  fetchWishlistItems: () => {}
+});
+
+export const useWishlist = () => {
+  const context = useContext(WishlistContext);
+  if (context === undefined) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+};
+
+export const WishlistProvider = ({ children }) => {
+  const [wishlistItems, setWishlistItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Games with an add/remove in flight, so hearts can't be double-clicked into a mismatch
+  const [pendingGameIds, setPendingGameIds] = useState([]);
+  const { authenticated, loading: authLoading } = useAuth();
+
+  // The wishlist lives on the server; there is no guest wishlist
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (authenticated) {
+      fetchWishlistItems();
+    } else {
+      setWishlistItems([]);
+      setError(null);
+    }
+  }, [authenticated, authLoading]);
+
+  const fetchWishlistItems = async () => {
+    try {
+      setLoading(true);
+      const response = await fetchWishlist();
+      const items = response?.data || response || [];
+      setWishlistItems(Array.isArray(items) ? items : []);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch wishlist:', err);
+      setError('Failed to load your wishlist');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isWishlisted = (gameId) => Boolean(findWishlistItem(wishlistItems, gameId));
+
+  const getWishlistItem = (gameId) => findWishlistItem(wishlistItems, gameId);
+
+  // Add or remove a game; returns false when the user must sign in or the request failed
+  const toggleWishlist = async (game) => {
+    if (!authenticated || !game?.id) return false;
+    const gameId = String(game.id);
+    if (pendingGameIds.includes(gameId)) return false;
+
+    setPendingGameIds(prev => [...prev, gameId]);
+    try {
+      const existing = findWishlistItem(wishlistItems, game.id);
+      if (existing) {
+        await removeFromWishlist(existing.id);
+        setWishlistItems(prev => prev.filter(item => item.id !== existing.id));
+      } else {
+        const response = await addToWishlist(game.id, DEFAULT_WISHLIST_PREFERENCES);
+        const item = response?.data || response;
+        // Keep the game we already have so the wishlist can show it before the next fetch
+        setWishlistItems(prev => [
+          ...prev,
+          { ...DEFAULT_WISHLIST_PREFERENCES, game_id: game.id, ...item, game: item?.game || game }
+        ]);
+      }
+      setError(null);
+      return true;
+    } catch (err) {
+      console.error(`Failed to update wishlist for game ${game.id}:`, err);
+      setError(err.message || 'Failed to update your wishlist');
+      return false;
+    } finally {
+      setPendingGameIds(prev => prev.filter(id => id !== gameId));
+    }
+  };
+
+  // Save a target price or notification settings for one wishlisted game
+  const updatePreferences = async (itemId, updates) => {
+    const response = await updateWishlistItem(itemId, updates);
+    const updated = response?.data || response || {};
+    setWishlistItems(prev => prev.map(item => (
+      item.id === itemId ? { ...item, ...updates, ...updated, game: updated.game || item.game } : item
+    )));
+  };
+
+  const value = {
+    wishlistItems,
+    loading,
+    error,
+    pendingGameIds,
+    isWishlisted,
+    getWishlistItem,
+    toggleWishlist,
+    updatePreferences,
+    fetchWishlistItems
+  };
+
+  return <WishlistContext.Provider value={value}>{children}</WishlistContext.Provider>;
+};
@@ -1,18 +1,49 @@
-import { Outlet } from 'react-router-dom';
+import { Outlet, useLocation } from 'react-router-dom';
 import Header from '../components/Header';
+import { useAuth } from '../contexts/AuthContext';
+import { useSettings } from '../contexts/SettingsContext';
 
 const PublicLayout = () => {
+  const { settings } = useSettings();
+  const { isStaff } = useAuth();
+  const location = useLocation();
+
+  // Staff keep browsing during maintenance, and the login page stays reachable so they can sign in
+  const maintenanceActive = settings.maintenance_mode && !isStaff && location.pathname !== '/login';
+
   return (
     <div className="min-h-screen flex flex-col">
       <Header />
+      {settings.maintenance_mode && isStaff && (
+        <div className="bg-yellow-100 border-b border-yellow-300 text-yellow-800 text-sm text-center px-4 py-2">
+          Maintenance mode is on. Customers currently see the maintenance page.
+        </div>
+      )}
       <main className="flex-1">
-        <Outlet />
+        {maintenanceActive ? (
+          <div className="flex items-center justify-center py-32 px-5">
+            <div className="max-w-lg text-center">
+              <div className="text-6xl mb-6">🛠️</div>
+              <h1 className="text-4xl font-bold text-gray-800 mb-4 max-md:text-3xl">We'll be right back</h1>
+              <p className="text-lg text-gray-600 mb-6">
+                {settings.maintenance_message || `${settings.store_name} is undergoing scheduled maintenance. Please check back soon.`}
+              </p>
+              {settings.support_email && (
+                <p className="text-gray-500">
+                  Need help? Contact <a href={`mailto:${settings.support_email}`} className="text-indigo-500 hover:text-indigo-600">{settings.support_email}</a>
+                </p>
+              )}
+            </div>
+          </div>
+        ) : (
+          <Outlet />
+        )}
       </main>
-      <footer className="bg-gradient-to-r from-gray-800 to-gray-700 text-white py-12 px-0 mt-auto max-md:py-8">
+      <footer className="bg-gradient-to-r from-gray-800 to-gray-700 text-white py-12 px-0 mt-auto max-md:py-8 print:hidden">
         <div className="max-w-6xl mx-auto px-8 max-md:px-4">
           <div className="grid grid-cols-[repeat(auto-fit,minmax(250px,1fr))] gap-8 mb-8 max-md:grid-cols-1 max-md:gap-6">
             <div>
-              <h4 className="text-blue-400 text-xl font-semibold mb-4">GameStore</h4>
+              <h4 className="text-blue-400 text-xl font-semibold mb-4">{settings.store_name}</h4>
               <p className="text-gray-300 leading-relaxed mb-4">Your trusted gaming marketplace for the best deals on game keys.</p>
             </div>
             <div>
@@ -27,6 +58,9 @@ const PublicLayout = () => {
             <div>
               <h4 className="text-blue-400 text-xl font-semibold mb-4">Customer Service</h4>
               <ul className="list-none p-0">
+                {settings.support_email && (
+                  <li className="mb-2"><a href={`mailto:${settings.support_email}`} className="text-gray-300 no-underline transition-colors duration-300 hover:text-blue-400">{settings.support_email}</a></li>
+                )}
                 <li className="mb-2"><a href="/contact" className="text-gray-300 no-underline transition-colors duration-300 hover:text-blue-400">Contact Us</a></li>
                 <li className="mb-2"><a href="/faq" className="text-gray-300 no-underline transition-colors duration-300 hover:text-blue-400">FAQ</a></li>
                 <li className="mb-2"><a href="/refund-policy" className="text-gray-300 no-underline transition-colors duration-300 hover:text-blue-400">Refund Policy</a></li>
@@ -44,7 +78,7 @@ const PublicLayout = () => {
             </div>
           </div>
           <div className="border-t border-gray-600 pt-4 text-center text-gray-400">
-            <p>&copy; 2024 GameStore. All rights reserved.</p>
+            <p>&copy; 2024 {settings.store_name}. All rights reserved.</p>
           </div>
         </div>
       </footer>
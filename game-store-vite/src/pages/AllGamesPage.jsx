@@ -1,19 +1,67 @@
-import { useState, useEffect } from 'react';
-import { Link, useSearchParams, useNavigate } from 'react-router-dom';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Link, useSearchParams, useNavigate, useNavigationType } from 'react-router-dom';
 import { fetchGames, apiGet } from '../utils/apiUtils';
-import { getBestGamePrice } from '../utils/priceUtils';
+import { getBestGamePrice, formatPrice } from '../utils/priceUtils';
+import { getGameImageUrl } from '../utils/imageUtils';
+import {
+  parseCatalogFilters,
+  applyCatalogFilters,
+  hasActiveFilters,
+  EMPTY_CATALOG_FILTERS,
+  EMPTY_FACET_COUNTS
+} from '../utils/catalogFilterUtils';
+import { parseCatalogSort, applyCatalogSort, DEFAULT_CATALOG_SORT } from '../utils/catalogSortUtils';
+import {
+  CATALOG_PAGE_SIZE,
+  getNextPageRequest,
+  loadCatalogSnapshot,
+  saveCatalogSnapshot
+} from '../utils/catalogPagingUtils';
+import LowStockBadge from '../components/LowStockBadge';
+import WishlistButton from '../components/WishlistButton';
+import CatalogFilters from '../components/CatalogFilters';
+import CatalogSortSelect from '../components/CatalogSortSelect';
+import LoadMoreTrigger from '../components/LoadMoreTrigger';
+
+// Filters, sort and paging for a catalog request; the server does the filtering and counting
+const getCatalogRequest = (searchParams) => {
+  const sort = parseCatalogSort(searchParams);
+  return {
+    priceSummary: true,
+    filters: parseCatalogFilters(searchParams),
+    sort: sort !== DEFAULT_CATALOG_SORT ? sort : undefined,
+    limit: CATALOG_PAGE_SIZE
+  };
+};
 
 const AllGamesPage = () => {
-  const [games, setGames] = useState([]);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigationType = useNavigationType();
+  const navigate = useNavigate();
+
+  // Going back to the catalog (e.g. from a game page) restores what was loaded and where the user was
+  const [snapshot] = useState(() => (
+    navigationType === 'POP' ? loadCatalogSnapshot(searchParams.toString()) : null
+  ));
+
+  const [games, setGames] = useState(snapshot?.games || []);
+  const [total, setTotal] = useState(snapshot?.total ?? 0);
+  const [facets, setFacets] = useState(snapshot?.facets || EMPTY_FACET_COUNTS);
+  const [nextPage, setNextPage] = useState(snapshot?.nextPage || null);
   const [categories, setCategories] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [loading, setLoading] = useState(!snapshot);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
   const [categoriesLoading, setCategoriesLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [searchParams, setSearchParams] = useSearchParams();
-  const navigate = useNavigate();
+  const loadedQueryRef = useRef(snapshot?.queryKey ?? null);
+  const requestIdRef = useRef(0);
+  const scrollYRef = useRef(snapshot?.scrollY || 0);
+  const snapshotRef = useRef(null);
 
-  const categoryId = searchParams.get('category');
-  const selectedCategoryId = categoryId ? parseInt(categoryId) : null;
+  // Filters are read from the URL on every render, so back/forward and shared links just work
+  const filters = useMemo(() => parseCatalogFilters(searchParams), [searchParams]);
+  const sort = parseCatalogSort(searchParams);
 
   // Load categories
   useEffect(() => {
@@ -27,16 +75,12 @@ const AllGamesPage = () => {
         
         // Handle the nested data structure
         if (response && response.data && Array.isArray(response.data)) {
-          // Filter only active categories and limit to show 8 categories
-          const activeCategories = response.data
-            .filter(category => category.is_active)
-            .slice(0, 8);
+          // Filter only active categories
+          const activeCategories = response.data.filter(category => category.is_active);
           setCategories(activeCategories);
         } else if (Array.isArray(response)) {
           // Fallback if API returns direct array
-          const activeCategories = response
-            .filter(category => category.is_active)
-            .slice(0, 8);
+          const activeCategories = response.filter(category => category.is_active);
           setCategories(activeCategories);
         } else {
           setCategories([]);
@@ -54,76 +98,119 @@ const AllGamesPage = () => {
     fetchCategories();
   }, []);
 
-  // Load games based on selected category
+
+  // Load the first page whenever the filters or sort change
   useEffect(() => {
-    const loadGames = async () => {
+    const queryKey = searchParams.toString();
+    if (loadedQueryRef.current === queryKey) return;
+    loadedQueryRef.current = queryKey;
+
+    // Responses for an older query (first pages or "load more") are dropped
+    const requestId = ++requestIdRef.current;
+
+    const loadFirstPage = async () => {
       try {
         setLoading(true);
-        let response;
-        
-        if (selectedCategoryId) {
-          // Load games for specific category with fallback
-          try {
-            response = await fetchGames({ categoryId: selectedCategoryId, includeCategory: true, includeGameKeys: true });
-          } catch (categoryErr) {
-            console.warn('Failed to fetch games with category details, trying without:', categoryErr);
-            response = await fetchGames({ categoryId: selectedCategoryId, includeGameKeys: true });
-          }
-        } else {
-          // Load all games
-          response = await fetchGames({ includeGameKeys: true });
-        }
-        
-        setGames(response.data || []);
+        setLoadingMore(false);
+        setLoadMoreError(null);
+        const response = await fetchGames({ ...getCatalogRequest(searchParams), page: 1, includeFacets: true });
+        if (requestId !== requestIdRef.current) return;
+        const pageGames = response.data || [];
+        setGames(pageGames);
+        setTotal(response.total ?? pageGames.length);
+        setFacets(response.facets || EMPTY_FACET_COUNTS);
+        setNextPage(getNextPageRequest(response, pageGames.length, 1));
         setError(null);
       } catch (err) {
+        if (requestId !== requestIdRef.current) return;
         console.error('Failed to fetch games:', err);
         setError('Failed to load games. Please try again later.');
         setGames([]);
+        setNextPage(null);
       } finally {
-        setLoading(false);
+        if (requestId === requestIdRef.current) {
+          setLoading(false);
+        }
       }
     };
 
-    loadGames();
-  }, [selectedCategoryId]);
+    loadFirstPage();
+  }, [searchParams]);
+
+  const handleLoadMore = async () => {
+    if (!nextPage || loadingMore) return;
+    const requestId = requestIdRef.current;
 
-  // Helper functions
-  const handleCategorySelect = (categoryId) => {
-    if (categoryId) {
-      setSearchParams({ category: categoryId.toString() });
-    } else {
-      setSearchParams({});
+    try {
+      setLoadingMore(true);
+      setLoadMoreError(null);
+      const response = await fetchGames({ ...getCatalogRequest(searchParams), ...nextPage });
+      if (requestId !== requestIdRef.current) return;
+      const pageGames = response.data || [];
+      // Skip games already shown in case the catalog shifted between pages
+      const shownIds = new Set(games.map(game => game.id));
+      const newGames = pageGames.filter(game => !shownIds.has(game.id));
+      setGames(prev => [...prev, ...newGames]);
+      setNextPage(getNextPageRequest(response, games.length + newGames.length, nextPage.page || 1));
+      if (response.total != null) setTotal(response.total);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Failed to load more games:', err);
+      setLoadMoreError('Failed to load more games.');
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoadingMore(false);
+      }
     }
   };
 
-  const getSelectedCategoryName = () => {
-    if (!selectedCategoryId) return null;
-    const category = categories.find(cat => cat.id === selectedCategoryId);
-    return category ? category.name : `Category ${selectedCategoryId}`;
+  // Remember the loaded pages, but never while a new query is still loading
+  useEffect(() => {
+    snapshotRef.current = loading ? null : { queryKey: loadedQueryRef.current, games, total, facets, nextPage };
+  }, [loading, games, total, facets, nextPage]);
+
+  // Track the scroll position; by the time this page unmounts the next page may already have moved it
+  useEffect(() => {
+    const handleScroll = () => {
+      scrollYRef.current = window.scrollY;
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (snapshot) {
+      window.scrollTo(0, snapshot.scrollY || 0);
+    }
+
+    return () => {
+      if (snapshotRef.current) {
+        saveCatalogSnapshot({ ...snapshotRef.current, scrollY: scrollYRef.current });
+      }
+    };
+  }, [snapshot]);
+
+  const handleFiltersChange = (nextFilters) => {
+    setSearchParams(applyCatalogFilters(searchParams, nextFilters));
+  };
+
+  const handleSortChange = (nextSort) => {
+    setSearchParams(applyCatalogSort(searchParams, nextSort));
   };
 
-  const getCategoryIcon = (categoryName) => {
-    const name = categoryName.toLowerCase();
-    if (name.includes('shooter') || name.includes('fps')) return '🔫';
-    if (name.includes('action')) return '⚡';
-    if (name.includes('fighting') || name.includes('combat')) return '🥊';
-    if (name.includes('adventure')) return '🗺️';
-    if (name.includes('rpg') || name.includes('role')) return '⚔️';
-    if (name.includes('strategy')) return '🧠';
-    if (name.includes('sports')) return '⚽';
-    if (name.includes('racing') || name.includes('driving')) return '🏎️';
-    if (name.includes('puzzle')) return '🧩';
-    if (name.includes('simulation')) return '🛠️';
-    if (name.includes('horror') || name.includes('survival')) return '👻';
-    if (name.includes('fantasy') || name.includes('magic')) return '🧙';
-    if (name.includes('sci-fi') || name.includes('space')) return '🚀';
-    if (name.includes('indie')) return '💎';
-    if (name.includes('casual')) return '🎲';
-    return '🎮'; // Default game icon
+  // Name the page after the category when exactly one is picked
+  const getSelectedCategoryName = () => {
+    if (filters.categories.length !== 1) return null;
+    const categoryId = filters.categories[0];
+    const category = categories.find(cat => cat.id === categoryId);
+    return category ? category.name : `Category ${categoryId}`;
   };
 
-  if (loading) {
+  // Changing filters or sort refetches in the background; only the first load blanks the page
+  if (loading && games.length === 0) {
     return (
       <div className="min-h-screen bg-gray-50 py-10">
         <div className="max-w-6xl mx-auto px-5">
@@ -161,7 +248,7 @@ const AllGamesPage = () => {
             <Link to="/" className="text-indigo-500 no-underline transition-colors duration-200 hover:text-purple-600">Home</Link>
             <span className="text-gray-600">{'>'}</span>
             <Link to="/games" className="text-indigo-500 no-underline transition-colors duration-200 hover:text-purple-600">Games</Link>
-            {selectedCategoryId && (
+            {getSelectedCategoryName() && (
               <>
                 <span className="text-gray-600">{'>'}</span>
                 <span className="text-gray-800 font-medium">{getSelectedCategoryName()}</span>
@@ -169,142 +256,148 @@ const AllGamesPage = () => {
             )}
           </nav>
           <h1 className="text-5xl font-bold text-gray-800 mb-2.5 bg-gradient-to-br from-indigo-500 to-purple-600 bg-clip-text text-transparent max-md:text-4xl max-[480px]:text-3xl">
-            {selectedCategoryId ? `${getSelectedCategoryName()} Games` : 'All Games'}
+            {getSelectedCategoryName() ? `${getSelectedCategoryName()} Games` : 'All Games'}
           </h1>
           <p className="text-lg text-gray-600 m-0">
-            {games.length === 0 
-              ? 'No games available' 
-              : `${games.length} game${games.length !== 1 ? 's' : ''} available`
+            {hasActiveFilters(filters)
+              ? `${total} game${total !== 1 ? 's' : ''} match${total === 1 ? 'es' : ''} your filters`
+              : total === 0
+                ? 'No games available'
+                : `${total} game${total !== 1 ? 's' : ''} available`
             }
           </p>
         </div>
 
-        {/* Category Filter Cards */}
-        {!categoriesLoading && categories.length > 0 && (
-          <div className="mb-10 bg-white p-8 rounded-2xl shadow-lg max-md:p-5 max-md:mb-8 max-[480px]:p-4 max-[480px]:mb-6">
-            <h3 className="text-2xl font-semibold text-gray-800 mb-6 text-center max-md:text-xl max-md:mb-5 max-[480px]:text-lg max-[480px]:mb-4">Filter by Category</h3>
-            <div className="grid grid-cols-[repeat(auto-fit,minmax(140px,1fr))] gap-4 max-md:grid-cols-[repeat(auto-fit,minmax(120px,1fr))] max-md:gap-3 max-[480px]:grid-cols-[repeat(auto-fit,minmax(100px,1fr))] max-[480px]:gap-2.5">
-              {/* All Games Card */}
-              <div 
-                className={`bg-gray-50 border-2 border-transparent rounded-xl p-4 text-center cursor-pointer transition-all duration-300 hover:bg-white hover:border-indigo-500 hover:-translate-y-0.5 hover:shadow-md max-md:p-3 max-[480px]:p-2.5 ${
-                  !selectedCategoryId 
-                    ? 'bg-gradient-to-br from-indigo-500 to-purple-600 border-indigo-500 text-white -translate-y-0.5 shadow-md shadow-indigo-500/30' 
-                    : ''
-                }`}
-                onClick={() => handleCategorySelect(null)}
-              >
-                <div className="text-3xl mb-2 max-md:text-2xl max-md:mb-1.5 max-[480px]:text-xl max-[480px]:mb-1">🕹️</div>
-                <div>
-                  <h4 className={`text-sm font-semibold m-0 mb-1 max-md:text-xs ${!selectedCategoryId ? 'text-white' : ''}`}>All Games</h4>
-                  <p className={`text-xs m-0 opacity-80 max-[480px]:text-[10px] ${!selectedCategoryId ? 'text-white' : ''}`}>View all</p>
-                </div>
+        <div className="flex gap-8 items-start max-lg:flex-col max-lg:items-stretch">
+          {/* Filters */}
+          {(games.length > 0 || hasActiveFilters(filters)) && (
+            <aside className="w-64 flex-shrink-0 lg:sticky lg:top-24 max-lg:w-full">
+              <CatalogFilters
+                categories={categoriesLoading ? [] : categories}
+                filters={filters}
+                counts={facets}
+                onChange={handleFiltersChange}
+              />
+            </aside>
+          )}
+
+          <div className={`flex-1 min-w-0 transition-opacity duration-200 ${loading ? 'opacity-60' : ''}`}>
+            {games.length > 1 && (
+              <div className="flex justify-end mb-6">
+                <CatalogSortSelect value={sort} onChange={handleSortChange} />
               </div>
-              
-              {/* Individual Category Cards */}
-              {categories.map(category => (
-                <div 
-                  key={category.id}
-                  className={`bg-gray-50 border-2 border-transparent rounded-xl p-4 text-center cursor-pointer transition-all duration-300 hover:bg-white hover:border-indigo-500 hover:-translate-y-0.5 hover:shadow-md max-md:p-3 max-[480px]:p-2.5 ${
-                    selectedCategoryId === category.id 
-                      ? 'bg-gradient-to-br from-indigo-500 to-purple-600 border-indigo-500 text-white -translate-y-0.5 shadow-md shadow-indigo-500/30' 
-                      : ''
-                  }`}
-                  onClick={() => handleCategorySelect(category.id)}
-                >
-                  <div className="text-3xl mb-2 max-md:text-2xl max-md:mb-1.5 max-[480px]:text-xl max-[480px]:mb-1">
-                    {getCategoryIcon(category.name)}
-                  </div>
-                  <div>
-                    <h4 className={`text-sm font-semibold m-0 mb-1 max-md:text-xs max-[480px]:text-[10px] ${selectedCategoryId === category.id ? 'text-white' : ''}`}>{category.name}</h4>
-                    <p className={`text-xs m-0 opacity-80 max-[480px]:text-[9px] ${selectedCategoryId === category.id ? 'text-white' : ''}`}>{category.name.toLowerCase()}</p>
-                  </div>
-                </div>
-              ))}
-            </div>
-          </div>
-        )}
+            )}
 
-        {/* Games Grid */}
-        {games.length > 0 ? (
-          <div className="grid grid-cols-[repeat(auto-fit,minmax(300px,1fr))] gap-8 mb-16 max-md:grid-cols-1 max-md:gap-5 max-md:mb-10 max-[480px]:gap-4 max-[480px]:mb-8">
-            {games.map((game, index) => {
-              // Defensive check for game data
-              if (!game || !game.id) {
-                console.warn('Invalid game data:', game);
-                return null;
-              }
+            {/* Games Grid */}
+            {games.length > 0 ? (
+              <>
+                <div className="grid grid-cols-[repeat(auto-fill,minmax(260px,1fr))] gap-8 mb-16 max-md:grid-cols-1 max-md:gap-5 max-md:mb-10 max-[480px]:gap-4 max-[480px]:mb-8">
+                  {games.map((game) => {
+                    // Defensive check for game data
+                    if (!game || !game.id) {
+                      console.warn('Invalid game data:', game);
+                      return null;
+                    }
               
-              const gameName = game.name || `Game ${game.id}`;
-              const gameDescription = game.description || 'No description available';
-              const priceInfo = getBestGamePrice(game);
+                    const gameName = game.name || `Game ${game.id}`;
+                    const gameDescription = game.description || 'No description available';
+                    const priceInfo = getBestGamePrice(game);
               
-              return (
-                <div key={game.id} className="bg-white rounded-2xl overflow-hidden shadow-lg transition-all duration-300 flex flex-col hover:-translate-y-1 hover:shadow-xl">
-                  <Link to={`/game/${game.id}`} className="no-underline text-inherit flex-1 flex flex-col">
-                    <div className="relative overflow-hidden">
-                      {game.cover ? (
-                        <img 
-                          src={`https://s3.tebi.io/game-key-store/games/${game.cover}`} 
-                          alt={gameName}
-                          className="w-full h-52 object-cover transition-transform duration-300 hover:scale-105"
-                          onError={(e) => {
-                            // Replace with placeholder div on error
-                            const placeholder = document.createElement('div');
-                            placeholder.className = 'w-full h-52 bg-gradient-to-br from-indigo-500 to-purple-600 flex items-center justify-center text-white font-semibold text-center p-5 box-border';
-                            placeholder.innerHTML = `<span class="text-sm leading-tight break-words">${gameName.length > 20 ? gameName.substring(0, 20) + '...' : gameName}</span>`;
-                            e.target.parentNode.replaceChild(placeholder, e.target);
-                          }}
-                        />
-                      ) : (
-                        <div className="w-full h-52 bg-gradient-to-br from-indigo-500 to-purple-600 flex items-center justify-center text-white font-semibold text-center p-5 box-border">
-                          <span className="text-sm leading-tight break-words">{gameName.length > 20 ? gameName.substring(0, 20) + '...' : gameName}</span>
-                        </div>
-                      )}
-                    </div>
-                    <div className="p-5 flex-1 flex flex-col">
-                      <h3 className="text-xl font-semibold mb-2.5 text-gray-800">{gameName}</h3>
-                      <div className="my-2.5 flex-1">
-                        <p className="text-gray-600 text-sm leading-relaxed overflow-hidden text-ellipsis" style={{display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical'}}>{gameDescription}</p>
-                      </div>
-                      <div className="flex items-center gap-2.5 mt-auto">
-                        {priceInfo.hasKeys ? (
-                          <>
-                            <span className="text-2xl font-bold text-green-600">{priceInfo.displayPrice}</span>
-                            {priceInfo.keyType && (
-                              <span className="text-sm bg-blue-100 text-blue-800 px-2 py-1 rounded font-medium">
-                                {priceInfo.keyType}
-                              </span>
+                    return (
+                      <div key={game.id} className="bg-white rounded-2xl overflow-hidden shadow-lg transition-all duration-300 flex flex-col hover:-translate-y-1 hover:shadow-xl">
+                        <Link to={`/game/${game.id}`} className="no-underline text-inherit flex-1 flex flex-col">
+                          <div className="relative overflow-hidden">
+                            {game.cover ? (
+                              <img 
+                                src={getGameImageUrl(game.cover)} 
+                                alt={gameName}
+                                className="w-full h-52 object-cover transition-transform duration-300 hover:scale-105"
+                                onError={(e) => {
+                                  // Replace with placeholder div on error
+                                  const placeholder = document.createElement('div');
+                                  placeholder.className = 'w-full h-52 bg-gradient-to-br from-indigo-500 to-purple-600 flex items-center justify-center text-white font-semibold text-center p-5 box-border';
+                                  placeholder.innerHTML = `<span class="text-sm leading-tight break-words">${gameName.length > 20 ? gameName.substring(0, 20) + '...' : gameName}</span>`;
+                                  e.target.parentNode.replaceChild(placeholder, e.target);
+                                }}
+                              />
+                            ) : (
+                              <div className="w-full h-52 bg-gradient-to-br from-indigo-500 to-purple-600 flex items-center justify-center text-white font-semibold text-center p-5 box-border">
+                                <span className="text-sm leading-tight break-words">{gameName.length > 20 ? gameName.substring(0, 20) + '...' : gameName}</span>
+                              </div>
                             )}
-                          </>
-                        ) : (
-                          <span className="text-lg font-medium text-orange-600">No keys available</span>
-                        )}
+                            <WishlistButton game={game} className="absolute top-3 right-3" />
+                          </div>
+                          <div className="p-5 flex-1 flex flex-col">
+                            <h3 className="text-xl font-semibold mb-2.5 text-gray-800">{gameName}</h3>
+                            <div className="my-2.5 flex-1">
+                              <p className="text-gray-600 text-sm leading-relaxed overflow-hidden text-ellipsis" style={{display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical'}}>{gameDescription}</p>
+                            </div>
+                            <div className="flex items-center gap-2.5 mt-auto">
+                              {priceInfo.hasKeys ? (
+                                <>
+                                  <span className="text-2xl font-bold text-green-600">{priceInfo.displayPrice}</span>
+                                  {priceInfo.isOnSale && (
+                                    <span className="text-sm text-gray-500 line-through">{formatPrice(priceInfo.originalPrice)}</span>
+                                  )}
+                                  {priceInfo.keyType && (
+                                    <span className="text-sm bg-blue-100 text-blue-800 px-2 py-1 rounded font-medium">
+                                      {priceInfo.keyType}
+                                    </span>
+                                  )}
+                                  <LowStockBadge game={game} />
+                                </>
+                              ) : (
+                                <span className="text-lg font-medium text-orange-600">No keys available</span>
+                              )}
+                            </div>
+                          </div>
+                        </Link>
+                        <div className="px-5 pb-5">
+                          <button
+                            onClick={() => navigate(`/game/${game.id}`)}
+                            className="w-full py-3 bg-gradient-to-br from-indigo-500 to-purple-600 text-white border-none rounded-lg font-semibold cursor-pointer transition-all duration-300 hover:-translate-y-0.5 hover:shadow-md hover:shadow-indigo-500/30"
+                          >
+                            Buy
+                          </button>
+                        </div>
                       </div>
-                    </div>
+                    );
+                  })}
+                </div>
+                <LoadMoreTrigger
+                  onLoadMore={handleLoadMore}
+                  hasMore={Boolean(nextPage) && !loading}
+                  loading={loadingMore}
+                  error={loadMoreError}
+                />
+              </>
+            ) : hasActiveFilters(filters) ? (
+              <div className="flex justify-center items-center min-h-96">
+                <div className="text-center bg-white py-16 px-10 rounded-3xl shadow-lg max-md:py-12 max-md:px-8 max-[480px]:py-10 max-[480px]:px-5">
+                  <h3 className="text-3xl font-semibold text-gray-800 mb-4 max-md:text-2xl">No Matching Games</h3>
+                  <p className="text-lg text-gray-600 mb-6 leading-relaxed max-md:text-base">No games match these filters. Try removing some of them.</p>
+                  <button
+                    onClick={() => handleFiltersChange(EMPTY_CATALOG_FILTERS)}
+                    className="inline-flex items-center gap-2 px-6 py-3 bg-gradient-to-br from-indigo-500 to-purple-600 text-white rounded-lg font-semibold transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-indigo-500/30"
+                  >
+                    Clear Filters
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex justify-center items-center min-h-96">
+                <div className="text-center bg-white py-16 px-10 rounded-3xl shadow-lg max-md:py-12 max-md:px-8 max-[480px]:py-10 max-[480px]:px-5">
+                  <h3 className="text-3xl font-semibold text-gray-800 mb-4 max-md:text-2xl">No Games Available</h3>
+                  <p className="text-lg text-gray-600 mb-6 leading-relaxed max-md:text-base">There are currently no games in the catalog. Please check back later!</p>
+                  <Link to="/" className="inline-flex items-center gap-2 px-6 py-3 bg-gradient-to-br from-indigo-500 to-purple-600 text-white no-underline rounded-lg font-semibold transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-indigo-500/30">
+                    ← Back to Home
                   </Link>
-                  <div className="px-5 pb-5">
-                    <button
-                      onClick={() => navigate(`/game/${game.id}`)}
-                      className="w-full py-3 bg-gradient-to-br from-indigo-500 to-purple-600 text-white border-none rounded-lg font-semibold cursor-pointer transition-all duration-300 hover:-translate-y-0.5 hover:shadow-md hover:shadow-indigo-500/30"
-                    >
-                      Buy
-                    </button>
-                  </div>
                 </div>
-              );
-            })}
-          </div>
-        ) : (
-          <div className="flex justify-center items-center min-h-96">
-            <div className="text-center bg-white py-16 px-10 rounded-3xl shadow-lg max-md:py-12 max-md:px-8 max-[480px]:py-10 max-[480px]:px-5">
-              <h3 className="text-3xl font-semibold text-gray-800 mb-4 max-md:text-2xl">No Games Available</h3>
-              <p className="text-lg text-gray-600 mb-6 leading-relaxed max-md:text-base">There are currently no games in the catalog. Please check back later!</p>
-              <Link to="/" className="inline-flex items-center gap-2 px-6 py-3 bg-gradient-to-br from-indigo-500 to-purple-600 text-white no-underline rounded-lg font-semibold transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-indigo-500/30">
-                ← Back to Home
-              </Link>
-            </div>
+              </div>
+            )}
+
           </div>
-        )}
+        </div>
 
         {/* Back to Home */}
         <div className="text-center mt-10 max-md:mt-8">
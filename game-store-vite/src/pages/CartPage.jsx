@@ -1,7 +1,12 @@
 import { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useCart } from '../contexts/CartContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useSettings } from '../contexts/SettingsContext';
+import ReservationTimer from '../components/ReservationTimer';
+import { getReservationExpiry, canExtendReservation } from '../utils/reservationUtils';
 import { formatPrice } from '../utils/moneyUtils';
+import { getGameImageUrl } from '../utils/imageUtils';
 
 const CartPage = () => {
   const navigate = useNavigate();
@@ -10,9 +15,17 @@ const CartPage = () => {
     cartTotal,
     loading,
     error,
+    mergeConflicts,
+    expiredItems,
     removeFromCart,
-    clearCart
+    clearCart,
+    dismissMergeConflicts,
+    retryGuestCartMerge,
+    extendReservation,
+    dismissExpiredItems
   } = useCart();
+  const { authenticated } = useAuth();
+  const { settings } = useSettings();
 
   const [removingItems, setRemovingItems] = useState(new Set());
 
@@ -28,6 +41,14 @@ const CartPage = () => {
     });
   };
 
+  // Handle reservation extension
+  const handleExtendReservation = async (cartItemId) => {
+    const success = await extendReservation(cartItemId);
+    if (!success) {
+      alert('Could not extend the reservation. Each key can only be extended once.');
+    }
+  };
+
   // Handle clear cart
   const handleClearCart = async () => {
     if (cartItems.length === 0) return;
@@ -39,6 +60,11 @@ const CartPage = () => {
 
   // Handle checkout navigation
   const handleCheckout = () => {
+    if (!authenticated) {
+      // Guest cart is merged into the account on login, then the user lands on checkout
+      navigate('/login', { state: { from: { pathname: '/checkout' } } });
+      return;
+    }
     navigate('/checkout');
   };
 
@@ -59,6 +85,83 @@ const CartPage = () => {
           </div>
         </div>
 
+        {/* Guest Cart Merge Conflicts */}
+        {mergeConflicts.length > 0 && (
+          <div className="mb-6 bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <p className="font-semibold mb-1">
+                  {mergeConflicts.length === 1 ? 'One item' : `${mergeConflicts.length} items`} from your guest cart could not be added:
+                </p>
+                <ul className="list-disc list-inside text-sm space-y-1">
+                  {mergeConflicts.map(conflict => (
+                    <li key={conflict.game_key_id}>
+                      {conflict.game_name}{conflict.key_type ? ` (${conflict.key_type})` : ''}: {conflict.reason}
+                      {conflict.game_id && (
+                        <>
+                          {' '}
+                          <Link to={`/game/${conflict.game_id}`} className="underline font-medium">
+                            Choose another key
+                          </Link>
+                        </>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                {mergeConflicts.some(conflict => conflict.retryable) && (
+                  <button
+                    onClick={retryGuestCartMerge}
+                    disabled={loading}
+                    className="mt-2 text-sm font-semibold underline disabled:opacity-50"
+                  >
+                    Try again
+                  </button>
+                )}
+              </div>
+              <button
+                onClick={dismissMergeConflicts}
+                className="text-yellow-800 hover:text-yellow-900 text-xl font-bold leading-none"
+              >
+                ×
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Expired Reservations */}
+        {expiredItems.length > 0 && (
+          <div className="mb-6 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <p className="font-semibold mb-1">
+                  Your reservation expired and {expiredItems.length === 1 ? 'this key was' : 'these keys were'} released:
+                </p>
+                <ul className="list-disc list-inside text-sm space-y-1">
+                  {expiredItems.map(item => (
+                    <li key={item.cart_item_id}>
+                      {item.game_name}{item.key_type ? ` (${item.key_type})` : ''}
+                      {item.game_id && (
+                        <>
+                          {' '}
+                          <Link to={`/game/${item.game_id}`} className="underline font-medium">
+                            Add it again
+                          </Link>
+                        </>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <button
+                onClick={dismissExpiredItems}
+                className="text-red-700 hover:text-red-900 text-xl font-bold leading-none"
+              >
+                ×
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Loading State */}
         {loading && (
           <div className="bg-white rounded-lg shadow-md p-8 text-center">
@@ -129,7 +232,7 @@ const CartPage = () => {
                         {game.cover ? (
                           <>
                             <img 
-                              src={`https://s3.tebi.io/game-key-store/games/${game.cover}`}
+                              src={getGameImageUrl(game.cover)}
                               alt={game.name || 'Game'}
                               className="w-full h-full object-cover rounded-lg"
                               onError={(e) => {
@@ -163,6 +266,11 @@ const CartPage = () => {
                             {formatPrice(price)}
                           </span>
                         </div>
+                        <ReservationTimer
+                          expiresAt={getReservationExpiry(item)}
+                          canExtend={canExtendReservation(item)}
+                          onExtend={() => handleExtendReservation(item.id)}
+                        />
                       </div>
 
                       {/* Price and Remove */}
@@ -197,7 +305,7 @@ const CartPage = () => {
                   </div>
                   <div className="flex justify-between text-gray-600">
                     <span>Processing Fee</span>
-                    <span>$0.00</span>
+                    <span>{formatPrice(0)}</span>
                   </div>
                   <hr className="my-4" />
                   <div className="flex justify-between text-lg font-semibold text-gray-800">
@@ -210,10 +318,15 @@ const CartPage = () => {
                   onClick={handleCheckout}
                   className="w-full bg-gradient-to-br from-indigo-500 to-purple-600 text-white py-3 px-4 rounded-lg font-semibold transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-indigo-500/30 mb-4"
                 >
-                  Proceed to Checkout
+                  {authenticated ? 'Proceed to Checkout' : 'Login to Checkout'}
                 </button>
 
                 <div className="text-center text-sm text-gray-600">
+                  <p className="mb-2">
+                    {authenticated
+                      ? `When you start checkout, your keys are held for ${settings.reservation_minutes} minutes and the hold can be extended once.`
+                      : 'Log in to check out. Your keys are held for you once checkout starts.'}
+                  </p>
                   <p>Secure checkout with SSL encryption</p>
                 </div>
               </div>
@@ -1,23 +1,89 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCart } from '../contexts/CartContext';
 import { useAuth } from '../contexts/AuthContext';
-import { createOrder } from '../utils/apiUtils';
-import { formatPrice } from '../utils/moneyUtils';
+import { useSettings } from '../contexts/SettingsContext';
+import { createOrder, fetchOrderById } from '../utils/apiUtils';
+import { formatPrice, calculateCartTotal, getCurrency } from '../utils/moneyUtils';
+import { getGameImageUrl } from '../utils/imageUtils';
+import ReservationTimer from '../components/ReservationTimer';
+import { getCartItemGame } from '../utils/cartUtils';
+import { getEarliestReservationExpiry, canExtendReservation, isReservationExpired } from '../utils/reservationUtils';
+import { getTaxBreakdown, formatTaxLabel } from '../utils/invoiceUtils';
+import { getPaymentProvider, canSimulatePayments, withPaymentTimeout, PAYMENT_STATUS } from '../utils/paymentUtils';
+import {
+  ORDER_SUBMIT_RETRIES,
+  ORDER_RETRY_DELAY_MS,
+  createIdempotencyKey,
+  getCartSignature,
+  loadCheckoutAttempt,
+  saveCheckoutAttempt,
+  clearCheckoutAttempt,
+  isNetworkError,
+  getAlreadyProcessedOrder
+} from '../utils/checkoutUtils';
+
+const PAYMENT_STEP_LABELS = {
+  authorizing: 'Authorizing payment...',
+  challenge: 'Waiting for verification...',
+  confirming: 'Confirming payment...',
+  placing: 'Placing order...'
+};
+
+// Without a usable payment provider checkout stays closed instead of taking unpaid orders
+const loadPaymentProvider = () => {
+  try {
+    return { paymentProvider: getPaymentProvider(), paymentConfigError: null };
+  } catch (error) {
+    console.error('[Payments] Checkout is unavailable:', error);
+    return {
+      paymentProvider: null,
+      paymentConfigError: 'Payments are not set up for this store, so orders cannot be placed right now. Please try again later.'
+    };
+  }
+};
+
+const { paymentProvider, paymentConfigError } = loadPaymentProvider();
+const showTestScenarios = canSimulatePayments(paymentProvider);
 
 const CheckoutPage = () => {
   const navigate = useNavigate();
-  const { cartItems, cartTotal, clearCart, loading: cartLoading } = useCart();
+  const {
+    cartItems,
+    cartTotal,
+    clearCart,
+    loading: cartLoading,
+    expiredItems,
+    mergeConflicts,
+    reserveCart,
+    extendReservation,
+    validateCart,
+    acceptCartChanges
+  } = useCart();
   const { authenticated, user } = useAuth();
+  const { settings } = useSettings();
+  // Prices include tax; this is the same split the order's invoice will show
+  const taxRate = Number(settings.tax_rate) || 0;
+  const taxLabel = settings.tax_label || 'Tax';
+  const taxBreakdown = getTaxBreakdown(cartTotal, taxRate);
 
-  // Form states - simplified (no billing/payment info needed)
+  // Form states
   const [comment, setComment] = useState('');
 
   // UI states
   const [processing, setProcessing] = useState(false);
   const [errors, setErrors] = useState({});
-  const [orderComplete, setOrderComplete] = useState(false);
-  const [orderData, setOrderData] = useState(null);
+  // Differences between the cart shown and the server's cart, found right before ordering
+  const [cartChanges, setCartChanges] = useState([]);
+  const [acceptingChanges, setAcceptingChanges] = useState(false);
+  // Payment flow
+  const [paymentScenario, setPaymentScenario] = useState(showTestScenarios ? paymentProvider.scenarios?.[0]?.value || '' : '');
+  const [paymentStep, setPaymentStep] = useState('');
+  const [pendingPayment, setPendingPayment] = useState(null);
+  // Guards against double submits before the disabled button re-renders
+  const submittingRef = useRef(false);
+  // Current checkout attempt: { key, signature, payment }
+  const attemptRef = useRef(null);
 
   // Redirect if not authenticated
   useEffect(() => {
@@ -27,13 +93,64 @@ const CheckoutPage = () => {
     }
   }, [authenticated, navigate]);
 
-  // Redirect if cart is empty
+  // Redirect if cart is empty; after expired holds, go back to the cart where the notice is shown
   useEffect(() => {
     if (!cartLoading && cartItems.length === 0) {
-      navigate('/');
+      navigate(expiredItems.length > 0 || mergeConflicts.length > 0 ? '/cart' : '/');
       return;
     }
-  }, [cartItems.length, cartLoading, navigate]);
+  }, [cartItems.length, cartLoading, expiredItems.length, mergeConflicts.length, navigate]);
+
+  // Guest items that could not be moved into the cart at login are explained on the cart page
+  useEffect(() => {
+    if (mergeConflicts.length > 0) {
+      navigate('/cart');
+    }
+  }, [mergeConflicts.length, navigate]);
+
+  // Hold every key in the cart while the customer checks out
+  useEffect(() => {
+    if (!authenticated) return;
+
+    reserveCart().then(success => {
+      if (!success) {
+        setErrors(prev => ({ ...prev, reservation: 'We could not reserve your keys. They may be bought by someone else before you finish.' }));
+      }
+    });
+  }, [authenticated, reserveCart]);
+
+  const reservationExpiry = getEarliestReservationExpiry(cartItems);
+  const extendableItems = cartItems.filter(canExtendReservation);
+
+  // Extend every hold that has not been extended yet
+  const handleExtendReservations = async () => {
+    const results = await Promise.all(extendableItems.map(item => extendReservation(item.id)));
+    if (results.includes(false)) {
+      setErrors(prev => ({ ...prev, reservation: 'Some reservations could not be extended.' }));
+    }
+  };
+
+  // What the total becomes once the customer accepts the changes
+  const changedItems = new Map(cartChanges.map(change => [change.item.id, change]));
+  const reconciledTotal = calculateCartTotal([
+    ...cartItems
+      .filter(item => changedItems.get(item.id)?.type !== 'unavailable')
+      .map(item => changedItems.get(item.id)?.item || item),
+    ...cartChanges.filter(change => change.type === 'added').map(change => change.item)
+  ]);
+
+  const handleAcceptChanges = async () => {
+    try {
+      setAcceptingChanges(true);
+      await acceptCartChanges(cartChanges);
+      setCartChanges([]);
+    } catch (error) {
+      console.error('Failed to apply cart changes:', error);
+      setErrors({ submit: 'Failed to update your cart. Please try again.' });
+    } finally {
+      setAcceptingChanges(false);
+    }
+  };
 
   // No need to pre-fill user info since we removed billing forms
 
@@ -44,24 +161,193 @@ const CheckoutPage = () => {
       setErrors({ submit: 'Cart is empty' });
       return false;
     }
+    if (cartItems.some(item => isReservationExpired(item))) {
+      setErrors({ submit: 'Your reservation has expired. Please review your cart.' });
+      return false;
+    }
     setErrors({});
     return true;
   };
 
   // No input handlers needed since we removed all form fields
 
+  const stopProcessing = () => {
+    submittingRef.current = false;
+    setProcessing(false);
+  };
+
+  // Reuse the unfinished attempt for this cart, or start a new one with a fresh idempotency key
+  const getCheckoutAttempt = () => {
+    const signature = getCartSignature(cartItems);
+    if (attemptRef.current?.signature !== signature) {
+      attemptRef.current = loadCheckoutAttempt(cartItems) || { key: createIdempotencyKey(), signature, payment: null };
+      saveCheckoutAttempt(attemptRef.current);
+    }
+    return attemptRef.current;
+  };
+
+  const finishCheckoutAttempt = () => {
+    attemptRef.current = null;
+    clearCheckoutAttempt();
+  };
+
   // Process order
   const handleSubmitOrder = async (e) => {
     e.preventDefault();
 
-    if (!validateForm()) {
+    if (submittingRef.current || !validateForm()) {
       return;
     }
 
+    if (paymentConfigError) {
+      setErrors({ submit: paymentConfigError });
+      return;
+    }
+
+    submittingRef.current = true;
     setProcessing(true);
     setErrors({});
 
+    // A previous attempt was paid for but its order was never confirmed: retry only the order
+    const attempt = getCheckoutAttempt();
+    if (attempt.payment) {
+      await placeOrder(attempt.payment);
+      return;
+    }
+
+    // Make sure every key is still available at the price shown before ordering
     try {
+      const changes = await validateCart();
+      if (changes.length > 0) {
+        setCartChanges(changes);
+        stopProcessing();
+        return;
+      }
+    } catch (error) {
+      console.error('Cart validation failed:', error);
+      setErrors({ submit: 'We could not verify your cart. Please try again.' });
+      stopProcessing();
+      return;
+    }
+
+    let payment = null;
+    try {
+      setPaymentStep('authorizing');
+      payment = await withPaymentTimeout(paymentProvider.authorize({
+        amount: cartTotal,
+        currency: getCurrency(),
+        // Same key as the order, so the provider can deduplicate repeated attempts too
+        reference: attempt.key,
+        scenario: paymentScenario || undefined
+      }));
+    } catch (error) {
+      console.error('Payment authorization failed:', error);
+      failPayment(error.message || 'Payment failed. Please try again.');
+      return;
+    }
+
+    if (payment.status === PAYMENT_STATUS.DECLINED) {
+      failPayment(payment.message || 'Your payment was declined.');
+      return;
+    }
+
+    // 3-D Secure style verification: wait for the customer before confirming
+    if (payment.status === PAYMENT_STATUS.REQUIRES_ACTION) {
+      setPendingPayment(payment);
+      setPaymentStep('challenge');
+      return;
+    }
+
+    await completePayment(payment);
+  };
+
+  // Reset the payment flow and show why it stopped
+  const failPayment = (message) => {
+    setErrors({ submit: message });
+    setPendingPayment(null);
+    setPaymentStep('');
+    stopProcessing();
+  };
+
+  // Void a payment that will not be used; failures are only logged since there is nothing more to do
+  const cancelPayment = async (paymentId) => {
+    try {
+      await withPaymentTimeout(paymentProvider.cancel(paymentId));
+    } catch (error) {
+      console.error(`Failed to cancel payment ${paymentId}:`, error);
+    }
+  };
+
+  // Confirm an authorized payment, then place the order against it
+  const completePayment = async (payment, details = {}) => {
+    let confirmed;
+    try {
+      setPaymentStep('confirming');
+      confirmed = await withPaymentTimeout(paymentProvider.confirm(payment.id, details));
+    } catch (error) {
+      console.error('Payment confirmation failed:', error);
+      await cancelPayment(payment.id);
+      failPayment(error.message || 'Payment failed. Please try again.');
+      return;
+    }
+
+    if (confirmed.status !== PAYMENT_STATUS.SUCCEEDED) {
+      failPayment(confirmed.message || 'Your payment could not be completed.');
+      return;
+    }
+
+    // Remember the payment so a retry after a network error does not charge again
+    const attempt = getCheckoutAttempt();
+    attempt.payment = { id: confirmed.id, status: confirmed.status };
+    saveCheckoutAttempt(attempt);
+
+    await placeOrder(confirmed);
+  };
+
+  const handleChallengeResult = async (challengePassed) => {
+    const payment = pendingPayment;
+    setPendingPayment(null);
+    await completePayment(payment, { challengePassed });
+  };
+
+  const handleCancelPayment = async () => {
+    const payment = pendingPayment;
+    setPendingPayment(null);
+    await cancelPayment(payment.id);
+    failPayment('Payment cancelled. You have not been charged.');
+  };
+
+  // Send the order, retrying network failures with the same idempotency key
+  const submitOrder = async (orderPayload, idempotencyKey) => {
+    for (let retry = 0; ; retry++) {
+      try {
+        return await createOrder(orderPayload, idempotencyKey);
+      } catch (error) {
+        // The server already handled this attempt (e.g. the first response was lost): show that order
+        const processed = getAlreadyProcessedOrder(error);
+        if (processed) {
+          console.log('Order was already placed for this checkout attempt:', processed.orderId);
+          if (processed.order) return processed.order;
+          const existing = await fetchOrderById(processed.orderId).catch(() => null);
+          return existing?.data || existing || { id: processed.orderId };
+        }
+
+        if (isNetworkError(error) && retry < ORDER_SUBMIT_RETRIES) {
+          console.warn(`Order submission failed with a network error, retrying (${retry + 1}/${ORDER_SUBMIT_RETRIES})`);
+          await new Promise(resolve => setTimeout(resolve, ORDER_RETRY_DELAY_MS * (retry + 1)));
+          continue;
+        }
+        throw error;
+      }
+    }
+  };
+
+  const placeOrder = async (payment) => {
+    const attempt = getCheckoutAttempt();
+
+    try {
+      setPaymentStep('placing');
+
       // Prepare simplified order data
       const orderPayload = {
         cartItems: cartItems.map(item => ({
@@ -69,28 +355,51 @@ const CheckoutPage = () => {
           price: item.game_key?.price || 0
         })),
         total_price: cartTotal,
-        comment: comment.trim() || null // Include comment if provided
+        // Stored on the order so its invoice keeps this tax even if the store's rate changes later
+        tax_label: taxLabel,
+        tax_rate: taxRate,
+        tax_amount: taxBreakdown.tax,
+        comment: comment.trim() || null, // Include comment if provided
+        payment: {
+          provider: paymentProvider.id,
+          payment_id: payment.id
+        }
       };
 
       console.log('Submitting order:', orderPayload);
 
       // Submit order to API
-      const response = await createOrder(orderPayload);
+      const response = await submitOrder(orderPayload, attempt.key);
       
       console.log('Order response:', response);
-      
+      finishCheckoutAttempt();
+
+      // Show the receipt on its own route so a reload keeps it. Navigate before
+      // clearing the cart, or the empty-cart redirect above would win.
+      const orderId = response?.id || response?.data?.id || response?.order_id;
+      if (orderId) {
+        navigate(`/orders/${orderId}`, { replace: true, state: { justPlaced: true } });
+      } else {
+        navigate('/profile?tab=orders', { replace: true });
+      }
+
       // Clear cart after successful order
-      await clearCart();
-      
-      // Set order complete state
-      setOrderData(response);
-      setOrderComplete(true);
+      clearCart();
 
     } catch (error) {
       console.error('Order submission failed:', error);
-      setErrors({ submit: error.message || 'Failed to process order. Please try again.' });
+      if (isNetworkError(error)) {
+        // The order may have gone through, so keep the payment and key for the next try
+        setErrors({ submit: 'We could not reach the store to confirm your order. Check your connection and click Complete Order again. You will not be charged twice.' });
+      } else {
+        // The order was not created, so release the payment
+        await cancelPayment(payment.id);
+        finishCheckoutAttempt();
+        setErrors({ submit: error.message || 'Failed to process order. Please try again.' });
+      }
     } finally {
-      setProcessing(false);
+      setPaymentStep('');
+      stopProcessing();
     }
   };
 
@@ -108,50 +417,6 @@ const CheckoutPage = () => {
     );
   }
 
-  // Order complete state
-  if (orderComplete && orderData) {
-    return (
-      <div className="min-h-screen bg-gray-50 py-10">
-        <div className="max-w-4xl mx-auto px-5">
-          <div className="bg-white rounded-3xl shadow-lg p-10 text-center">
-            <div className="text-6xl mb-6">🎉</div>
-            <h1 className="text-3xl font-bold text-green-600 mb-4">Order Complete!</h1>
-            <p className="text-gray-600 text-lg mb-6">
-              Thank you for your purchase! Your game keys will be delivered to your email shortly.
-            </p>
-            
-            <div className="bg-gray-50 rounded-xl p-6 mb-8 text-left">
-              <h3 className="text-xl font-semibold text-gray-800 mb-4">Order Summary</h3>
-              <div className="space-y-2">
-                <div className="flex justify-between">
-                  <span className="font-medium">Order ID:</span>
-                  <span className="text-gray-600">#{orderData.id || 'N/A'}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="font-medium">Total Paid:</span>
-                  <span className="font-bold text-green-600">{formatPrice(cartTotal)}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="font-medium">Email:</span>
-                  <span className="text-gray-600">{user?.email || 'N/A'}</span>
-                </div>
-              </div>
-            </div>
-
-            <div className="flex gap-4 justify-center">
-              <button
-                onClick={() => navigate('/')}
-                className="px-6 py-3 bg-gradient-to-br from-indigo-500 to-purple-600 text-white rounded-lg font-semibold transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-indigo-500/30"
-              >
-                Continue Shopping
-              </button>
-            </div>
-          </div>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="min-h-screen bg-gray-50 py-10">
       <div className="max-w-6xl mx-auto px-5">
@@ -161,6 +426,105 @@ const CheckoutPage = () => {
         </div>
 
         <div className="max-w-4xl mx-auto">
+          {/* Reservation */}
+          {reservationExpiry && (
+            <div className="bg-indigo-50 border border-indigo-200 rounded-2xl px-6 py-4 mb-8 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+              <p className="text-sm text-indigo-900">
+                Your keys are reserved while you check out. When the timer runs out they are released to other customers.
+              </p>
+              <ReservationTimer
+                expiresAt={reservationExpiry}
+                canExtend={extendableItems.length > 0}
+                onExtend={handleExtendReservations}
+                label="Time left"
+              />
+            </div>
+          )}
+
+          {errors.reservation && (
+            <div className="mb-8 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <p className="text-yellow-800 text-sm">{errors.reservation}</p>
+            </div>
+          )}
+
+          {/* Cart Changes */}
+          {cartChanges.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-300 rounded-2xl p-6 mb-8">
+              <h2 className="text-xl font-semibold text-yellow-900 mb-2">Your cart has changed</h2>
+              <p className="text-sm text-yellow-800 mb-4">
+                Some items changed since you added them. Review the changes below and accept them to continue.
+              </p>
+
+              <div className="overflow-x-auto mb-4">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-medium text-yellow-900 uppercase tracking-wider">
+                      <th className="py-2 pr-4">Item</th>
+                      <th className="py-2 pr-4">Change</th>
+                      <th className="py-2 pr-4 text-right">Before</th>
+                      <th className="py-2 text-right">Now</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-yellow-200">
+                    {cartChanges.map(change => {
+                      const game = getCartItemGame(change.item);
+                      const keyType = change.item.game_key?.key_type;
+                      return (
+                        <tr key={`${change.type}-${change.item.id}`}>
+                          <td className="py-2 pr-4 text-gray-800">
+                            {game.name || 'Unknown Game'}{keyType ? ` (${keyType})` : ''}
+                          </td>
+                          <td className="py-2 pr-4">
+                            {change.type === 'unavailable' && <span className="text-red-700">No longer available, will be removed</span>}
+                            {change.type === 'price' && (
+                              <span className={change.newPrice > change.oldPrice ? 'text-red-700' : 'text-green-700'}>
+                                Price {change.newPrice > change.oldPrice ? 'increased' : 'decreased'}
+                              </span>
+                            )}
+                            {change.type === 'added' && <span className="text-gray-700">Added to your cart elsewhere</span>}
+                          </td>
+                          <td className="py-2 pr-4 text-right text-gray-500">
+                            {change.oldPrice != null ? <span className="line-through">{formatPrice(change.oldPrice)}</span> : '—'}
+                          </td>
+                          <td className="py-2 text-right font-medium text-gray-800">
+                            {change.newPrice != null ? formatPrice(change.newPrice) : '—'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex justify-between items-center border-t border-yellow-200 pt-3 mb-4 text-sm">
+                <span className="text-yellow-900">New total</span>
+                <span>
+                  <span className="text-gray-500 line-through mr-2">{formatPrice(cartTotal)}</span>
+                  <span className="font-bold text-gray-800">{formatPrice(reconciledTotal)}</span>
+                </span>
+              </div>
+
+              <div className="flex flex-col sm:flex-row gap-3 justify-end">
+                <button
+                  type="button"
+                  onClick={() => navigate('/cart')}
+                  disabled={acceptingChanges}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Back to Cart
+                </button>
+                <button
+                  type="button"
+                  onClick={handleAcceptChanges}
+                  disabled={acceptingChanges}
+                  className="px-4 py-2 bg-yellow-600 text-white rounded-lg font-semibold hover:bg-yellow-700 disabled:opacity-50"
+                >
+                  {acceptingChanges ? 'Updating...' : 'Accept Changes'}
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Order Summary */}
           <div className="bg-white rounded-2xl shadow-lg p-6 mb-8">
             <h2 className="text-xl font-semibold text-gray-800 mb-4">Order Summary</h2>
@@ -180,7 +544,7 @@ const CheckoutPage = () => {
                         {game.cover ? (
                           <>
                             <img 
-                              src={`https://s3.tebi.io/game-key-store/games/${game.cover}`}
+                              src={getGameImageUrl(game.cover)}
                               alt={game.name || 'Game'}
                               className="w-full h-full object-cover rounded-lg"
                               onError={(e) => {
@@ -227,8 +591,12 @@ const CheckoutPage = () => {
                   <span className="font-medium">{formatPrice(cartTotal)}</span>
                 </div>
                 <div className="flex justify-between items-center mb-2">
-                  <span className="text-gray-600">Tax</span>
-                  <span className="font-medium">$0.00</span>
+                  <span className="text-gray-600">Net amount (excl. {taxLabel})</span>
+                  <span className="font-medium">{formatPrice(taxBreakdown.net)}</span>
+                </div>
+                <div className="flex justify-between items-center mb-2">
+                  <span className="text-gray-600">{formatTaxLabel(taxLabel, taxRate)}</span>
+                  <span className="font-medium">{formatPrice(taxBreakdown.tax)}</span>
                 </div>
                 <div className="flex justify-between items-center text-lg font-bold text-gray-800 pt-2 border-t">
                   <span>Total</span>
@@ -250,6 +618,34 @@ const CheckoutPage = () => {
                 <p className="text-gray-600">Your game keys will be delivered instantly to your email: <strong>{user?.email || 'N/A'}</strong></p>
               </div>
 
+              {/* Payment */}
+              <div className="mb-6">
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Payment</h3>
+                {paymentConfigError ? (
+                  <p className="text-sm text-red-600">{paymentConfigError}</p>
+                ) : (
+                  <p className="text-sm text-gray-600 mb-2">Paying with {paymentProvider.name}</p>
+                )}
+                {showTestScenarios && paymentProvider.scenarios?.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Test Scenario
+                    </label>
+                    <select
+                      value={paymentScenario}
+                      onChange={(e) => setPaymentScenario(e.target.value)}
+                      disabled={processing}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    >
+                      {paymentProvider.scenarios.map(scenario => (
+                        <option key={scenario.value} value={scenario.value}>{scenario.label}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">Test mode: no real payment is taken.</p>
+                  </div>
+                )}
+              </div>
+
               {/* Comment Field */}
               <div className="mb-6">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -280,13 +676,13 @@ const CheckoutPage = () => {
                   </button>
                   <button
                     type="submit"
-                    disabled={processing || cartItems.length === 0}
+                    disabled={processing || cartItems.length === 0 || cartChanges.length > 0 || Boolean(paymentConfigError)}
                     className="flex-1 px-6 py-3 bg-gradient-to-br from-indigo-500 to-purple-600 text-white rounded-lg font-semibold transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-indigo-500/30 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
                   >
                     {processing ? (
                       <span className="flex items-center justify-center gap-2">
                         <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                        Processing...
+                        {PAYMENT_STEP_LABELS[paymentStep] || 'Processing...'}
                       </span>
                     ) : (
                       `Complete Order • ${formatPrice(cartTotal)}`
@@ -295,12 +691,64 @@ const CheckoutPage = () => {
                 </div>
 
                 <div className="mt-4 text-center text-sm text-gray-500">
-                  <p>🚀 Instant delivery • No payment details required</p>
+                  <p>🚀 Instant delivery • Secure payment</p>
                 </div>
               </form>
             </div>
         </div>
       </div>
+
+      {/* Payment Verification (3-D Secure style challenge) */}
+      {pendingPayment && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl shadow-lg max-w-md w-full p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-2">Verify your payment</h2>
+            <p className="text-gray-600 mb-4">
+              {pendingPayment.action?.message || 'Your bank needs you to confirm this payment.'}
+            </p>
+            <p className="text-sm text-gray-500 mb-6">
+              Amount: <strong>{formatPrice(pendingPayment.amount ?? cartTotal)}</strong>
+            </p>
+
+            {pendingPayment.action?.redirect_url && (
+              <a
+                href={pendingPayment.action.redirect_url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="block text-center mb-4 text-indigo-600 hover:text-indigo-800 font-medium underline"
+              >
+                Open your bank's verification page
+              </a>
+            )}
+
+            <div className="flex flex-col gap-3">
+              <button
+                type="button"
+                onClick={() => handleChallengeResult(true)}
+                className="px-4 py-2 bg-gradient-to-br from-indigo-500 to-purple-600 text-white rounded-lg font-semibold"
+              >
+                {pendingPayment.action?.redirect_url ? "I've completed verification" : 'Approve payment'}
+              </button>
+              {showTestScenarios && (
+                <button
+                  type="button"
+                  onClick={() => handleChallengeResult(false)}
+                  className="px-4 py-2 border border-red-300 text-red-600 rounded-lg font-semibold hover:bg-red-50"
+                >
+                  Fail verification
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={handleCancelPayment}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50"
+              >
+                Cancel payment
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,9 +1,12 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { fetchGameById, fetchGamesByCategory } from '../utils/apiUtils';
-import { getBestGamePrice } from '../utils/priceUtils';
+import { getBestGamePrice, formatPrice } from '../utils/priceUtils';
+import { getAvailableKeys } from '../utils/gameKeyUtils';
 import { useCart } from '../contexts/CartContext';
-import { useAuth } from '../contexts/AuthContext';
+import { getGameImageUrl } from '../utils/imageUtils';
+import LowStockBadge from '../components/LowStockBadge';
+import WishlistButton from '../components/WishlistButton';
 
 const GameDetailPage = () => {
   const { gameId } = useParams();
@@ -15,7 +18,6 @@ const GameDetailPage = () => {
   const [addingToCart, setAddingToCart] = useState({});
   
   const { addToCart, error: cartError } = useCart();
-  const { authenticated } = useAuth();
 
   useEffect(() => {
     const loadGame = async () => {
@@ -97,18 +99,15 @@ const GameDetailPage = () => {
   };
 
   // Handle adding game key to cart
-  const handleAddToCart = async (gameKeyId) => {
-    // Check if user is authenticated
-    if (!authenticated) {
-      alert('Please login to add items to cart.');
-      return;
-    }
+  const handleAddToCart = async (gameKey) => {
+    const gameKeyId = gameKey.id;
 
     try {
       setAddingToCart(prev => ({ ...prev, [gameKeyId]: true }));
       console.log('Adding game key to cart:', gameKeyId);
       
-      const success = await addToCart(gameKeyId, 1);
+      // Anonymous shoppers get a local cart that is merged into their account on login
+      const success = await addToCart(gameKeyId, 1, gameKey, game);
       
       if (success) {
         console.log('Game key added to cart successfully');
@@ -172,6 +171,7 @@ const GameDetailPage = () => {
   // Defensive data extraction
   const gameName = game.name || `Game ${game.id}`;
   const gameDescription = game.description || 'No description available for this game.';
+  const availableKeys = getAvailableKeys(game);
 
   return (
     <div className="min-h-screen bg-gray-50 py-10 max-md:py-5">
@@ -188,7 +188,7 @@ const GameDetailPage = () => {
           <div>
             {game.cover ? (
               <img 
-                src={`https://s3.tebi.io/game-key-store/games/${game.cover}`} 
+                src={getGameImageUrl(game.cover)} 
                 alt={gameName}
                 className="w-full h-auto max-h-96 object-cover rounded-2xl shadow-lg"
                 onError={(e) => {
@@ -213,7 +213,10 @@ const GameDetailPage = () => {
           </div>
           
           <div className="flex flex-col gap-6">
-            <h1 className="text-4xl font-bold text-gray-800 m-0 leading-tight max-md:text-3xl max-[480px]:text-2xl">{gameName}</h1>
+            <div className="flex items-start justify-between gap-4 max-[480px]:flex-col">
+              <h1 className="text-4xl font-bold text-gray-800 m-0 leading-tight max-md:text-3xl max-[480px]:text-2xl">{gameName}</h1>
+              <WishlistButton game={game} showLabel className="flex-shrink-0" />
+            </div>
             
             <div className="flex flex-col gap-3 p-5 bg-gray-50 rounded-xl border-l-4 border-indigo-500">
               {(game.category_id || game.category) && (
@@ -241,16 +244,19 @@ const GameDetailPage = () => {
 
             {/* Game Keys Section */}
             <div className="bg-gradient-to-br from-indigo-500 to-purple-600 p-6 rounded-2xl text-white">
-              <h3 className="text-xl font-semibold mb-4">Available Game Keys</h3>
+              <div className="flex items-center justify-between gap-3 mb-4">
+                <h3 className="text-xl font-semibold">Available Game Keys</h3>
+                <LowStockBadge game={game} />
+              </div>
               
-              {(game.game_keys && game.game_keys.length > 0) ? (
+              {availableKeys.length > 0 ? (
                 <div className="space-y-3">
-                  {game.game_keys.map((gameKey, index) => (
+                  {availableKeys.map((gameKey, index) => (
                     <div key={gameKey.id || index} className="bg-white/10 rounded-xl p-4 backdrop-blur-sm">
                       <div className="flex items-center justify-between mb-3">
                         <div>
                           <div className="text-lg font-semibold">
-                            ${((gameKey.price || 0))}
+                            {formatPrice(gameKey.price || 0)}
                           </div>
                           {gameKey.key_type && (
                             <div className="text-sm opacity-90">
@@ -259,12 +265,11 @@ const GameDetailPage = () => {
                           )}
                         </div>
                         <button 
-                          onClick={() => handleAddToCart(gameKey.id)}
-                          disabled={addingToCart[gameKey.id] || !authenticated}
+                          onClick={() => handleAddToCart(gameKey)}
+                          disabled={addingToCart[gameKey.id]}
                           className="px-4 py-2 bg-white text-indigo-500 border-none rounded-lg font-semibold cursor-pointer transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-black/20 disabled:opacity-50 disabled:cursor-not-allowed"
-                          title={!authenticated ? 'Please login to add items to cart' : ''}
                         >
-                          {addingToCart[gameKey.id] ? 'Adding...' : (!authenticated ? 'Login to Add' : 'Add to Cart')}
+                          {addingToCart[gameKey.id] ? 'Adding...' : 'Add to Cart'}
                         </button>
                       </div>
                       {gameKey.created_at && (
@@ -280,6 +285,7 @@ const GameDetailPage = () => {
                   <div className="text-2xl mb-2">🔑</div>
                   <p className="text-lg font-medium mb-2">No Game Keys Available</p>
                   <p className="text-sm opacity-90">This game currently has no available keys for purchase.</p>
+                  <p className="text-sm opacity-90 mt-2">Add it to your wishlist to be notified when keys are back in stock.</p>
                 </div>
               )}
             </div>
@@ -349,7 +355,7 @@ const GameDetailPage = () => {
                       <div className="relative w-full h-36 overflow-hidden">
                         {relatedGame.cover ? (
                           <img
-                            src={`https://s3.tebi.io/game-key-store/games/${relatedGame.cover}`}
+                            src={getGameImageUrl(relatedGame.cover)}
                             alt={relatedGameName}
                             className="w-full h-full object-cover transition-transform duration-300 hover:scale-105"
                             onError={(e) => {
@@ -383,6 +389,7 @@ const GameDetailPage = () => {
                                   {priceInfo.keyType}
                                 </span>
                               )}
+                              <LowStockBadge game={relatedGame} />
                             </>
                           ) : (
                             <span className="text-lg font-medium text-orange-600">No keys available</span>
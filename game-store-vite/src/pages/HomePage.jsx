@@ -1,22 +1,51 @@
 import { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import CategoriesSection from '../components/CategoriesSection';
 import { fetchGames } from '../utils/apiUtils';
 import { getBestGamePrice } from '../utils/priceUtils';
+import { useSettings } from '../contexts/SettingsContext';
+import { getGameImageUrl } from '../utils/imageUtils';
+import { parseCatalogSort, applyCatalogSort, sortGames, DEFAULT_CATALOG_SORT } from '../utils/catalogSortUtils';
+import LowStockBadge from '../components/LowStockBadge';
+import WishlistButton from '../components/WishlistButton';
+import CatalogSortSelect from '../components/CatalogSortSelect';
+
+// Games shown when staff haven't picked any featured games
+const FEATURED_GAMES_LIMIT = 6;
 
 const HomePage = () => {
   const [games, setGames] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sort = parseCatalogSort(searchParams);
+  const { settings } = useSettings();
+  const featuredGameIds = settings.featured_game_ids || [];
+  const featuredKey = featuredGameIds.join(',');
 
   useEffect(() => {
     const loadGames = async () => {
       try {
         setLoading(true);
-        const response = await fetchGames({ includeGameKeys: true });
-        // Take first 6 games for featured section
-        setGames(response.data?.slice(0, 6) || []);
+        const featuredIds = featuredKey ? featuredKey.split(',') : [];
+        if (featuredIds.length > 0) {
+          const response = await fetchGames({ ids: featuredIds, priceSummary: true });
+          const featuredGames = response.data || [];
+          // The default sort keeps the order staff picked in the settings console
+          setGames(sortGames(featuredIds
+            .map(id => featuredGames.find(game => String(game.id) === id))
+            .filter(Boolean), sort));
+        } else {
+          // Take the first page of 6 games, in the chosen order, for the featured section
+          const response = await fetchGames({
+            priceSummary: true,
+            sort: sort !== DEFAULT_CATALOG_SORT ? sort : undefined,
+            page: 1,
+            limit: FEATURED_GAMES_LIMIT
+          });
+          setGames((response.data || []).slice(0, FEATURED_GAMES_LIMIT));
+        }
         setError(null);
       } catch (err) {
         console.error('Failed to fetch games:', err);
@@ -29,7 +58,11 @@ const HomePage = () => {
     };
 
     loadGames();
-  }, []);
+  }, [featuredKey, sort]);
+
+  const handleSortChange = (nextSort) => {
+    setSearchParams(applyCatalogSort(searchParams, nextSort));
+  };
 
 
   return (
@@ -37,8 +70,10 @@ const HomePage = () => {
       {/* Hero Section */}
       <section className="bg-gradient-to-br from-indigo-500 to-purple-600 py-20 px-5 flex items-center justify-between max-w-6xl mx-auto gap-16 max-md:flex-col max-md:text-center max-md:py-12 max-md:gap-10">
         <div className="flex-1 text-white">
-          <h1 className="text-6xl font-bold mb-5 leading-tight max-md:text-5xl max-[480px]:text-4xl">Your Digital Game Key Store</h1>
-          <p className="text-xl mb-8 opacity-90 max-md:text-lg">Instant game key delivery • Best prices guaranteed • Secure digital downloads</p>
+          <h1 className="text-6xl font-bold mb-5 leading-tight max-md:text-5xl max-[480px]:text-4xl">{settings.hero_title}</h1>
+          {settings.hero_subtitle && (
+            <p className="text-xl mb-8 opacity-90 max-md:text-lg">{settings.hero_subtitle}</p>
+          )}
           <Link 
             to="/games" 
             className="inline-block bg-white text-indigo-500 px-8 py-4 border-none rounded-lg text-lg font-semibold cursor-pointer transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-black/20 no-underline"
@@ -78,9 +113,12 @@ const HomePage = () => {
         <div className="max-w-6xl mx-auto px-5">
           <div className="flex justify-between items-center mb-12 max-md:flex-col max-md:gap-5 max-md:text-center">
             <h2 className="text-4xl font-bold text-gray-800 m-0 max-md:text-3xl">Featured Games</h2>
-            <Link to="/games" className="inline-flex items-center gap-2 px-6 py-3 bg-gradient-to-br from-indigo-500 to-purple-600 text-white no-underline rounded-lg font-semibold text-base transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-indigo-500/30">
-              Show All Games →
-            </Link>
+            <div className="flex items-center gap-4 max-md:flex-col">
+              <CatalogSortSelect value={sort} onChange={handleSortChange} id="home-sort" />
+              <Link to={`/games${sort !== DEFAULT_CATALOG_SORT ? `?sort=${sort}` : ''}`} className="inline-flex items-center gap-2 px-6 py-3 bg-gradient-to-br from-indigo-500 to-purple-600 text-white no-underline rounded-lg font-semibold text-base transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-indigo-500/30">
+                Show All Games →
+              </Link>
+            </div>
           </div>
           {loading && (
             <div className="text-center py-16">
@@ -112,7 +150,7 @@ const HomePage = () => {
                         <div className="relative overflow-hidden">
                           {game.cover ? (
                             <img 
-                              src={`https://s3.tebi.io/game-key-store/games/${game.cover}`} 
+                              src={getGameImageUrl(game.cover)} 
                               alt={gameName}
                               className="w-full h-52 object-cover transition-transform duration-300 hover:scale-105"
                               onError={(e) => {
@@ -128,6 +166,7 @@ const HomePage = () => {
                               <span className="text-sm leading-tight break-words">{gameName.length > 20 ? gameName.substring(0, 20) + '...' : gameName}</span>
                             </div>
                           )}
+                          <WishlistButton game={game} className="absolute top-3 right-3" />
                         </div>
                         <div className="p-5 flex-1 flex flex-col">
                           <h3 className="text-xl font-semibold mb-2.5 text-gray-800">{gameName}</h3>
@@ -143,6 +182,7 @@ const HomePage = () => {
                                     {priceInfo.keyType}
                                   </span>
                                 )}
+                                <LowStockBadge game={game} />
                               </>
                             ) : (
                               <span className="text-lg font-medium text-orange-600">No keys available</span>
@@ -172,28 +212,20 @@ const HomePage = () => {
       </section>
 
       {/* Stats Section */}
-      <section className="py-20 bg-white">
-        <div className="max-w-6xl mx-auto px-5">
-          <div className="grid grid-cols-[repeat(auto-fit,minmax(200px,1fr))] gap-10 text-center max-md:grid-cols-2 max-md:gap-8 max-[480px]:grid-cols-1">
-            <div>
-              <h3 className="text-5xl font-bold text-indigo-500 mb-2.5 max-md:text-4xl">10,000+</h3>
-              <p className="text-lg text-gray-600 font-medium">Games Available</p>
-            </div>
-            <div>
-              <h3 className="text-5xl font-bold text-indigo-500 mb-2.5 max-md:text-4xl">50,000+</h3>
-              <p className="text-lg text-gray-600 font-medium">Happy Customers</p>
-            </div>
-            <div>
-              <h3 className="text-5xl font-bold text-indigo-500 mb-2.5 max-md:text-4xl">99.9%</h3>
-              <p className="text-lg text-gray-600 font-medium">Uptime</p>
-            </div>
-            <div>
-              <h3 className="text-5xl font-bold text-indigo-500 mb-2.5 max-md:text-4xl">24/7</h3>
-              <p className="text-lg text-gray-600 font-medium">Customer Support</p>
+      {settings.stats && settings.stats.length > 0 && (
+        <section className="py-20 bg-white">
+          <div className="max-w-6xl mx-auto px-5">
+            <div className="grid grid-cols-[repeat(auto-fit,minmax(200px,1fr))] gap-10 text-center max-md:grid-cols-2 max-md:gap-8 max-[480px]:grid-cols-1">
+              {settings.stats.map((stat, index) => (
+                <div key={index}>
+                  <h3 className="text-5xl font-bold text-indigo-500 mb-2.5 max-md:text-4xl">{stat.value}</h3>
+                  <p className="text-lg text-gray-600 font-medium">{stat.label}</p>
+                </div>
+              ))}
             </div>
           </div>
-        </div>
-      </section>
+        </section>
+      )}
 
       {/* Newsletter Section */}
       <section className="py-20 bg-gradient-to-br from-indigo-500 to-purple-600">
@@ -0,0 +1,205 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useSettings } from '../contexts/SettingsContext';
+import { fetchOrderById } from '../utils/apiUtils';
+import { formatPrice } from '../utils/moneyUtils';
+import { formatOrderDate } from '../utils/orderUtils';
+import { buildInvoice, createInvoicePdf, getInvoiceFilename, formatTaxLabel } from '../utils/invoiceUtils';
+import { downloadFile } from '../utils/downloadUtils';
+
+const InvoicePage = () => {
+  const { orderId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { authenticated, user, loading: authLoading } = useAuth();
+  const { settings } = useSettings();
+
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Invoices belong to the customer's account, so send visitors to log in first
+  useEffect(() => {
+    if (!authLoading && !authenticated) {
+      navigate('/login', { replace: true, state: { from: location } });
+    }
+  }, [authLoading, authenticated, navigate, location]);
+
+  useEffect(() => {
+    if (!authenticated) return;
+
+    const loadOrder = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await fetchOrderById(orderId);
+        setOrder(response.data || response);
+      } catch (err) {
+        console.error('Failed to fetch order for invoice:', err);
+        setError(err.status === 404 ? 'We could not find this order.' : 'Failed to load this invoice. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadOrder();
+  }, [orderId, authenticated]);
+
+  if (authLoading || loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-10">
+        <div className="max-w-4xl mx-auto px-5">
+          <div className="text-center py-20">
+            <h2 className="text-indigo-500 text-3xl font-semibold">Loading invoice...</h2>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-10">
+        <div className="max-w-4xl mx-auto px-5">
+          <div className="bg-white rounded-lg shadow-md p-12 text-center">
+            <div className="text-6xl mb-6">🧾</div>
+            <h2 className="text-2xl font-semibold text-gray-800 mb-4">{error || 'Invoice not found'}</h2>
+            <Link
+              to="/profile?tab=orders"
+              className="text-indigo-600 hover:text-indigo-800 font-medium transition-colors"
+            >
+              Back to your orders
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const invoice = buildInvoice(order, settings, user);
+
+  const handleDownload = () => {
+    downloadFile(createInvoicePdf([invoice]), getInvoiceFilename(invoice));
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 print:bg-white print:py-0">
+      <div className="max-w-4xl mx-auto px-4">
+        {/* Actions */}
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 print:hidden">
+          <Link
+            to={`/orders/${order.id}`}
+            className="text-indigo-600 hover:text-indigo-800 font-medium transition-colors"
+          >
+            ← Back to order
+          </Link>
+          <div className="flex gap-3">
+            <button
+              onClick={() => window.print()}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 transition-colors"
+            >
+              Print
+            </button>
+            <button
+              onClick={handleDownload}
+              className="px-4 py-2 bg-gradient-to-br from-indigo-500 to-purple-600 text-white rounded-lg font-semibold transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-indigo-500/30"
+            >
+              Download PDF
+            </button>
+          </div>
+        </div>
+
+        {/* Invoice */}
+        <div className="bg-white rounded-lg shadow-md p-10 print:shadow-none print:p-0">
+          <div className="flex justify-between gap-8 mb-10">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">{invoice.store.name}</h1>
+              {invoice.store.address && (
+                <p className="text-sm text-gray-600 whitespace-pre-line mt-1">{invoice.store.address}</p>
+              )}
+              {invoice.store.email && <p className="text-sm text-gray-600">{invoice.store.email}</p>}
+              {invoice.store.taxId && (
+                <p className="text-sm text-gray-600">{invoice.taxLabel} No: {invoice.store.taxId}</p>
+              )}
+            </div>
+            <div className="text-right">
+              <h2 className="text-3xl font-bold text-gray-900 mb-2">INVOICE</h2>
+              <p className="text-sm text-gray-600">Invoice no: {invoice.number}</p>
+              <p className="text-sm text-gray-600">Order no: #{invoice.orderId}</p>
+              <p className="text-sm text-gray-600">Date: {formatOrderDate(invoice.date)}</p>
+            </div>
+          </div>
+
+          <div className="mb-8">
+            <h3 className="text-sm font-semibold text-gray-900 mb-1">Bill to</h3>
+            {invoice.customer.name && <p className="text-sm text-gray-700">{invoice.customer.name}</p>}
+            {invoice.customer.email && <p className="text-sm text-gray-700">{invoice.customer.email}</p>}
+          </div>
+
+          <table className="w-full mb-6">
+            <thead>
+              <tr className="border-b border-gray-300">
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
+                <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unit Price</th>
+                <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {invoice.lines.map(line => (
+                <tr key={line.id}>
+                  <td className="py-2 text-sm text-gray-900">{line.description}</td>
+                  <td className="py-2 text-sm text-gray-900 text-right">{line.quantity}</td>
+                  <td className="py-2 text-sm text-gray-900 text-right">{formatPrice(line.unitPrice)}</td>
+                  <td className="py-2 text-sm text-gray-900 text-right">{formatPrice(line.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex justify-end">
+            <div className="w-full max-w-xs space-y-1 text-sm">
+              <div className="flex justify-between text-gray-600">
+                <span>Subtotal</span>
+                <span>{formatPrice(invoice.subtotal)}</span>
+              </div>
+              {invoice.adjustment !== 0 && (
+                <div className="flex justify-between text-gray-600">
+                  <span>Adjustments</span>
+                  <span>{formatPrice(invoice.adjustment)}</span>
+                </div>
+              )}
+              {invoice.tax != null && (
+                <>
+                  <div className="flex justify-between text-gray-600">
+                    <span>Net amount (excl. {invoice.taxLabel})</span>
+                    <span>{formatPrice(invoice.net)}</span>
+                  </div>
+                  <div className="flex justify-between text-gray-600">
+                    <span>{formatTaxLabel(invoice.taxLabel, invoice.taxRate)}</span>
+                    <span>{formatPrice(invoice.tax)}</span>
+                  </div>
+                </>
+              )}
+              <div className="flex justify-between text-base font-bold text-gray-900 border-t border-gray-300 pt-2 mt-2">
+                <span>Total</span>
+                <span>{formatPrice(invoice.total)}</span>
+              </div>
+            </div>
+          </div>
+
+          {invoice.comment && (
+            <p className="mt-8 text-sm text-gray-600"><span className="font-medium">Order comment:</span> {invoice.comment}</p>
+          )}
+
+          <p className="mt-10 pt-4 border-t border-gray-200 text-xs text-gray-500">
+            All prices include {invoice.taxLabel}. Thank you for your purchase.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InvoicePage;
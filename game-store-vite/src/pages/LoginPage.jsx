@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import { loginUser } from '../utils/apiUtils';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -12,8 +12,31 @@ const LoginPage = () => {
   const [message, setMessage] = useState('');
   const [errors, setErrors] = useState({});
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
   const { login } = useAuth();
 
+  // Where to go after login: router state from protected routes, or ?returnTo= from an expired session
+  const getReturnPath = () => {
+    const fromState = location.state?.from;
+    const candidate = fromState
+      ? `${fromState.pathname || ''}${fromState.search || ''}${fromState.hash || ''}`
+      : searchParams.get('returnTo');
+
+    // Only allow same-origin relative paths. Resolve like the browser would, since it treats
+    // backslashes as slashes and "/\host" would otherwise leave the site.
+    if (!candidate || !candidate.startsWith('/')) return '/';
+    try {
+      const url = new URL(candidate, window.location.origin);
+      if (url.origin === window.location.origin && !url.pathname.startsWith('/login')) {
+        return `${url.pathname}${url.search}${url.hash}`;
+      }
+    } catch {
+      // Not a usable path; fall through to the home page
+    }
+    return '/';
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -68,9 +91,10 @@ const LoginPage = () => {
       
       setMessage('Login successful! Redirecting...');
       
-      // Redirect to home page or dashboard after successful login
+      // Redirect back to where the user came from (home page by default)
+      const returnPath = getReturnPath();
       setTimeout(() => {
-        navigate('/');
+        navigate(returnPath, { replace: true });
       }, 1500);
       
     } catch (error) {
@@ -174,7 +198,7 @@ const LoginPage = () => {
         </form>
 
         <div className="text-center pt-5 border-t border-gray-300 mt-5">
-          <p className="m-0 text-gray-600 text-sm">Don't have an account? <Link to="/register" className="text-indigo-500 no-underline font-semibold hover:underline">Sign up</Link></p>
+          <p className="m-0 text-gray-600 text-sm">Don't have an account? <Link to="/register" state={location.state} className="text-indigo-500 no-underline font-semibold hover:underline">Sign up</Link></p>
         </div>
 
       </div>
@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useSettings } from '../contexts/SettingsContext';
+import { fetchOrderById } from '../utils/apiUtils';
+import { formatPrice } from '../utils/moneyUtils';
+import {
+  getOrderDate,
+  getOrderStatus,
+  getOrderStatusColor,
+  formatOrderDate,
+  getOrderSubtotal
+} from '../utils/orderUtils';
+import { downloadFile } from '../utils/downloadUtils';
+import { getOrderKeys, formatKeyExport, getKeyExportFilename, KEY_EXPORT_FORMATS } from '../utils/keyExportUtils';
+import OrderItemList from '../components/OrderItemList';
+import KeyExportControl from '../components/KeyExportControl';
+import OrderTimeline from '../components/OrderTimeline';
+import OrderRequestActions from '../components/OrderRequestActions';
+
+const OrderPage = () => {
+  const { orderId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { authenticated, user, loading: authLoading } = useAuth();
+  const { settings } = useSettings();
+
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Set by CheckoutPage when it redirects here after a successful order
+  const justPlaced = Boolean(location.state?.justPlaced);
+
+  // Receipts belong to the customer's account, so send visitors to log in first
+  useEffect(() => {
+    if (!authLoading && !authenticated) {
+      navigate('/login', { replace: true, state: { from: location } });
+    }
+  }, [authLoading, authenticated, navigate, location]);
+
+  useEffect(() => {
+    if (!authenticated) return;
+
+    const loadOrder = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await fetchOrderById(orderId);
+        setOrder(response.data || response);
+      } catch (err) {
+        console.error('Failed to fetch order:', err);
+        setError(err.status === 404 ? 'We could not find this order.' : 'Failed to load this order. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadOrder();
+  }, [orderId, authenticated]);
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy receipt link:', err);
+    }
+  };
+
+  // Reload the order after the customer sends a cancellation or refund request
+  const refreshOrder = async () => {
+    try {
+      const response = await fetchOrderById(orderId);
+      setOrder(response.data || response);
+    } catch (err) {
+      console.error('Failed to refresh order:', err);
+    }
+  };
+
+  const handleExportKeys = (format) => {
+    downloadFile(
+      formatKeyExport(getOrderKeys(order), format),
+      getKeyExportFilename(format, order.id),
+      KEY_EXPORT_FORMATS[format].mimeType
+    );
+  };
+
+  if (authLoading || loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-10">
+        <div className="max-w-4xl mx-auto px-5">
+          <div className="text-center py-20">
+            <h2 className="text-indigo-500 text-3xl font-semibold">Loading order...</h2>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-10">
+        <div className="max-w-4xl mx-auto px-5">
+          <div className="bg-white rounded-lg shadow-md p-12 text-center">
+            <div className="text-6xl mb-6">📦</div>
+            <h2 className="text-2xl font-semibold text-gray-800 mb-4">{error || 'Order not found'}</h2>
+            <Link
+              to="/profile?tab=orders"
+              className="text-indigo-600 hover:text-indigo-800 font-medium transition-colors"
+            >
+              Back to your orders
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const subOrders = order.sub_orders || [];
+  const status = getOrderStatus(order);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4">
+        {/* Header */}
+        <div className="mb-8 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 print:hidden">
+          <Link
+            to="/profile?tab=orders"
+            className="text-indigo-600 hover:text-indigo-800 font-medium transition-colors"
+          >
+            ← Back to your orders
+          </Link>
+          <div className="flex gap-3">
+            <Link
+              to={`/orders/${order.id}/invoice`}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 transition-colors"
+            >
+              Invoice
+            </Link>
+            <button
+              onClick={handleCopyLink}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 transition-colors"
+            >
+              {linkCopied ? 'Link Copied!' : 'Copy Link'}
+            </button>
+            <button
+              onClick={() => window.print()}
+              className="px-4 py-2 bg-gradient-to-br from-indigo-500 to-purple-600 text-white rounded-lg font-semibold transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-indigo-500/30"
+            >
+              Print Receipt
+            </button>
+          </div>
+        </div>
+
+        {justPlaced && (
+          <div className="mb-6 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded print:hidden">
+            <p className="font-semibold">🎉 Thank you for your purchase!</p>
+            <p className="text-sm">Your game keys are below and have also been sent to {user?.email || 'your email'}.</p>
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          {/* Receipt Header */}
+          <div className="flex flex-col sm:flex-row sm:justify-between gap-4 border-b pb-6 mb-6">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-800">Order #{order.id}</h1>
+              <p className="text-gray-600 mt-1">{formatOrderDate(getOrderDate(order))}</p>
+            </div>
+            <div className="sm:text-right">
+              <p className="font-semibold text-gray-800">{settings.store_name}</p>
+              {settings.support_email && (
+                <p className="text-sm text-gray-600">{settings.support_email}</p>
+              )}
+              <span className={`inline-block mt-2 px-3 py-1 rounded-full text-xs font-medium ${getOrderStatusColor(status)}`}>
+                {status}
+              </span>
+            </div>
+          </div>
+
+          {/* Items */}
+          <div className="flex items-center justify-between gap-4 mb-4">
+            <h2 className="font-semibold text-gray-800">Items ({subOrders.length})</h2>
+            {getOrderKeys(order).length > 0 && (
+              <div className="print:hidden">
+                <KeyExportControl onExport={handleExportKeys} />
+              </div>
+            )}
+          </div>
+          {subOrders.length > 0 ? (
+            <OrderItemList subOrders={subOrders} />
+          ) : (
+            <p className="text-gray-500">No items were found for this order.</p>
+          )}
+
+          {/* Totals */}
+          <div className="border-t mt-6 pt-4 space-y-2">
+            <div className="flex justify-between text-gray-600">
+              <span>Subtotal</span>
+              <span>{formatPrice(getOrderSubtotal(order))}</span>
+            </div>
+            <div className="flex justify-between text-lg font-semibold text-gray-800">
+              <span>Total Paid</span>
+              <span className="text-green-600">{formatPrice(order.total_price)}</span>
+            </div>
+          </div>
+
+          {/* Comment */}
+          {order.comment && (
+            <div className="border-t mt-6 pt-4">
+              <h2 className="font-semibold text-gray-800 mb-2">Order Comment</h2>
+              <p className="text-gray-600 italic">"{order.comment}"</p>
+            </div>
+          )}
+
+          {/* Timeline */}
+          <div className="border-t mt-6 pt-4">
+            <h2 className="font-semibold text-gray-800 mb-4">Timeline</h2>
+            <OrderTimeline order={order} />
+            <div className="mt-6 print:hidden">
+              <OrderRequestActions order={order} onSubmitted={refreshOrder} />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrderPage;
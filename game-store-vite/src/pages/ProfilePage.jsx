@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useSettings } from '../contexts/SettingsContext';
 import {
   fetchUserOrders,
   fetchOrderById,
@@ -9,14 +10,44 @@ import {
   deleteUserAccount
 } from '../utils/apiUtils';
 import { formatPrice } from '../utils/moneyUtils';
+import {
+  getOrderDate,
+  getOrderStatus,
+  getOrderStatusColor,
+  formatOrderDate,
+  getPendingOrderRequest,
+  ORDER_REQUEST_TYPES
+} from '../utils/orderUtils';
 import { setAuthCookies, getAuthCookies } from '../utils/cookieUtils';
+import { buildInvoice, createInvoicePdf } from '../utils/invoiceUtils';
+import { downloadFile } from '../utils/downloadUtils';
+import { getOrderKeys, formatKeyExport, getKeyExportFilename, KEY_EXPORT_FORMATS } from '../utils/keyExportUtils';
+import OrderItemList from '../components/OrderItemList';
+import KeyExportControl from '../components/KeyExportControl';
+import OrderTimeline from '../components/OrderTimeline';
+import OrderRequestActions from '../components/OrderRequestActions';
+import WishlistPanel from '../components/WishlistPanel';
+
+const PROFILE_TABS = ['account', 'security', 'orders', 'wishlist'];
 
 const ProfilePage = () => {
   const { user, updateUser, logout } = useAuth();
+  const { settings } = useSettings();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   
-  // Tab management
-  const [activeTab, setActiveTab] = useState('account');
+  // Tab management (?tab= lets other pages link straight to a tab, e.g. order history)
+  const [activeTab, setActiveTab] = useState(
+    PROFILE_TABS.includes(searchParams.get('tab')) ? searchParams.get('tab') : 'account'
+  );
+
+  // Follow ?tab= links from the header while already on this page
+  useEffect(() => {
+    const tab = searchParams.get('tab');
+    if (PROFILE_TABS.includes(tab)) {
+      setActiveTab(tab);
+    }
+  }, [searchParams]);
   
   // Orders state
   const [orders, setOrders] = useState([]);
@@ -25,6 +56,15 @@ const ProfilePage = () => {
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [orderDetailsLoading, setOrderDetailsLoading] = useState(false);
 
+  // Bulk invoice download
+  const [invoiceRange, setInvoiceRange] = useState({ from: '', to: '' });
+  const [invoicesLoading, setInvoicesLoading] = useState(false);
+  const [invoiceError, setInvoiceError] = useState(null);
+
+  // Key export
+  const [keysExporting, setKeysExporting] = useState(false);
+  const [keyExportError, setKeyExportError] = useState(null);
+
   // Profile editing state
   const [editingProfile, setEditingProfile] = useState(false);
   const [profileData, setProfileData] = useState({
@@ -224,50 +264,6 @@ const ProfilePage = () => {
     }
   };
 
-  const formatDate = (dateString) => {
-    if (!dateString) return 'N/A';
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
-
-  const getStatusColor = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'completed':
-        return 'bg-green-100 text-green-800';
-      case 'pending':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'cancelled':
-        return 'bg-red-100 text-red-800';
-      case 'processing':
-        return 'bg-blue-100 text-blue-800';
-      default:
-        return 'bg-green-100 text-green-800'; // Default to completed for orders without status
-    }
-  };
-
-  const getOrderDate = (order) => {
-    // Since orders table doesn't have created_at, use the earliest sub_order created_at
-    if (order.sub_orders && order.sub_orders.length > 0) {
-      const dates = order.sub_orders
-        .map(sub => sub.created_at)
-        .filter(date => date)
-        .sort();
-      return dates[0] || null;
-    }
-    return order.created_at || null;
-  };
-
-  const getDefaultStatus = (order) => {
-    // Since orders table doesn't have status field, return default based on presence of sub_orders
-    return order.status || (order.sub_orders && order.sub_orders.length > 0 ? 'Completed' : 'Pending');
-  };
-
   const handleViewOrderDetails = async (order) => {
     try {
       setOrderDetailsLoading(true);
@@ -285,6 +281,107 @@ const ProfilePage = () => {
     }
   };
 
+  // Reload an order after the customer sends a cancellation or refund request
+  const refreshOrder = async (orderId) => {
+    try {
+      const response = await fetchOrderById(orderId);
+      const orderData = response.data || response;
+      setSelectedOrder(orderData);
+      setOrders(prev => prev.map(order => (order.id === orderId ? { ...order, ...orderData } : order)));
+    } catch (err) {
+      console.error('Failed to refresh order:', err);
+    }
+  };
+
+  // The order list may not carry line items, so load each order's details one by one
+  // Load every order in full. List entries may lack their items, so if any order fails to load
+  // the whole export fails and names the orders, rather than quietly leaving them out.
+  const fetchOrderDetails = async (orderList) => {
+    const detailedOrders = [];
+    const failedOrderIds = [];
+    for (const order of orderList) {
+      try {
+        const response = await fetchOrderById(order.id);
+        detailedOrders.push(response.data || response);
+      } catch (err) {
+        console.error(`Failed to fetch details for order ${order.id}:`, err);
+        failedOrderIds.push(order.id);
+      }
+    }
+
+    if (failedOrderIds.length > 0) {
+      const orderLabel = failedOrderIds.length === 1 ? 'order' : 'orders';
+      const error = new Error(
+        `Could not load ${orderLabel} ${failedOrderIds.map(id => `#${id}`).join(', ')}, so nothing was downloaded. Please try again.`
+      );
+      error.code = 'order_details_failed';
+      throw error;
+    }
+    return detailedOrders;
+  };
+
+  // Save the keys from one order, or from the whole history when no order is given
+  const exportKeys = (orderData, format, orderId = null) => {
+    const rows = getOrderKeys(orderData);
+    if (rows.length === 0) return false;
+    downloadFile(formatKeyExport(rows, format), getKeyExportFilename(format, orderId), KEY_EXPORT_FORMATS[format].mimeType);
+    return true;
+  };
+
+  const handleExportAllKeys = async (format) => {
+    setKeyExportError(null);
+    try {
+      setKeysExporting(true);
+      const detailedOrders = await fetchOrderDetails(orders);
+      if (!exportKeys(detailedOrders, format)) {
+        setKeyExportError('There are no keys to export yet.');
+      }
+    } catch (err) {
+      console.error('Failed to export keys:', err);
+      setKeyExportError(err.code === 'order_details_failed' ? err.message : 'Failed to export your keys. Please try again.');
+    } finally {
+      setKeysExporting(false);
+    }
+  };
+
+  // Download one PDF with an invoice for every order placed in the chosen date range
+  const handleDownloadInvoices = async (e) => {
+    e.preventDefault();
+    setInvoiceError(null);
+
+    const from = invoiceRange.from ? new Date(`${invoiceRange.from}T00:00:00`) : null;
+    const to = invoiceRange.to ? new Date(`${invoiceRange.to}T23:59:59.999`) : null;
+    if (from && to && from > to) {
+      setInvoiceError('The start date must be before the end date.');
+      return;
+    }
+
+    const ordersInRange = orders.filter(order => {
+      const orderDate = getOrderDate(order);
+      if (!orderDate) return false;
+      const date = new Date(orderDate);
+      return (!from || date >= from) && (!to || date <= to);
+    });
+
+    if (ordersInRange.length === 0) {
+      setInvoiceError('You have no orders in this date range.');
+      return;
+    }
+
+    try {
+      setInvoicesLoading(true);
+      const detailedOrders = await fetchOrderDetails(ordersInRange);
+      const invoices = detailedOrders.map(order => buildInvoice(order, settings, user));
+      const rangeLabel = `${invoiceRange.from || 'start'}-to-${invoiceRange.to || 'today'}`;
+      downloadFile(createInvoicePdf(invoices), `invoices-${rangeLabel}.pdf`);
+    } catch (err) {
+      console.error('Failed to create invoices:', err);
+      setInvoiceError(err.code === 'order_details_failed' ? err.message : 'Failed to create invoices. Please try again.');
+    } finally {
+      setInvoicesLoading(false);
+    }
+  };
+
   const closeOrderDetails = () => {
     setSelectedOrder(null);
   };
@@ -300,12 +397,23 @@ const ProfilePage = () => {
             <h2 className="text-2xl font-bold text-gray-800">
               Order #{order.id}
             </h2>
-            <button
-              onClick={onClose}
-              className="text-gray-500 hover:text-gray-700 text-2xl font-bold"
-            >
-              ×
-            </button>
+            <div className="flex items-center gap-4">
+              {getOrderKeys(order).length > 0 && (
+                <KeyExportControl onExport={(format) => exportKeys(order, format, order.id)} />
+              )}
+              <Link
+                to={`/orders/${order.id}`}
+                className="text-indigo-600 hover:text-indigo-800 font-medium text-sm transition-colors"
+              >
+                Open Receipt
+              </Link>
+              <button
+                onClick={onClose}
+                className="text-gray-500 hover:text-gray-700 text-2xl font-bold"
+              >
+                ×
+              </button>
+            </div>
           </div>
 
           {/* Order Info */}
@@ -314,10 +422,10 @@ const ProfilePage = () => {
               <div>
                 <h3 className="font-semibold text-gray-800 mb-2">Order Information</h3>
                 <div className="space-y-1 text-sm text-gray-600">
-                  <p><span className="font-medium">Date:</span> {formatDate(getOrderDate(order))}</p>
+                  <p><span className="font-medium">Date:</span> {formatOrderDate(getOrderDate(order))}</p>
                   <p><span className="font-medium">Status:</span> 
-                    <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium ml-2 ${getStatusColor(getDefaultStatus(order))}`}>
-                      {getDefaultStatus(order)}
+                    <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium ml-2 ${getOrderStatusColor(getOrderStatus(order))}`}>
+                      {getOrderStatus(order)}
                     </span>
                   </p>
                   <p><span className="font-medium">Total:</span> {formatPrice(order.total_price)}</p>
@@ -326,82 +434,21 @@ const ProfilePage = () => {
                   )}
                 </div>
               </div>
+              <div>
+                <h3 className="font-semibold text-gray-800 mb-2">Timeline</h3>
+                <OrderTimeline order={order} />
+              </div>
+            </div>
+
+            <div className="mb-6">
+              <OrderRequestActions order={order} onSubmitted={() => refreshOrder(order.id)} />
             </div>
 
             {/* Items */}
             {order.sub_orders && order.sub_orders.length > 0 && (
               <div>
                 <h3 className="font-semibold text-gray-800 mb-4">Items ({order.sub_orders.length})</h3>
-                <div className="space-y-4">
-                  {order.sub_orders.map((subOrder) => {
-                    const game = subOrder.game || {};
-                    const gameKey = subOrder.game_key || {};
-                    
-                    return (
-                      <div key={subOrder.id} className="bg-gray-50 rounded-lg p-4">
-                        <div className="flex items-start gap-4">
-                          {/* Game Image */}
-                          <div className="flex-shrink-0 w-16 h-16 bg-gradient-to-br from-indigo-500 to-purple-600 rounded-lg flex items-center justify-center relative overflow-hidden">
-                            {game.cover ? (
-                              <>
-                                <img 
-                                  src={`https://s3.tebi.io/game-key-store/games/${game.cover}`}
-                                  alt={game.name || 'Game'}
-                                  className="w-full h-full object-cover rounded-lg"
-                                  onError={(e) => {
-                                    e.target.style.display = 'none';
-                                    e.target.parentNode.querySelector('.fallback-text').style.display = 'flex';
-                                  }}
-                                />
-                                <div className="fallback-text absolute inset-0 text-white font-semibold text-xs text-center leading-tight items-center justify-center px-1 hidden">
-                                  {game.name?.substring(0, 8) || 'Game'}
-                                </div>
-                              </>
-                            ) : (
-                              <div className="text-white font-semibold text-xs text-center leading-tight px-1">
-                                {game.name?.substring(0, 8) || 'Game'}
-                              </div>
-                            )}
-                          </div>
-
-                          {/* Game Details */}
-                          <div className="flex-1 min-w-0">
-                            <h4 className="font-semibold text-gray-800 mb-2">
-                              {game.name || 'Unknown Game'}
-                            </h4>
-                            {game.description && (
-                              <p className="text-sm text-gray-600 mb-2 line-clamp-2">
-                                {game.description}
-                              </p>
-                            )}
-                            <div className="flex items-center gap-2 text-sm">
-                              {gameKey.key_type && (
-                                <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded text-xs">
-                                  {gameKey.key_type}
-                                </span>
-                              )}
-                              <span className="font-medium text-green-600">
-                                {formatPrice(gameKey.price || subOrder.price || 0)}
-                              </span>
-                            </div>
-                          </div>
-
-                          {/* Game Key */}
-                          <div className="text-right flex-shrink-0">
-                            {gameKey.key && (
-                              <div className="bg-white border rounded-lg p-3 max-w-xs">
-                                <div className="text-xs text-gray-500 mb-1">Your Key:</div>
-                                <div className="font-mono text-sm bg-gray-100 p-2 rounded border select-all break-all">
-                                  {gameKey.key}
-                                </div>
-                              </div>
-                            )}
-                          </div>
-                        </div>
-                      </div>
-                    );
-                  })}
-                </div>
+                <OrderItemList subOrders={order.sub_orders} />
               </div>
             )}
           </div>
@@ -444,7 +491,7 @@ const ProfilePage = () => {
         <div className="bg-white rounded-lg shadow-md overflow-hidden">
           {/* Tab Navigation */}
           <div className="border-b border-gray-200">
-            <nav className="flex">
+            <nav className="flex overflow-x-auto">
               <button
                 onClick={() => setActiveTab('account')}
                 className={`px-6 py-4 font-medium text-sm transition-colors ${
@@ -475,6 +522,16 @@ const ProfilePage = () => {
               >
                 Order History
               </button>
+              <button
+                onClick={() => setActiveTab('wishlist')}
+                className={`px-6 py-4 font-medium text-sm transition-colors ${
+                  activeTab === 'wishlist'
+                    ? 'text-indigo-600 bg-indigo-50 border-b-2 border-indigo-600'
+                    : 'text-gray-600 hover:text-gray-800 hover:bg-gray-50'
+                }`}
+              >
+                Wishlist
+              </button>
             </nav>
           </div>
 
@@ -764,7 +821,53 @@ const ProfilePage = () => {
             {/* Orders Tab */}
             {activeTab === 'orders' && (
               <div>
-                <h2 className="text-xl font-semibold text-gray-800 mb-6">Order History</h2>
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-6">
+                  <h2 className="text-xl font-semibold text-gray-800">Order History</h2>
+                  {!loading && !error && orders.length > 0 && (
+                    <KeyExportControl
+                      onExport={handleExportAllKeys}
+                      loading={keysExporting}
+                      label="Export All Keys"
+                    />
+                  )}
+                </div>
+                {keyExportError && <p className="text-sm text-red-600 -mt-4 mb-4">{keyExportError}</p>}
+
+                {/* Bulk Invoices */}
+                {!loading && !error && orders.length > 0 && (
+                  <form onSubmit={handleDownloadInvoices} className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                    <h3 className="font-semibold text-gray-800 mb-3">Download Invoices</h3>
+                    <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                        <input
+                          type="date"
+                          value={invoiceRange.from}
+                          onChange={(e) => setInvoiceRange(prev => ({ ...prev, from: e.target.value }))}
+                          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                        <input
+                          type="date"
+                          value={invoiceRange.to}
+                          onChange={(e) => setInvoiceRange(prev => ({ ...prev, to: e.target.value }))}
+                          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        />
+                      </div>
+                      <button
+                        type="submit"
+                        disabled={invoicesLoading}
+                        className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {invoicesLoading ? 'Preparing...' : 'Download PDF'}
+                      </button>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">Leave a date empty to include all orders before or after the other date.</p>
+                    {invoiceError && <p className="text-sm text-red-600 mt-2">{invoiceError}</p>}
+                  </form>
+                )}
 
                 {/* Loading State */}
                 {loading && (
@@ -805,12 +908,17 @@ const ProfilePage = () => {
                             <div>
                               <h3 className="font-semibold text-gray-800">Order #{order.id}</h3>
                               <p className="text-sm text-gray-600">
-                                {formatDate(getOrderDate(order))}
+                                {formatOrderDate(getOrderDate(order))}
                               </p>
                             </div>
-                            <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(getDefaultStatus(order))}`}>
-                              {getDefaultStatus(order)}
+                            <span className={`px-3 py-1 rounded-full text-xs font-medium ${getOrderStatusColor(getOrderStatus(order))}`}>
+                              {getOrderStatus(order)}
                             </span>
+                            {getPendingOrderRequest(order) && (
+                              <span className="px-3 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                                {ORDER_REQUEST_TYPES[getPendingOrderRequest(order).type] || 'Request'} requested
+                              </span>
+                            )}
                           </div>
                           <div className="text-right">
                             <div className="font-semibold text-lg text-gray-800">
@@ -862,13 +970,27 @@ const ProfilePage = () => {
                               <p className="text-sm text-gray-600 italic">"{order.comment}"</p>
                             )}
                           </div>
-                          <button
-                            onClick={() => handleViewOrderDetails(order)}
-                            disabled={orderDetailsLoading}
-                            className="text-indigo-600 hover:text-indigo-800 font-medium text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                          >
-                            {orderDetailsLoading ? 'Loading...' : 'View Details'}
-                          </button>
+                          <div className="flex items-center gap-4">
+                            <Link
+                              to={`/orders/${order.id}`}
+                              className="text-indigo-600 hover:text-indigo-800 font-medium text-sm transition-colors"
+                            >
+                              Receipt
+                            </Link>
+                            <Link
+                              to={`/orders/${order.id}/invoice`}
+                              className="text-indigo-600 hover:text-indigo-800 font-medium text-sm transition-colors"
+                            >
+                              Invoice
+                            </Link>
+                            <button
+                              onClick={() => handleViewOrderDetails(order)}
+                              disabled={orderDetailsLoading}
+                              className="text-indigo-600 hover:text-indigo-800 font-medium text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              {orderDetailsLoading ? 'Loading...' : 'View Details'}
+                            </button>
+                          </div>
                         </div>
                       </div>
                     ))}
@@ -876,6 +998,9 @@ const ProfilePage = () => {
                 )}
               </div>
             )}
+
+            {/* Wishlist Tab */}
+            {activeTab === 'wishlist' && <WishlistPanel />}
           </div>
         </div>
 
@@ -0,0 +1,235 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { searchCatalog } from '../utils/apiUtils';
+import { getGamePlatforms, MIN_SEARCH_LENGTH, SEARCH_PAGE_SIZE } from '../utils/searchUtils';
+import { getNextPageRequest } from '../utils/catalogPagingUtils';
+import { getBestGamePrice } from '../utils/priceUtils';
+import { getGameImageUrl } from '../utils/imageUtils';
+import HighlightedText from '../components/HighlightedText';
+import LowStockBadge from '../components/LowStockBadge';
+import LoadMoreTrigger from '../components/LoadMoreTrigger';
+
+const SearchPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+
+  const [input, setInput] = useState(query);
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextPage, setNextPage] = useState(null);
+  const [loading, setLoading] = useState(query.trim().length >= MIN_SEARCH_LENGTH);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  const [error, setError] = useState(null);
+  const requestIdRef = useRef(0);
+
+  // Keep the box in sync when the query changes from the header or browser history
+  useEffect(() => {
+    setInput(query);
+  }, [query]);
+
+  // The server matches and ranks results; load the first page whenever the query changes
+  useEffect(() => {
+    // Responses for an older query (first pages or "load more") are dropped
+    const requestId = ++requestIdRef.current;
+    const trimmed = query.trim();
+    setResults([]);
+    setTotal(0);
+    setNextPage(null);
+    setLoadingMore(false);
+    setLoadMoreError(null);
+    setError(null);
+    if (trimmed.length < MIN_SEARCH_LENGTH) {
+      setLoading(false);
+      return;
+    }
+
+    const loadFirstPage = async () => {
+      try {
+        setLoading(true);
+        const response = await searchCatalog(trimmed, { page: 1, limit: SEARCH_PAGE_SIZE });
+        if (requestId !== requestIdRef.current) return;
+        const pageGames = response?.data || [];
+        setResults(pageGames);
+        setTotal(response?.total ?? pageGames.length);
+        setNextPage(getNextPageRequest(response, pageGames.length, 1));
+      } catch (err) {
+        if (requestId !== requestIdRef.current) return;
+        console.error('Failed to search games:', err);
+        setError('Failed to load games. Please try again later.');
+      } finally {
+        if (requestId === requestIdRef.current) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadFirstPage();
+  }, [query]);
+
+  const handleLoadMore = async () => {
+    if (!nextPage || loadingMore) return;
+    const requestId = requestIdRef.current;
+
+    try {
+      setLoadingMore(true);
+      setLoadMoreError(null);
+      const response = await searchCatalog(query, { ...nextPage, limit: SEARCH_PAGE_SIZE });
+      if (requestId !== requestIdRef.current) return;
+      const pageGames = response?.data || [];
+      // Skip games already shown in case the results shifted between pages
+      const shownIds = new Set(results.map(game => game.id));
+      const newGames = pageGames.filter(game => !shownIds.has(game.id));
+      setResults(prev => [...prev, ...newGames]);
+      setNextPage(getNextPageRequest(response, results.length + newGames.length, nextPage.page || 1));
+      if (response?.total != null) setTotal(response.total);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Failed to load more search results:', err);
+      setLoadMoreError('Failed to load more results.');
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoadingMore(false);
+      }
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = input.trim();
+    setSearchParams(trimmed ? { q: trimmed } : {});
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-10 max-md:py-5">
+      <div className="max-w-6xl mx-auto px-5 max-[480px]:px-4">
+        {/* Page Header */}
+        <div className="mb-10 text-center max-md:mb-8">
+          <nav className="flex items-center justify-center gap-2 mb-5 text-sm max-md:text-xs">
+            <Link to="/" className="text-indigo-500 no-underline transition-colors duration-200 hover:text-purple-600">Home</Link>
+            <span className="text-gray-600">{'>'}</span>
+            <span className="text-gray-800 font-medium">Search</span>
+          </nav>
+          <h1 className="text-5xl font-bold text-gray-800 mb-6 bg-gradient-to-br from-indigo-500 to-purple-600 bg-clip-text text-transparent max-md:text-4xl max-[480px]:text-3xl">
+            Search Games
+          </h1>
+          <form onSubmit={handleSubmit} role="search" className="flex gap-3 max-w-2xl mx-auto">
+            <input
+              type="search"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder="Game name, category or platform..."
+              aria-label="Search games"
+              autoFocus={!query}
+              className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <button
+              type="submit"
+              className="px-6 py-3 bg-gradient-to-br from-indigo-500 to-purple-600 text-white rounded-lg font-semibold transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-indigo-500/30"
+            >
+              Search
+            </button>
+          </form>
+          {!loading && !error && query.trim().length >= MIN_SEARCH_LENGTH && (
+            <p className="text-lg text-gray-600 mt-6">
+              {total} result{total !== 1 ? 's' : ''} for "{query.trim()}"
+            </p>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="text-center py-20">
+            <h2 className="text-indigo-500 text-3xl font-semibold">Searching...</h2>
+          </div>
+        ) : error ? (
+          <div className="text-center py-20 bg-white rounded-3xl shadow-lg mx-auto max-w-2xl">
+            <h2 className="text-red-500 text-3xl font-semibold mb-4">Error Loading Games</h2>
+            <p className="text-gray-600 text-lg leading-relaxed">{error}</p>
+          </div>
+        ) : query.trim().length < MIN_SEARCH_LENGTH ? (
+          <p className="text-center text-gray-600">Type at least {MIN_SEARCH_LENGTH} characters to search the catalog.</p>
+        ) : results.length === 0 ? (
+          <div className="text-center bg-white py-16 px-10 rounded-3xl shadow-lg max-w-2xl mx-auto">
+            <h3 className="text-3xl font-semibold text-gray-800 mb-4">No games found</h3>
+            <p className="text-lg text-gray-600 mb-6">Check the spelling, try fewer words, or browse the full catalog.</p>
+            <Link to="/games" className="inline-flex items-center gap-2 px-6 py-3 bg-gradient-to-br from-indigo-500 to-purple-600 text-white no-underline rounded-lg font-semibold transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg hover:shadow-indigo-500/30">
+              Browse All Games
+            </Link>
+          </div>
+        ) : (
+          <>
+            <div className="space-y-4">
+              {results.map(game => {
+                const gameName = game.name || `Game ${game.id}`;
+                const priceInfo = getBestGamePrice(game);
+                const categoryName = game.category?.name || null;
+                const platforms = getGamePlatforms(game);
+
+                return (
+                  <Link
+                    key={game.id}
+                    to={`/game/${game.id}`}
+                    className="flex gap-5 bg-white rounded-2xl shadow-md p-4 no-underline text-inherit transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg max-[480px]:flex-col"
+                  >
+                    <div className="w-40 h-24 flex-shrink-0 rounded-lg overflow-hidden bg-gradient-to-br from-indigo-500 to-purple-600 flex items-center justify-center max-[480px]:w-full max-[480px]:h-40">
+                      {game.cover ? (
+                        <img
+                          src={getGameImageUrl(game.cover)}
+                          alt={gameName}
+                          className="w-full h-full object-cover"
+                          onError={(e) => { e.target.style.display = 'none'; }}
+                        />
+                      ) : (
+                        <span className="text-white text-sm font-semibold px-2 text-center">{gameName.substring(0, 20)}</span>
+                      )}
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <h3 className="text-xl font-semibold text-gray-800 mb-1">
+                        <HighlightedText text={gameName} query={query} />
+                      </h3>
+                      {game.description && (
+                        <p className="text-gray-600 text-sm line-clamp-2 mb-2">
+                          <HighlightedText text={game.description} query={query} />
+                        </p>
+                      )}
+                      <div className="flex flex-wrap items-center gap-2 text-xs">
+                        {categoryName && (
+                          <span className="bg-purple-100 text-purple-800 px-2 py-1 rounded font-medium">
+                            <HighlightedText text={categoryName} query={query} />
+                          </span>
+                        )}
+                        {platforms.map(platform => (
+                          <span key={platform} className="bg-blue-100 text-blue-800 px-2 py-1 rounded font-medium">
+                            <HighlightedText text={platform} query={query} />
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="flex-shrink-0 text-right flex flex-col items-end justify-center gap-2 max-[480px]:items-start">
+                      {priceInfo.hasKeys ? (
+                        <>
+                          <span className="text-2xl font-bold text-green-600">{priceInfo.displayPrice}</span>
+                          <LowStockBadge game={game} />
+                        </>
+                      ) : (
+                        <span className="text-sm font-medium text-orange-600">No keys available</span>
+                      )}
+                    </div>
+                  </Link>
+                );
+              })}
+            </div>
+            <LoadMoreTrigger
+              onLoadMore={handleLoadMore}
+              hasMore={Boolean(nextPage) && !loading}
+              loading={loadingMore}
+              error={loadMoreError}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchPage;
@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react';
 import { apiGet, apiPost, apiPut, apiDelete, apiPatch } from '../utils/apiUtils';
 import CoverUpload from '../components/CoverUpload';
+import { getCategoryImageUrl } from '../utils/imageUtils';
 
 const StaffCategoriesPage = () => {
   const [categories, setCategories] = useState([]);
@@ -249,7 +250,7 @@ const StaffCategoriesPage = () => {
                           {category.cover && (
                             <img
                               className="h-10 w-10 rounded-lg object-cover mr-4 aspect-square" 
-                              src={`https://s3.tebi.io/game-key-store/categories/${category.cover}`}
+                              src={getCategoryImageUrl(category.cover)}
                               alt={category.name}
                               onError={(e) => {
                                 e.target.style.display = 'none';
@@ -1,10 +1,59 @@
 // Staff Dashboard - Main console page for staff members
 
+import { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { Link } from 'react-router-dom';
+import { apiGet } from '../utils/apiUtils';
+import { formatPrice } from '../utils/moneyUtils';
+import SalesChart from '../components/SalesChart';
+import { isLowStock, getLowStockThreshold } from '../utils/gameKeyUtils';
+
+const METRIC_PERIODS = [
+  { key: 'today', label: 'Today' },
+  { key: 'last_7_days', label: 'Last 7 days' },
+  { key: 'last_30_days', label: 'Last 30 days' }
+];
 
 const StaffDashboard = () => {
   const { user } = useAuth();
+  const [metrics, setMetrics] = useState(null);
+  const [sales, setSales] = useState([]);
+  const [inventory, setInventory] = useState([]);
+  const [salesDays, setSalesDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [lastUpdated, setLastUpdated] = useState(null);
+
+  useEffect(() => {
+    fetchDashboard(salesDays);
+  }, [salesDays]);
+
+  const fetchDashboard = async (days) => {
+    try {
+      setLoading(true);
+      setError('');
+      const [metricsResponse, salesResponse, inventoryResponse] = await Promise.all([
+        apiGet('admin/dashboard/metrics'),
+        apiGet(`admin/dashboard/sales?days=${days}`),
+        apiGet('admin/dashboard/inventory')
+      ]);
+      setMetrics(metricsResponse.data || metricsResponse);
+      setSales(salesResponse.data || salesResponse || []);
+      setInventory(inventoryResponse.data || inventoryResponse || []);
+      setLastUpdated(new Date());
+    } catch (error) {
+      console.error('Error fetching dashboard metrics:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Inventory rows carry each game's own low_stock_threshold
+  const lowStockGames = inventory
+    .filter(item => isLowStock(item.keys_remaining, item))
+    .sort((a, b) => (a.keys_remaining || 0) - (b.keys_remaining || 0));
+  const outOfStockCount = lowStockGames.filter(item => !item.keys_remaining).length;
 
   return (
     <div className="max-w-6xl mx-auto max-md:max-w-none">
@@ -15,6 +64,179 @@ const StaffDashboard = () => {
           Welcome back, {user?.name} ({user?.role})
         </p>
       </div>
+
+      {/* Metrics Header */}
+      <div className="flex justify-between items-center mb-4 max-md:flex-col max-md:items-start max-md:gap-2">
+        <h2 className="text-xl font-semibold text-gray-900">Store Metrics</h2>
+        <div className="flex items-center gap-3">
+          {lastUpdated && (
+            <span className="text-sm text-gray-500">
+              Updated {lastUpdated.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+            </span>
+          )}
+          <button
+            onClick={() => fetchDashboard(salesDays)}
+            disabled={loading}
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {loading ? 'Refreshing...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="mb-6 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Metric Cards */}
+      {loading && !metrics ? (
+        <div className="bg-white rounded-lg shadow-sm p-8 mb-8 text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+          <p className="mt-2 text-gray-500">Loading metrics...</p>
+        </div>
+      ) : metrics && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <p className="text-sm text-gray-500 mb-3">Revenue</p>
+            {METRIC_PERIODS.map(period => (
+              <div key={period.key} className="flex justify-between items-baseline py-1">
+                <span className="text-sm text-gray-600">{period.label}</span>
+                <span className="text-lg font-semibold text-gray-900">{formatPrice(metrics.revenue?.[period.key] || 0)}</span>
+              </div>
+            ))}
+          </div>
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <p className="text-sm text-gray-500 mb-3">Orders</p>
+            {METRIC_PERIODS.map(period => (
+              <div key={period.key} className="flex justify-between items-baseline py-1">
+                <span className="text-sm text-gray-600">{period.label}</span>
+                <span className="text-lg font-semibold text-gray-900">{metrics.orders?.[period.key] || 0}</span>
+              </div>
+            ))}
+          </div>
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <p className="text-sm text-gray-500 mb-3">New Signups</p>
+            {METRIC_PERIODS.map(period => (
+              <div key={period.key} className="flex justify-between items-baseline py-1">
+                <span className="text-sm text-gray-600">{period.label}</span>
+                <span className="text-lg font-semibold text-gray-900">{metrics.new_users?.[period.key] || 0}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Sales Chart */}
+      <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-xl font-semibold text-gray-900">Sales Over Time</h2>
+          <select
+            value={salesDays}
+            onChange={(e) => setSalesDays(Number(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value={7}>Last 7 days</option>
+            <option value={30}>Last 30 days</option>
+            <option value={90}>Last 90 days</option>
+          </select>
+        </div>
+        <SalesChart data={sales} />
+      </div>
+
+      {/* Inventory */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+        <div className="bg-white rounded-lg shadow-sm lg:col-span-2">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">Keys Sold vs. Remaining</h2>
+          </div>
+          {inventory.length === 0 ? (
+            <div className="p-8 text-center text-gray-500">
+              <p>No inventory data.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Game</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sold</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Remaining</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-1/3">Sell-through</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {inventory.map(item => {
+                    const sold = item.keys_sold || 0;
+                    const remaining = item.keys_remaining || 0;
+                    const total = sold + remaining;
+                    const soldPercent = total > 0 ? Math.round((sold / total) * 100) : 0;
+                    return (
+                      <tr key={item.game_id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          {item.game_name || `Game ${item.game_id}`}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{sold}</td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${isLowStock(remaining, item) ? 'text-red-600 font-semibold' : 'text-gray-900'}`}>
+                          {remaining}
+                        </td>
+                        <td className="px-6 py-4">
+                          <div className="flex items-center gap-2">
+                            <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                              <div className="h-full bg-green-500" style={{ width: `${soldPercent}%` }}></div>
+                            </div>
+                            <span className="text-xs text-gray-500 w-10 text-right">{soldPercent}%</span>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">
+              Low Stock ({lowStockGames.length})
+            </h2>
+            {lowStockGames.length > 0 && (
+              <p className="text-sm text-gray-500">
+                {outOfStockCount} out of stock · {lowStockGames.length - outOfStockCount} running low
+              </p>
+            )}
+          </div>
+          {lowStockGames.length === 0 ? (
+            <div className="p-8 text-center text-gray-500">
+              <p>Every game is above its restock threshold.</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+              {lowStockGames.map(item => (
+                <li key={item.game_id} className="px-6 py-3 flex justify-between items-center">
+                  <div>
+                    <span className="text-sm text-gray-900">{item.game_name || `Game ${item.game_id}`}</span>
+                    <div className="text-xs text-gray-500">Threshold: {getLowStockThreshold(item)}</div>
+                  </div>
+                  <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${(item.keys_remaining || 0) === 0 ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                    {(item.keys_remaining || 0) === 0 ? 'Out of stock' : `${item.keys_remaining} left`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="px-6 py-3 border-t border-gray-200">
+            <Link to="/staff/game-keys" className="text-sm text-blue-600 hover:text-blue-900">
+              Add keys →
+            </Link>
+          </div>
+        </div>
+      </div>
+
         {/* User Info Card */}
         <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">Your Information</h2>
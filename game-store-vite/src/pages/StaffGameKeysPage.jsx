@@ -1,7 +1,19 @@
 // Staff Game Keys Management Console Page
 
 import { useState, useEffect } from 'react';
-import { apiGet, apiPost, apiPut, apiDelete } from '../utils/apiUtils';
+import { apiGet, apiPost, apiPut, apiPatch, apiDelete, findExistingGameKeys } from '../utils/apiUtils';
+import { KEY_TYPES, KEY_STATUSES, getKeyStatus, isLowStock, validateKeyFormat, getKeyFormatExample, findDuplicateKeys } from '../utils/gameKeyUtils';
+import { formatPrice } from '../utils/moneyUtils';
+import GameKeyImport from '../components/GameKeyImport';
+
+// Revealed keys are masked again after this long
+const REVEAL_DURATION_MS = 30000;
+
+// Never keep a full key from the list in state, even if the server sends one
+const stripFullKey = ({ key, ...row }) => ({
+  ...row,
+  key_last4: row.key_last4 || (key ? key.slice(-4) : null)
+});
 
 const StaffGameKeysPage = () => {
   const [gameKeys, setGameKeys] = useState([]);
@@ -11,10 +23,12 @@ const StaffGameKeysPage = () => {
   const [editingKey, setEditingKey] = useState(null);
   const [showAddForm, setShowAddForm] = useState(false);
   const [showBulkAdd, setShowBulkAdd] = useState(false);
+  const [showImport, setShowImport] = useState(false);
   const [formData, setFormData] = useState({
     game_id: '',
     key: '',
     price: '',
+    original_price: '',
     key_type: ''
   });
   const [bulkKeys, setBulkKeys] = useState('');
@@ -25,8 +39,16 @@ const StaffGameKeysPage = () => {
   const [totalPages, setTotalPages] = useState(1);
   const [filters, setFilters] = useState({
     game_id: '',
-    search: ''
+    search: '',
+    status: '',
+    low_stock: ''
   });
+  const [statusCounts, setStatusCounts] = useState([]);
+  const [revealedKeys, setRevealedKeys] = useState({});
+  const [revealingId, setRevealingId] = useState(null);
+  const [historyKey, setHistoryKey] = useState(null);
+  const [revealHistory, setRevealHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
 
 
   useEffect(() => {
@@ -34,21 +56,27 @@ const StaffGameKeysPage = () => {
     fetchGames();
   }, [currentPage, filters]);
 
+  useEffect(() => {
+    fetchStatusCounts();
+  }, []);
+
   const fetchGameKeys = async () => {
     try {
       setLoading(true);
       setError('');
+      // The list only needs the last four characters; full keys come from the audited reveal
       const params = new URLSearchParams({
         page: currentPage,
         limit: 20,
+        key_format: 'last4',
         ...Object.entries(filters).reduce((acc, [key, value]) => {
           if (value) acc[key] = value;
           return acc;
         }, {})
       });
       const response = await apiGet(`admin/game-keys?${params}`);
-      console.log('Game keys API response:', response); // Debug log
-      setGameKeys(response.data || response || []);
+      const rows = response.data || response || [];
+      setGameKeys(rows.map(stripFullKey));
       setTotalPages(response.total_pages || Math.ceil((response.count || 0) / 20));
     } catch (error) {
       console.error('Error fetching game keys:', error);
@@ -58,6 +86,20 @@ const StaffGameKeysPage = () => {
     }
   };
 
+  const fetchStatusCounts = async () => {
+    try {
+      const response = await apiGet('admin/game-keys/status-counts');
+      setStatusCounts(response.data || response || []);
+    } catch (error) {
+      console.error('Error fetching key status counts:', error);
+    }
+  };
+
+  // Reload the key list and the per-game status counts after inventory changes
+  const refreshInventory = async () => {
+    await Promise.all([fetchGameKeys(), fetchStatusCounts()]);
+  };
+
   const fetchGames = async () => {
     try {
       const response = await apiGet('admin/games?limit=1000');
@@ -91,14 +133,35 @@ const StaffGameKeysPage = () => {
         return;
       }
 
+      // An original price marks the key as on sale, so it has to be above the selling price
+      const originalPrice = formData.original_price ? parseFloat(formData.original_price) : null;
+      if (originalPrice != null && (isNaN(originalPrice) || originalPrice <= price)) {
+        setError('Original price must be higher than the price, or left empty');
+        return;
+      }
+
       const keyData = {
         game_id: gameId,
         key: formData.key.trim(),
         price: price,
+        original_price: originalPrice,
         key_type: formData.key_type.trim() || null
       };
 
-      console.log('Submitting key data:', keyData); // Debug log
+      const formatError = validateKeyFormat(keyData.key, keyData.key_type);
+      if (formatError) {
+        setError(formatError);
+        return;
+      }
+
+      // An edited key only needs checking if the key itself changed
+      if (!editingKey || editingKey.fullKey.toUpperCase() !== keyData.key.toUpperCase()) {
+        const existing = await findExistingGameKeys([keyData.key]);
+        if (existing.length > 0) {
+          setError(`Key ${keyData.key} is already in inventory`);
+          return;
+        }
+      }
 
       if (editingKey) {
         await apiPut(`admin/game-keys/${editingKey.id}`, keyData);
@@ -106,7 +169,7 @@ const StaffGameKeysPage = () => {
         await apiPost('admin/game-keys', keyData);
       }
       
-      await fetchGameKeys();
+      await refreshInventory();
       resetForm();
     } catch (error) {
       console.error('Error saving game key:', error);
@@ -153,10 +216,28 @@ const StaffGameKeysPage = () => {
         return;
       }
 
-      console.log('Submitting bulk keys:', { keys }); // Debug log
+      const invalidKeys = keys
+        .map(keyData => ({ key: keyData.key, error: validateKeyFormat(keyData.key, keyData.key_type) }))
+        .filter(result => result.error);
+      if (invalidKeys.length > 0) {
+        setError(`${invalidKeys.length} key(s) have an invalid format: ${describeKeys(invalidKeys.map(result => result.key))}. ${invalidKeys[0].error}`);
+        return;
+      }
+
+      const repeatedKeys = findDuplicateKeys(keys.map(keyData => keyData.key));
+      if (repeatedKeys.length > 0) {
+        setError(`These keys are entered more than once: ${describeKeys(repeatedKeys)}`);
+        return;
+      }
+
+      const existingKeys = await findExistingGameKeys(keys.map(keyData => keyData.key));
+      if (existingKeys.length > 0) {
+        setError(`${existingKeys.length} key(s) are already in inventory: ${describeKeys(existingKeys)}`);
+        return;
+      }
 
       await apiPost('admin/game-keys/bulk', { keys });
-      await fetchGameKeys();
+      await refreshInventory();
       setBulkKeys('');
       setBulkPrice('');
       setSelectedGameId('');
@@ -168,22 +249,115 @@ const StaffGameKeysPage = () => {
     }
   };
 
-  const handleEdit = (key) => {
-    setEditingKey(key);
+  // Short list of keys for error messages
+  const describeKeys = (keys) => {
+    const shown = keys.slice(0, 5).join(', ');
+    return keys.length > 5 ? `${shown} and ${keys.length - 5} more` : shown;
+  };
+
+  // Reveal a key in full; the backend records who revealed it and when
+  const revealKey = async (gameKey) => {
+    if (revealedKeys[gameKey.id]) return revealedKeys[gameKey.id];
+
+    try {
+      setRevealingId(gameKey.id);
+      const response = await apiPost(`admin/game-keys/${gameKey.id}/reveal`);
+      const fullKey = response.key || response.data?.key;
+      if (!fullKey) throw new Error('The server did not return the key');
+      setRevealedKeys(prev => ({ ...prev, [gameKey.id]: fullKey }));
+      setTimeout(() => hideKey(gameKey.id), REVEAL_DURATION_MS);
+      if (historyKey?.id === gameKey.id) {
+        fetchRevealHistory(gameKey);
+      }
+      return fullKey;
+    } catch (error) {
+      console.error('Error revealing game key:', error);
+      setError(error.message);
+      return null;
+    } finally {
+      setRevealingId(null);
+    }
+  };
+
+  const hideKey = (keyId) => {
+    setRevealedKeys(prev => {
+      const next = { ...prev };
+      delete next[keyId];
+      return next;
+    });
+  };
+
+  const fetchRevealHistory = async (gameKey) => {
+    try {
+      setHistoryLoading(true);
+      const response = await apiGet(`admin/game-keys/${gameKey.id}/reveals`);
+      setRevealHistory(response.data || response || []);
+    } catch (error) {
+      console.error('Error fetching reveal history:', error);
+      setError(error.message);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const handleShowHistory = (gameKey) => {
+    setHistoryKey(gameKey);
+    setRevealHistory([]);
+    fetchRevealHistory(gameKey);
+  };
+
+  const getDisplayKey = (gameKey) => {
+    if (revealedKeys[gameKey.id]) return revealedKeys[gameKey.id];
+    return gameKey.key_last4 ? `••••${gameKey.key_last4}` : '••••';
+  };
+
+  const handleEdit = async (key) => {
+    // Editing shows the full key, so it goes through the audited reveal
+    const fullKey = await revealKey(key);
+    if (!fullKey) return;
+
+    // Remember the revealed key to tell whether the edit changed it
+    setEditingKey({ ...key, fullKey });
     setFormData({
       game_id: key.game_id.toString(),
-      key: key.key,
+      key: fullKey,
       price: key.price ? key.price.toString() : '',
+      original_price: key.original_price ? key.original_price.toString() : '',
       key_type: key.key_type || ''
     });
     setShowAddForm(true);
   };
 
+  const isRowLowStock = (row) => {
+    const game = games.find(g => g.id === row.game_id) || row;
+    return isLowStock(row.available, game);
+  };
+
+  const visibleStatusCounts = filters.low_stock
+    ? statusCounts.filter(isRowLowStock)
+    : statusCounts;
+
+  const handleStatusChange = async (gameKey, status) => {
+    const label = KEY_STATUSES.find(option => option.value === status)?.label.toLowerCase();
+    const message = status === 'revoked'
+      ? 'Revoke this key? It will be removed from sale immediately.'
+      : `Mark this key as ${label}? It will go back on sale.`;
+    if (!window.confirm(message)) return;
+
+    try {
+      await apiPatch(`admin/game-keys/${gameKey.id}/status`, { status });
+      await refreshInventory();
+    } catch (error) {
+      console.error('Error updating game key status:', error);
+      setError(error.message);
+    }
+  };
+
   const handleDelete = async (keyId) => {
     if (window.confirm('Are you sure you want to delete this game key?')) {
       try {
         await apiDelete(`admin/game-keys/${keyId}`);
-        await fetchGameKeys();
+        await refreshInventory();
       } catch (error) {
         console.error('Error deleting game key:', error);
         setError(error.message);
@@ -196,6 +370,7 @@ const StaffGameKeysPage = () => {
       game_id: '',
       key: '',
       price: '',
+      original_price: '',
       key_type: ''
     });
     setEditingKey(null);
@@ -217,6 +392,12 @@ const StaffGameKeysPage = () => {
               </p>
             </div>
             <div className="flex space-x-3">
+              <button
+                onClick={() => setShowImport(!showImport)}
+                className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition-colors"
+              >
+                {showImport ? 'Cancel Import' : 'Import CSV'}
+              </button>
               <button
                 onClick={() => setShowBulkAdd(!showBulkAdd)}
                 className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg transition-colors"
@@ -248,6 +429,15 @@ const StaffGameKeysPage = () => {
           </div>
         )}
 
+        {/* Spreadsheet Import */}
+        {showImport && (
+          <GameKeyImport
+            games={games}
+            onImported={refreshInventory}
+            onClose={() => setShowImport(false)}
+          />
+        )}
+
         {/* Bulk Add Form */}
         {showBulkAdd && (
           <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
@@ -286,6 +476,7 @@ const StaffGameKeysPage = () => {
                 />
                 <p className="mt-1 text-sm text-gray-500">
                   {bulkKeys.split('\n').filter(k => k.trim()).length} keys entered
+                  {getKeyFormatExample(bulkKeyType) && ` · expected format ${getKeyFormatExample(bulkKeyType)}`}
                 </p>
               </div>
               
@@ -315,17 +506,9 @@ const StaffGameKeysPage = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
                 >
                   <option value="">Select Key Type</option>
-                  <option value="steam">Steam</option>
-                  <option value="epic">Epic Games</option>
-                  <option value="origin">Origin</option>
-                  <option value="uplay">Uplay</option>
-                  <option value="battle.net">Battle.net</option>
-                  <option value="gog">GOG</option>
-                  <option value="microsoft">Microsoft Store</option>
-                  <option value="playstation">PlayStation</option>
-                  <option value="xbox">Xbox</option>
-                  <option value="nintendo">Nintendo</option>
-                  <option value="other">Other</option>
+                  {KEY_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
                 </select>
               </div>
               
@@ -390,8 +573,11 @@ const StaffGameKeysPage = () => {
                   value={formData.key}
                   onChange={(e) => setFormData({...formData, key: e.target.value})}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono"
-                  placeholder="XXXXX-XXXXX-XXXXX"
+                  placeholder={getKeyFormatExample(formData.key_type) || 'XXXXX-XXXXX-XXXXX'}
                 />
+                {formData.key && validateKeyFormat(formData.key, formData.key_type) && (
+                  <p className="mt-1 text-sm text-red-600">{validateKeyFormat(formData.key, formData.key_type)}</p>
+                )}
               </div>
               
               <div>
@@ -409,6 +595,22 @@ const StaffGameKeysPage = () => {
                   placeholder="19.99"
                 />
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Original Price
+                </label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={formData.original_price}
+                  onChange={(e) => setFormData({...formData, original_price: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="29.99"
+                />
+                <p className="mt-1 text-xs text-gray-500">Set to show this key as on sale. Leave empty for the regular price.</p>
+              </div>
               
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -420,17 +622,9 @@ const StaffGameKeysPage = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 >
                   <option value="">Select Key Type</option>
-                  <option value="steam">Steam</option>
-                  <option value="epic">Epic Games</option>
-                  <option value="origin">Origin</option>
-                  <option value="uplay">Uplay</option>
-                  <option value="battle.net">Battle.net</option>
-                  <option value="gog">GOG</option>
-                  <option value="microsoft">Microsoft Store</option>
-                  <option value="playstation">PlayStation</option>
-                  <option value="xbox">Xbox</option>
-                  <option value="nintendo">Nintendo</option>
-                  <option value="other">Other</option>
+                  {KEY_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
                 </select>
               </div>
               
@@ -453,6 +647,123 @@ const StaffGameKeysPage = () => {
           </div>
         )}
 
+        {/* Reveal History */}
+        {historyKey && (
+          <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl font-semibold">Reveal History</h2>
+                <p className="text-sm text-gray-500">
+                  <span className="font-mono">{getDisplayKey(historyKey)}</span> · {historyKey.game?.name || `Game ${historyKey.game_id}`}
+                </p>
+              </div>
+              <button
+                onClick={() => setHistoryKey(null)}
+                className="text-gray-500 hover:text-gray-700 text-2xl font-bold"
+              >
+                ×
+              </button>
+            </div>
+            {historyLoading ? (
+              <div className="p-6 text-center">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+                <p className="mt-2 text-gray-500">Loading history...</p>
+              </div>
+            ) : revealHistory.length === 0 ? (
+              <p className="text-sm text-gray-500">This key has never been revealed.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Staff Member</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Revealed At</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {revealHistory.map((entry, index) => (
+                      <tr key={entry.id || index}>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                          {entry.user?.name || entry.user?.username || `User ${entry.user_id}`}
+                          {entry.user?.email && <span className="text-gray-500"> · {entry.user.email}</span>}
+                        </td>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                          {entry.revealed_at ? new Date(entry.revealed_at).toLocaleString() : 'N/A'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Inventory by Status */}
+        {statusCounts.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm mb-6">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">
+                Inventory by Status
+                {statusCounts.filter(isRowLowStock).length > 0 && (
+                  <span className="ml-2 text-sm font-normal text-yellow-700">
+                    {statusCounts.filter(isRowLowStock).length} game(s) low on stock
+                  </span>
+                )}
+              </h2>
+            </div>
+            <div className="overflow-x-auto max-h-72 overflow-y-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Game</th>
+                    {KEY_STATUSES.map(status => (
+                      <th key={status.value} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {status.label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {visibleStatusCounts.map(row => (
+                    <tr key={row.game_id} className="hover:bg-gray-50">
+                      <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                        <button
+                          onClick={() => {
+                            setFilters({...filters, game_id: String(row.game_id)});
+                            setCurrentPage(1);
+                          }}
+                          className="hover:text-blue-600"
+                        >
+                          {row.game_name || games.find(game => game.id === row.game_id)?.name || `Game ${row.game_id}`}
+                        </button>
+                        {isRowLowStock(row) && (
+                          <span className={`ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${row.available ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-800'}`}>
+                            {row.available ? 'Low stock' : 'Out of stock'}
+                          </span>
+                        )}
+                      </td>
+                      {KEY_STATUSES.map(status => (
+                        <td key={status.value} className="px-6 py-3 whitespace-nowrap text-sm">
+                          <button
+                            onClick={() => {
+                              setFilters({...filters, game_id: String(row.game_id), status: status.value});
+                              setCurrentPage(1);
+                            }}
+                            className={`${row[status.value] ? 'text-gray-900 hover:text-blue-600' : 'text-gray-400'}`}
+                          >
+                            {row[status.value] || 0}
+                          </button>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Filters */}
         <div className="bg-white rounded-lg shadow-sm p-4 mb-6">
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
@@ -479,10 +790,39 @@ const StaffGameKeysPage = () => {
                 ))}
               </select>
             </div>
+            <div>
+              <select
+                value={filters.status}
+                onChange={(e) => {
+                  setFilters({...filters, status: e.target.value});
+                  setCurrentPage(1);
+                }}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">All Statuses</option>
+                {KEY_STATUSES.map(status => (
+                  <option key={status.value} value={status.value}>{status.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-center">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={filters.low_stock === 'true'}
+                  onChange={(e) => {
+                    setFilters({...filters, low_stock: e.target.checked ? 'true' : ''});
+                    setCurrentPage(1);
+                  }}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span>Low-stock games only</span>
+              </label>
+            </div>
             <div>
               <button
                 onClick={() => {
-                  setFilters({game_id: '', search: ''});
+                  setFilters({game_id: '', search: '', status: '', low_stock: ''});
                   setCurrentPage(1);
                 }}
                 className="w-full px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
@@ -525,6 +865,9 @@ const StaffGameKeysPage = () => {
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Key Type
                       </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Status
+                      </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Price
                       </th>
@@ -548,8 +891,26 @@ const StaffGameKeysPage = () => {
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="text-sm font-mono text-gray-900 bg-gray-100 px-2 py-1 rounded">
-                            {key.key}
+                          <div className="flex items-center gap-2">
+                            <div className="text-sm font-mono text-gray-900 bg-gray-100 px-2 py-1 rounded">
+                              {getDisplayKey(key)}
+                            </div>
+                            {revealedKeys[key.id] ? (
+                              <button
+                                onClick={() => hideKey(key.id)}
+                                className="text-xs text-gray-600 hover:text-gray-900"
+                              >
+                                Hide
+                              </button>
+                            ) : (
+                              <button
+                                onClick={() => revealKey(key)}
+                                disabled={revealingId === key.id}
+                                className="text-xs text-blue-600 hover:text-blue-900 disabled:opacity-50"
+                              >
+                                {revealingId === key.id ? 'Revealing...' : 'Reveal'}
+                              </button>
+                            )}
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
@@ -563,23 +924,52 @@ const StaffGameKeysPage = () => {
                             )}
                           </div>
                         </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${KEY_STATUSES.find(status => status.value === getKeyStatus(key))?.color || 'bg-gray-100 text-gray-800'}`}>
+                            {KEY_STATUSES.find(status => status.value === getKeyStatus(key))?.label || getKeyStatus(key)}
+                          </span>
+                        </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          ${key.price || '0.00'}
+                          {formatPrice(key.price || 0)}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {key.created_at ? new Date(key.created_at).toLocaleDateString() : 'N/A'}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                           <div className="flex justify-end space-x-2">
+                            <button
+                              onClick={() => handleShowHistory(key)}
+                              className="text-gray-600 hover:text-gray-900 px-2 py-1"
+                            >
+                              History
+                            </button>
                             <button
                               onClick={() => handleEdit(key)}
                               className="text-blue-600 hover:text-blue-900 px-2 py-1"
                             >
                               Edit
                             </button>
+                            {getKeyStatus(key) === 'available' && (
+                              <button
+                                onClick={() => handleStatusChange(key, 'revoked')}
+                                className="text-orange-600 hover:text-orange-900 px-2 py-1"
+                              >
+                                Revoke
+                              </button>
+                            )}
+                            {getKeyStatus(key) === 'revoked' && (
+                              <button
+                                onClick={() => handleStatusChange(key, 'available')}
+                                className="text-green-600 hover:text-green-900 px-2 py-1"
+                              >
+                                Restore
+                              </button>
+                            )}
                             <button
                               onClick={() => handleDelete(key.id)}
-                              className="text-red-600 hover:text-red-900 px-2 py-1"
+                              disabled={getKeyStatus(key) === 'sold'}
+                              title={getKeyStatus(key) === 'sold' ? 'Sold keys are part of order history' : ''}
+                              className="text-red-600 hover:text-red-900 px-2 py-1 disabled:opacity-50 disabled:cursor-not-allowed"
                             >
                               Delete
                             </button>
@@ -3,6 +3,8 @@
 import { useState, useEffect } from 'react';
 import { apiGet, apiPost, apiPut, apiDelete } from '../utils/apiUtils';
 import CoverUpload from '../components/CoverUpload';
+import { getGameImageUrl } from '../utils/imageUtils';
+import { DEFAULT_LOW_STOCK_THRESHOLD, getLowStockThreshold, isLowStock } from '../utils/gameKeyUtils';
 
 const StaffGamesPage = () => {
   const [games, setGames] = useState([]);
@@ -15,16 +17,23 @@ const StaffGamesPage = () => {
     name: '',
     description: '',
     category_id: '',
-    cover: ''
+    cover: '',
+    low_stock_threshold: String(DEFAULT_LOW_STOCK_THRESHOLD)
   });
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [searchTerm, setSearchTerm] = useState('');
+  const [lowStockOnly, setLowStockOnly] = useState(false);
+  const [availableCounts, setAvailableCounts] = useState({});
 
   useEffect(() => {
     fetchGames();
     fetchCategories();
-  }, [currentPage, searchTerm]);
+  }, [currentPage, searchTerm, lowStockOnly]);
+
+  useEffect(() => {
+    fetchAvailableCounts();
+  }, []);
 
   const fetchGames = async () => {
     try {
@@ -33,7 +42,8 @@ const StaffGamesPage = () => {
       const params = new URLSearchParams({
         page: currentPage,
         limit: 10,
-        ...(searchTerm && { search: searchTerm })
+        ...(searchTerm && { search: searchTerm }),
+        ...(lowStockOnly && { low_stock: 'true' })
       });
       const response = await apiGet(`admin/games?${params}`);
       setGames(response.data || response || []);
@@ -46,6 +56,17 @@ const StaffGamesPage = () => {
     }
   };
 
+  // Available key counts per game, for the stock column and low-stock badges
+  const fetchAvailableCounts = async () => {
+    try {
+      const response = await apiGet('admin/game-keys/status-counts');
+      const rows = response.data || response || [];
+      setAvailableCounts(Object.fromEntries(rows.map(row => [row.game_id, row.available || 0])));
+    } catch (error) {
+      console.error('Error fetching key counts:', error);
+    }
+  };
+
   const fetchCategories = async () => {
     try {
       const response = await apiGet('admin/categories');
@@ -63,9 +84,16 @@ const StaffGamesPage = () => {
         ? parseInt(formData.category_id) 
         : null;
       
+      const lowStockThreshold = parseInt(formData.low_stock_threshold, 10);
+      if (isNaN(lowStockThreshold) || lowStockThreshold < 0) {
+        setError('Low-stock threshold must be zero or a positive whole number');
+        return;
+      }
+
       const gameData = {
         ...formData,
-        category_id: categoryId
+        category_id: categoryId,
+        low_stock_threshold: lowStockThreshold
       };
 
       // For edit operations, only include category_id if it's actually changing or has a value
@@ -102,7 +130,8 @@ const StaffGamesPage = () => {
       name: game.name,
       description: game.description || '',
       category_id: categoryId,
-      cover: game.cover || ''
+      cover: game.cover || '',
+      low_stock_threshold: String(getLowStockThreshold(game))
     });
     setShowAddForm(true);
   };
@@ -124,7 +153,8 @@ const StaffGamesPage = () => {
       name: '',
       description: '',
       category_id: '',
-      cover: ''
+      cover: '',
+      low_stock_threshold: String(DEFAULT_LOW_STOCK_THRESHOLD)
     });
     setEditingGame(null);
     setShowAddForm(false);
@@ -145,6 +175,18 @@ const StaffGamesPage = () => {
               </p>
             </div>
             <div className="flex space-x-3">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={lowStockOnly}
+                  onChange={(e) => {
+                    setLowStockOnly(e.target.checked);
+                    setCurrentPage(1);
+                  }}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span>Low stock only</span>
+              </label>
               <div className="relative">
                 <input
                   type="text"
@@ -217,6 +259,22 @@ const StaffGamesPage = () => {
                 </select>
               </div>
               
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Low-Stock Threshold *
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  required
+                  value={formData.low_stock_threshold}
+                  onChange={(e) => setFormData({...formData, low_stock_threshold: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <p className="mt-1 text-xs text-gray-500">Flag the game as low stock when this many available keys or fewer remain</p>
+              </div>
+
                <div>
                  <CoverUpload
                    currentCover={formData.cover}
@@ -285,6 +343,9 @@ const StaffGamesPage = () => {
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Category
                       </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Stock
+                      </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Created
                       </th>
@@ -301,7 +362,7 @@ const StaffGamesPage = () => {
                             {game.cover && (
                               <img
                                 className="h-12 w-12 rounded-lg object-cover mr-4"
-                                src={`https://s3.tebi.io/game-key-store/games/${game.cover}`}
+                                src={getGameImageUrl(game.cover)}
                                 alt={game.name}
                                 onError={(e) => {
                                   e.target.style.display = 'none';
@@ -321,6 +382,17 @@ const StaffGamesPage = () => {
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {game.category?.name || 'No category'}
                         </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          <div className="flex items-center gap-2">
+                            <span>{availableCounts[game.id] ?? 0} available</span>
+                            {isLowStock(availableCounts[game.id], game) && (
+                              <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${availableCounts[game.id] ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-800'}`}>
+                                {availableCounts[game.id] ? 'Low stock' : 'Out of stock'}
+                              </span>
+                            )}
+                          </div>
+                          <div className="text-xs text-gray-500">Threshold: {getLowStockThreshold(game)}</div>
+                        </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {new Date(game.created_at).toLocaleDateString()}
                         </td>
@@ -0,0 +1,632 @@
+// Staff Orders Management Console Page
+
+import { useState, useEffect, useRef } from 'react';
+import { apiGet, apiPost, apiPatch } from '../utils/apiUtils';
+import { SEARCH_DEBOUNCE_MS } from '../utils/searchUtils';
+import { formatPrice } from '../utils/moneyUtils';
+import {
+  getOrderDate,
+  getOrderStatus,
+  getOrderStatusColor,
+  formatOrderDate,
+  getOrderRequests,
+  ORDER_STATUSES,
+  APPROVED_REQUEST_STATUSES,
+  ORDER_REQUEST_TYPES,
+  ORDER_REQUEST_STATUSES
+} from '../utils/orderUtils';
+
+const EMPTY_FILTERS = {
+  status: '',
+  date_from: '',
+  date_to: '',
+  customer: '',
+  game_id: ''
+};
+
+const StaffOrdersPage = () => {
+  const [orders, setOrders] = useState([]);
+  const [games, setGames] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalOrders, setTotalOrders] = useState(0);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Filters actually sent; the customer search catches up once typing pauses
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [selectedOrder, setSelectedOrder] = useState(null);
+  const [detailsLoading, setDetailsLoading] = useState(false);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [pendingRequests, setPendingRequests] = useState([]);
+  // Only the latest list request may update the table
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setAppliedFilters(prev => (prev.customer === filters.customer ? prev : { ...prev, customer: filters.customer }));
+      setCurrentPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [filters.customer]);
+
+  useEffect(() => {
+    fetchOrders(currentPage, appliedFilters);
+  }, [currentPage, appliedFilters]);
+
+  useEffect(() => {
+    fetchGames();
+    fetchPendingRequests();
+  }, []);
+
+  const fetchOrders = async (page, activeFilters) => {
+    const requestId = ++requestIdRef.current;
+    try {
+      setLoading(true);
+      setError('');
+      const params = new URLSearchParams({
+        page,
+        limit: 20,
+        ...Object.entries(activeFilters).reduce((acc, [key, value]) => {
+          if (value) acc[key] = value;
+          return acc;
+        }, {})
+      });
+      const response = await apiGet(`admin/orders?${params}`);
+      if (requestId !== requestIdRef.current) return;
+      const ordersData = response.data || response || [];
+      setOrders(ordersData);
+      setTotalPages(response.total_pages || Math.ceil((response.count || 0) / 20) || 1);
+      setTotalOrders(response.count ?? ordersData.length);
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error fetching orders:', error);
+      setError(error.message);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const fetchGames = async () => {
+    try {
+      const response = await apiGet('admin/games?limit=1000');
+      setGames(response.data || response || []);
+    } catch (error) {
+      console.error('Error fetching games:', error);
+    }
+  };
+
+  const fetchPendingRequests = async () => {
+    try {
+      const response = await apiGet('admin/order-requests?status=pending');
+      setPendingRequests(response.data || response || []);
+    } catch (error) {
+      console.error('Error fetching order requests:', error);
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    if (key === 'customer') return;
+    setAppliedFilters(prev => ({ ...prev, [key]: value }));
+    setCurrentPage(1);
+  };
+
+  const loadOrderDetails = async (orderId) => {
+    try {
+      setDetailsLoading(true);
+      const response = await apiGet(`admin/orders/${orderId}`);
+      setSelectedOrder(response.data || response);
+    } catch (error) {
+      console.error('Error fetching order details:', error);
+      setError(error.message);
+    } finally {
+      setDetailsLoading(false);
+    }
+  };
+
+  const handleViewOrder = (order) => {
+    setError('');
+    // Show what we already have while the full order loads
+    setSelectedOrder(order);
+    loadOrderDetails(order.id);
+  };
+
+  // Run an admin action on the selected order, then refresh the list and the detail view.
+  // status is the order status the action leaves behind, shown straight away.
+  const runOrderAction = async (action, successMessage, status = null) => {
+    try {
+      setActionLoading(true);
+      setError('');
+      setSuccess('');
+      await action();
+      if (status) {
+        setSelectedOrder(prev => (prev ? { ...prev, status } : prev));
+      }
+      await Promise.all([
+        fetchOrders(currentPage, appliedFilters),
+        loadOrderDetails(selectedOrder.id),
+        fetchPendingRequests()
+      ]);
+      setSuccess(successMessage);
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      console.error('Error updating order:', error);
+      setError(error.message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleCancelOrder = (order) => {
+    if (!window.confirm(`Cancel order #${order.id}? Its keys will be returned to inventory.`)) return;
+
+    runOrderAction(
+      () => apiPatch(`admin/orders/${order.id}/cancel`),
+      `Order #${order.id} cancelled`,
+      'cancelled'
+    );
+  };
+
+  const handleRefundOrder = (order) => {
+    const reason = window.prompt(`Refund ${formatPrice(order.total_price)} for order #${order.id}? Enter a reason:`);
+    if (reason === null) return;
+
+    runOrderAction(
+      () => apiPost(`admin/orders/${order.id}/refund`, { reason: reason.trim() || null }),
+      `Order #${order.id} refunded`,
+      'refunded'
+    );
+  };
+
+  const handleReissueKey = (order, subOrder) => {
+    const gameName = subOrder.game?.name || `Game ${subOrder.game_id}`;
+    if (!window.confirm(`Replace the key for ${gameName}? The current key will be revoked and a new one delivered to the customer.`)) return;
+
+    runOrderAction(
+      () => apiPost(`admin/orders/${order.id}/sub-orders/${subOrder.id}/reissue-key`),
+      `Replacement key issued for ${gameName}`
+    );
+  };
+
+  // Approving a request cancels or refunds the order on the server, which sets its status
+  const handleProcessRequest = (request, status) => {
+    const type = (ORDER_REQUEST_TYPES[request.type] || 'request').toLowerCase();
+    const note = window.prompt(
+      status === 'approved'
+        ? `Approve the ${type} of order #${request.order_id}? Add a note for the customer (optional):`
+        : `Deny the ${type} of order #${request.order_id}? Tell the customer why:`
+    );
+    if (note === null) return;
+
+    runOrderAction(
+      () => apiPatch(`admin/order-requests/${request.id}`, { status, staff_note: note.trim() || null }),
+      `${ORDER_REQUEST_TYPES[request.type] || 'Request'} ${status} for order #${request.order_id}`,
+      status === 'approved' ? APPROVED_REQUEST_STATUSES[request.type] : null
+    );
+  };
+
+  const getRequestStatus = (status) => ORDER_REQUEST_STATUSES.find(option => option.value === status) || ORDER_REQUEST_STATUSES[0];
+
+  const isClosed = (order) => ['cancelled', 'refunded'].includes(getOrderStatus(order).toLowerCase());
+
+  const getCustomerLabel = (order) => {
+    const customer = order.user || {};
+    return customer.name || customer.username || customer.email || (order.user_id ? `User ${order.user_id}` : 'Unknown');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="py-6">
+            <h1 className="text-3xl font-bold text-gray-900">Orders Management</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Review purchases, delivered keys, cancellations and refunds
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Error Message */}
+        {error && (
+          <div className="mb-6 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+            <p>{error}</p>
+          </div>
+        )}
+
+        {/* Success Message */}
+        {success && (
+          <div className="mb-6 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+            <p>{success}</p>
+          </div>
+        )}
+
+        {/* Pending Customer Requests */}
+        {pendingRequests.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-4 mb-8">
+            <h2 className="text-lg font-medium text-yellow-900 mb-3">
+              Pending Customer Requests ({pendingRequests.length})
+            </h2>
+            <ul className="divide-y divide-yellow-200">
+              {pendingRequests.map(request => (
+                <li key={request.id} className="flex items-center justify-between py-2 gap-4">
+                  <div className="text-sm text-yellow-900">
+                    <span className="font-medium">{ORDER_REQUEST_TYPES[request.type] || 'Request'}</span> for order #{request.order_id}
+                    <span className="text-yellow-700"> · {formatOrderDate(request.created_at)}</span>
+                    {request.reason && <p className="text-yellow-800 italic">"{request.reason}"</p>}
+                  </div>
+                  <button
+                    onClick={() => handleViewOrder(orders.find(order => order.id === request.order_id) || { id: request.order_id })}
+                    className="text-blue-600 hover:text-blue-900 px-2 py-1 text-sm font-medium"
+                  >
+                    Review
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Order Details */}
+        {selectedOrder && (
+          <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+            <div className="flex justify-between items-start mb-6">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">Order #{selectedOrder.id}</h2>
+                <p className="text-sm text-gray-500">
+                  {getCustomerLabel(selectedOrder)}
+                  {selectedOrder.user?.email && selectedOrder.user.email !== getCustomerLabel(selectedOrder) && ` · ${selectedOrder.user.email}`}
+                </p>
+              </div>
+              <button
+                onClick={() => setSelectedOrder(null)}
+                className="text-gray-500 hover:text-gray-700 text-2xl font-bold"
+              >
+                ×
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+              <div>
+                <p className="text-sm text-gray-500">Date</p>
+                <p className="font-medium">{formatOrderDate(getOrderDate(selectedOrder))}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Status</p>
+                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getOrderStatusColor(getOrderStatus(selectedOrder))}`}>
+                  {getOrderStatus(selectedOrder)}
+                </span>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Total</p>
+                <p className="font-medium">{formatPrice(selectedOrder.total_price)}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Comment</p>
+                <p className="font-medium">{selectedOrder.comment || '—'}</p>
+              </div>
+            </div>
+
+            {/* Order Actions */}
+            <div className="flex flex-wrap gap-3 pb-6 mb-6 border-b border-gray-200">
+              <button
+                onClick={() => handleCancelOrder(selectedOrder)}
+                disabled={actionLoading || isClosed(selectedOrder)}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Cancel Order
+              </button>
+              <button
+                onClick={() => handleRefundOrder(selectedOrder)}
+                disabled={actionLoading || isClosed(selectedOrder)}
+                className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Refund Order
+              </button>
+            </div>
+
+            {/* Customer Requests */}
+            {getOrderRequests(selectedOrder).length > 0 && (
+              <div className="pb-6 mb-6 border-b border-gray-200">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Customer Requests</h3>
+                <ul className="space-y-3">
+                  {getOrderRequests(selectedOrder).map(request => {
+                    const status = getRequestStatus(request.status);
+                    return (
+                      <li key={request.id} className="flex items-start justify-between gap-4 border border-gray-200 rounded-lg p-4">
+                        <div className="text-sm">
+                          <p className="font-medium text-gray-900">
+                            {ORDER_REQUEST_TYPES[request.type] || 'Request'}
+                            <span className={`inline-flex ml-2 px-2 py-1 text-xs font-semibold rounded-full ${status.color}`}>
+                              {status.label}
+                            </span>
+                          </p>
+                          <p className="text-gray-500">Requested {formatOrderDate(request.created_at)}</p>
+                          <p className="text-gray-700 mt-1">Reason: {request.reason || '—'}</p>
+                          {request.staff_note && <p className="text-gray-700">Staff note: {request.staff_note}</p>}
+                          {request.processed_at && <p className="text-gray-500">Processed {formatOrderDate(request.processed_at)}</p>}
+                        </div>
+                        {request.status === 'pending' && (
+                          <div className="flex gap-2 flex-shrink-0">
+                            <button
+                              onClick={() => handleProcessRequest(request, 'approved')}
+                              disabled={actionLoading}
+                              className="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => handleProcessRequest(request, 'denied')}
+                              disabled={actionLoading}
+                              className="px-3 py-1 text-sm text-red-600 border border-gray-300 rounded hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              Deny
+                            </button>
+                          </div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
+
+            {/* Sub Orders */}
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              Items ({selectedOrder.sub_orders?.length || 0})
+            </h3>
+            {detailsLoading && !selectedOrder.sub_orders ? (
+              <div className="p-6 text-center">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+                <p className="mt-2 text-gray-500">Loading order details...</p>
+              </div>
+            ) : !selectedOrder.sub_orders || selectedOrder.sub_orders.length === 0 ? (
+              <p className="text-gray-500 text-sm">This order has no items.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Game</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Delivered Key</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Key Type</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {selectedOrder.sub_orders.map((subOrder) => {
+                      const gameKey = subOrder.game_key || {};
+                      return (
+                        <tr key={subOrder.id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="text-sm font-medium text-gray-900">
+                              {subOrder.game?.name || `Game ${subOrder.game_id}`}
+                            </div>
+                            <div className="text-sm text-gray-500">Sub-order ID: {subOrder.id}</div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="text-sm font-mono text-gray-900 bg-gray-100 px-2 py-1 rounded">
+                              {gameKey.key || 'Not delivered'}
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {gameKey.key_type || '—'}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {formatPrice(gameKey.price || subOrder.price || 0)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                            <button
+                              onClick={() => handleReissueKey(selectedOrder, subOrder)}
+                              disabled={actionLoading || isClosed(selectedOrder)}
+                              className="text-blue-600 hover:text-blue-900 px-2 py-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              Re-issue Key
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow-sm p-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            <div>
+              <input
+                type="text"
+                placeholder="Customer name or email..."
+                value={filters.customer}
+                onChange={(e) => updateFilter('customer', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <select
+                value={filters.status}
+                onChange={(e) => updateFilter('status', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">All Statuses</option>
+                {ORDER_STATUSES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <select
+                value={filters.game_id}
+                onChange={(e) => updateFilter('game_id', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">All Games</option>
+                {games.map(game => (
+                  <option key={game.id} value={game.id}>
+                    {game.name || `Game ${game.id}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <input
+                type="date"
+                title="From date"
+                value={filters.date_from}
+                max={filters.date_to || undefined}
+                onChange={(e) => updateFilter('date_from', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <input
+                type="date"
+                title="To date"
+                value={filters.date_to}
+                min={filters.date_from || undefined}
+                onChange={(e) => updateFilter('date_to', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <button
+                onClick={() => {
+                  setFilters(EMPTY_FILTERS);
+                  setAppliedFilters(EMPTY_FILTERS);
+                  setCurrentPage(1);
+                }}
+                className="w-full px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+              >
+                Clear Filters
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Orders List */}
+        <div className="bg-white rounded-lg shadow-sm">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">
+              Orders ({totalOrders})
+            </h2>
+          </div>
+
+          {loading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+              <p className="mt-2 text-gray-500">Loading orders...</p>
+            </div>
+          ) : orders.length === 0 ? (
+            <div className="p-8 text-center text-gray-500">
+              <p>No orders found.</p>
+            </div>
+          ) : (
+            <>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Order
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Customer
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Date
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Items
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Status
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Total
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {orders.map((order) => (
+                      <tr key={order.id} className={`hover:bg-gray-50 ${selectedOrder?.id === order.id ? 'bg-blue-50' : ''}`}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          #{order.id}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {getCustomerLabel(order)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatOrderDate(getOrderDate(order))}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {order.sub_orders?.length ?? order.items_count ?? 0}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getOrderStatusColor(getOrderStatus(order))}`}>
+                            {getOrderStatus(order)}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatPrice(order.total_price)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          <button
+                            onClick={() => handleViewOrder(order)}
+                            className="text-blue-600 hover:text-blue-900 px-2 py-1"
+                          >
+                            View
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Pagination */}
+              {totalPages > 1 && (
+                <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+                  <div className="text-sm text-gray-500">
+                    Page {currentPage} of {totalPages}
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                      disabled={currentPage === 1}
+                      className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                      disabled={currentPage === totalPages}
+                      className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StaffOrdersPage;
@@ -0,0 +1,637 @@
+// Staff Store Settings Console Page
+
+import { useState, useEffect } from 'react';
+import { apiGet, apiPut } from '../utils/apiUtils';
+import { useSettings } from '../contexts/SettingsContext';
+import { mergeStoreSettings, DEFAULT_STORE_SETTINGS } from '../utils/settingsUtils';
+import { KEY_TYPES } from '../utils/gameKeyUtils';
+import { REDEMPTION_PLATFORMS } from '../utils/redemptionUtils';
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'PLN', 'SEK', 'NOK', 'DKK', 'CHF', 'JPY'];
+
+const StaffSettingsPage = () => {
+  const { refreshSettings } = useSettings();
+  const [formData, setFormData] = useState(DEFAULT_STORE_SETTINGS);
+  const [games, setGames] = useState([]);
+  const [gameToFeature, setGameToFeature] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchSettings();
+    fetchGames();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await apiGet('admin/settings');
+      setFormData(mergeStoreSettings(response.data || response));
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchGames = async () => {
+    try {
+      const response = await apiGet('admin/games?limit=1000');
+      setGames(response.data || response || []);
+    } catch (error) {
+      console.error('Error fetching games:', error);
+    }
+  };
+
+  const updateField = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateStat = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      stats: prev.stats.map((stat, i) => (i === index ? { ...stat, [field]: value } : stat))
+    }));
+  };
+
+  const addStat = () => {
+    setFormData(prev => ({ ...prev, stats: [...prev.stats, { value: '', label: '' }] }));
+  };
+
+  const removeStat = (index) => {
+    setFormData(prev => ({ ...prev, stats: prev.stats.filter((_, i) => i !== index) }));
+  };
+
+  const updateRedemptionPlatform = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      redemption_platforms: prev.redemption_platforms.map((platform, i) => (i === index ? { ...platform, [field]: value } : platform))
+    }));
+  };
+
+  const addRedemptionPlatform = () => {
+    setFormData(prev => ({
+      ...prev,
+      redemption_platforms: [...prev.redemption_platforms, { key_type: '', name: '', url: '', steps: [] }]
+    }));
+  };
+
+  const removeRedemptionPlatform = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      redemption_platforms: prev.redemption_platforms.filter((_, i) => i !== index)
+    }));
+  };
+
+  const addFeaturedGame = () => {
+    if (!gameToFeature) return;
+    const gameId = Number(gameToFeature);
+    setFormData(prev => ({
+      ...prev,
+      featured_game_ids: prev.featured_game_ids.includes(gameId)
+        ? prev.featured_game_ids
+        : [...prev.featured_game_ids, gameId]
+    }));
+    setGameToFeature('');
+  };
+
+  const removeFeaturedGame = (gameId) => {
+    setFormData(prev => ({
+      ...prev,
+      featured_game_ids: prev.featured_game_ids.filter(id => id !== gameId)
+    }));
+  };
+
+  const moveFeaturedGame = (index, direction) => {
+    setFormData(prev => {
+      const ids = [...prev.featured_game_ids];
+      const target = index + direction;
+      if (target < 0 || target >= ids.length) return prev;
+      [ids[index], ids[target]] = [ids[target], ids[index]];
+      return { ...prev, featured_game_ids: ids };
+    });
+  };
+
+  const getGameName = (gameId) => {
+    const game = games.find(g => g.id === gameId);
+    return game?.name || `Game ${gameId}`;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.maintenance_mode && !window.confirm('Maintenance mode hides the store from customers. Save anyway?')) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      const payload = {
+        ...formData,
+        store_name: formData.store_name.trim(),
+        support_email: (formData.support_email || '').trim(),
+        image_base_url: (formData.image_base_url || '').trim(),
+        reservation_minutes: parseInt(formData.reservation_minutes, 10) || DEFAULT_STORE_SETTINGS.reservation_minutes,
+        business_address: (formData.business_address || '').trim(),
+        tax_id: (formData.tax_id || '').trim(),
+        tax_label: (formData.tax_label || '').trim() || DEFAULT_STORE_SETTINGS.tax_label,
+        tax_rate: parseFloat(formData.tax_rate) || 0,
+        stats: formData.stats.filter(stat => stat.value?.trim() && stat.label?.trim()),
+        redemption_platforms: formData.redemption_platforms
+          .filter(platform => platform.key_type?.trim())
+          .map(platform => ({
+            key_type: platform.key_type.trim().toLowerCase(),
+            name: (platform.name || '').trim(),
+            url: (platform.url || '').trim(),
+            steps: (platform.steps || []).map(step => step.trim()).filter(Boolean)
+          }))
+      };
+      await apiPut('admin/settings', payload);
+      // Apply the new values to the rest of the app straight away
+      await refreshSettings();
+      setFormData(payload);
+      setSuccess('Settings saved');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="py-6">
+            <h1 className="text-3xl font-bold text-gray-900">Store Settings</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Configure store details, homepage content and maintenance mode
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Error Message */}
+        {error && (
+          <div className="mb-6 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+            <p>{error}</p>
+          </div>
+        )}
+
+        {/* Success Message */}
+        {success && (
+          <div className="mb-6 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+            <p>{success}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="bg-white rounded-lg shadow-sm p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+            <p className="mt-2 text-gray-500">Loading settings...</p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-8">
+            {/* General */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">General</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Store Name *
+                  </label>
+                  <input
+                    type="text"
+                    required
+                    value={formData.store_name}
+                    onChange={(e) => updateField('store_name', e.target.value)}
+                    className={inputClassName}
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Currency *
+                  </label>
+                  <select
+                    required
+                    value={formData.currency}
+                    onChange={(e) => updateField('currency', e.target.value)}
+                    className={inputClassName}
+                  >
+                    {!CURRENCIES.includes(formData.currency) && (
+                      <option value={formData.currency}>{formData.currency}</option>
+                    )}
+                    {CURRENCIES.map(code => (
+                      <option key={code} value={code}>{code}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Support Email
+                  </label>
+                  <input
+                    type="email"
+                    value={formData.support_email || ''}
+                    onChange={(e) => updateField('support_email', e.target.value)}
+                    placeholder="support@example.com"
+                    className={inputClassName}
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Image Storage URL
+                  </label>
+                  <input
+                    type="url"
+                    value={formData.image_base_url || ''}
+                    onChange={(e) => updateField('image_base_url', e.target.value)}
+                    placeholder={DEFAULT_STORE_SETTINGS.image_base_url}
+                    className={inputClassName}
+                  />
+                  <p className="mt-1 text-xs text-gray-500">Game and category covers are loaded from this bucket URL</p>
+                </div>
+              </div>
+            </div>
+
+            {/* Homepage */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Homepage</h2>
+              <div className="grid grid-cols-1 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Hero Title *
+                  </label>
+                  <input
+                    type="text"
+                    required
+                    value={formData.hero_title}
+                    onChange={(e) => updateField('hero_title', e.target.value)}
+                    className={inputClassName}
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Hero Subtitle
+                  </label>
+                  <textarea
+                    value={formData.hero_subtitle || ''}
+                    onChange={(e) => updateField('hero_subtitle', e.target.value)}
+                    rows="2"
+                    className={inputClassName}
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Stats
+                  </label>
+                  <div className="space-y-2">
+                    {formData.stats.map((stat, index) => (
+                      <div key={index} className="flex gap-2">
+                        <input
+                          type="text"
+                          value={stat.value}
+                          onChange={(e) => updateStat(index, 'value', e.target.value)}
+                          placeholder="Value (e.g. 10,000+)"
+                          className={`${inputClassName} md:w-1/3`}
+                        />
+                        <input
+                          type="text"
+                          value={stat.label}
+                          onChange={(e) => updateStat(index, 'label', e.target.value)}
+                          placeholder="Label (e.g. Games Available)"
+                          className={inputClassName}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeStat(index)}
+                          className="px-3 py-2 text-red-600 border border-gray-300 rounded-lg hover:bg-red-50"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={addStat}
+                    className="mt-2 px-3 py-1 text-sm text-blue-600 border border-gray-300 rounded hover:bg-gray-50"
+                  >
+                    + Add Stat
+                  </button>
+                  <p className="mt-1 text-xs text-gray-500">Rows with an empty value or label are dropped. With no stats the section is hidden.</p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Featured Games
+                  </label>
+                  <div className="flex gap-2 mb-2">
+                    <select
+                      value={gameToFeature}
+                      onChange={(e) => setGameToFeature(e.target.value)}
+                      className={inputClassName}
+                    >
+                      <option value="">Select a game to feature</option>
+                      {games
+                        .filter(game => !formData.featured_game_ids.includes(game.id))
+                        .map(game => (
+                          <option key={game.id} value={game.id}>
+                            {game.name || `Game ${game.id}`}
+                          </option>
+                        ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={addFeaturedGame}
+                      disabled={!gameToFeature}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Add
+                    </button>
+                  </div>
+                  {formData.featured_game_ids.length === 0 ? (
+                    <p className="text-sm text-gray-500">No games picked. The homepage shows the first 6 games.</p>
+                  ) : (
+                    <ul className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                      {formData.featured_game_ids.map((gameId, index) => (
+                        <li key={gameId} className="flex items-center justify-between px-4 py-2">
+                          <span className="text-sm text-gray-900">
+                            {index + 1}. {getGameName(gameId)}
+                          </span>
+                          <div className="flex space-x-2">
+                            <button
+                              type="button"
+                              onClick={() => moveFeaturedGame(index, -1)}
+                              disabled={index === 0}
+                              className="px-2 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              ↑
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => moveFeaturedGame(index, 1)}
+                              disabled={index === formData.featured_game_ids.length - 1}
+                              className="px-2 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              ↓
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => removeFeaturedGame(gameId)}
+                              className="px-2 py-1 text-sm text-red-600 hover:text-red-900"
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {/* Checkout */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Checkout</h2>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Key Reservation Window (minutes) *
+                </label>
+                <input
+                  type="number"
+                  required
+                  min="1"
+                  max="120"
+                  value={formData.reservation_minutes}
+                  onChange={(e) => updateField('reservation_minutes', e.target.value)}
+                  className={inputClassName}
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  How long a key is held for a customer once it is in their cart. Customers can extend the hold once by the same amount.
+                </p>
+              </div>
+            </div>
+
+            {/* Invoices */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Invoices</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Business Address
+                  </label>
+                  <textarea
+                    value={formData.business_address || ''}
+                    onChange={(e) => updateField('business_address', e.target.value)}
+                    rows="3"
+                    placeholder={'GameStore Ltd.\n1 Example Street\nLondon'}
+                    className={inputClassName}
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Tax / VAT Number
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.tax_id || ''}
+                    onChange={(e) => updateField('tax_id', e.target.value)}
+                    className={inputClassName}
+                  />
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Tax Label
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.tax_label || ''}
+                      onChange={(e) => updateField('tax_label', e.target.value)}
+                      placeholder="VAT"
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Tax Rate (%)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={formData.tax_rate}
+                      onChange={(e) => updateField('tax_rate', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </div>
+                </div>
+              </div>
+              <p className="mt-2 text-xs text-gray-500">
+                Shown on customer invoices. Prices are treated as tax-inclusive, so the rate is used to split each total into net amount and tax. Orders keep the rate they were placed with, so a change only applies to new orders.
+              </p>
+            </div>
+
+            {/* Key Redemption */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-2">Key Redemption</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                Customers see step-by-step instructions and an activation link next to each purchased key.
+                Built-in instructions cover {Object.values(REDEMPTION_PLATFORMS).map(platform => platform.name).join(', ')}.
+                Add a platform here to support a new key type, or use an existing key type to replace its built-in instructions.
+              </p>
+              <div className="space-y-4">
+                {formData.redemption_platforms.map((platform, index) => (
+                  <div key={index} className="border border-gray-200 rounded-lg p-4">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Key Type *
+                        </label>
+                        <input
+                          type="text"
+                          list="redemption-key-types"
+                          value={platform.key_type}
+                          onChange={(e) => updateRedemptionPlatform(index, 'key_type', e.target.value)}
+                          placeholder="e.g. steam or itch.io"
+                          className={inputClassName}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Display Name
+                        </label>
+                        <input
+                          type="text"
+                          value={platform.name}
+                          onChange={(e) => updateRedemptionPlatform(index, 'name', e.target.value)}
+                          placeholder="e.g. itch.io"
+                          className={inputClassName}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Activation URL
+                        </label>
+                        <input
+                          type="url"
+                          value={platform.url}
+                          onChange={(e) => updateRedemptionPlatform(index, 'url', e.target.value)}
+                          placeholder="https://example.com/redeem?code={key}"
+                          className={inputClassName}
+                        />
+                      </div>
+                    </div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Steps (one per line)
+                    </label>
+                    <textarea
+                      value={(platform.steps || []).join('\n')}
+                      onChange={(e) => updateRedemptionPlatform(index, 'steps', e.target.value.split('\n'))}
+                      rows="4"
+                      className={inputClassName}
+                    />
+                    <div className="mt-2 flex justify-end">
+                      <button
+                        type="button"
+                        onClick={() => removeRedemptionPlatform(index)}
+                        className="px-3 py-1 text-sm text-red-600 border border-gray-300 rounded hover:bg-red-50"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <datalist id="redemption-key-types">
+                {KEY_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </datalist>
+              <button
+                type="button"
+                onClick={addRedemptionPlatform}
+                className="mt-4 px-3 py-1 text-sm text-blue-600 border border-gray-300 rounded hover:bg-gray-50"
+              >
+                + Add Platform
+              </button>
+              <p className="mt-1 text-xs text-gray-500">
+                Use {'{key}'} in the URL to fill in the customer's key. Leave the steps empty to keep the built-in steps for that key type.
+              </p>
+            </div>
+
+            {/* Maintenance */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Maintenance</h2>
+              <label className="flex items-center space-x-3 mb-4">
+                <input
+                  type="checkbox"
+                  checked={formData.maintenance_mode}
+                  onChange={(e) => updateField('maintenance_mode', e.target.checked)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span className="text-sm font-medium text-gray-700">
+                  Enable maintenance mode (customers see a maintenance page; staff can still browse)
+                </span>
+              </label>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Maintenance Message
+                </label>
+                <textarea
+                  value={formData.maintenance_message || ''}
+                  onChange={(e) => updateField('maintenance_message', e.target.value)}
+                  rows="2"
+                  placeholder="We're upgrading the store and will be back shortly."
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={fetchSettings}
+                disabled={saving}
+                className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                Discard Changes
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Settings'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StaffSettingsPage;
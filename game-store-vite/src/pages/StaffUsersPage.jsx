@@ -0,0 +1,444 @@
+// Staff Users Management Console Page
+
+import { useState, useEffect, useRef } from 'react';
+import { apiGet, apiPost, apiPut, apiPatch } from '../utils/apiUtils';
+import { SEARCH_DEBOUNCE_MS } from '../utils/searchUtils';
+import { formatPrice } from '../utils/moneyUtils';
+import { getOrderDate } from '../utils/orderUtils';
+import { useAuth } from '../contexts/AuthContext';
+
+const StaffUsersPage = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalUsers, setTotalUsers] = useState(0);
+  const [searchTerm, setSearchTerm] = useState('');
+  // The search actually sent, updated once typing pauses
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [userOrders, setUserOrders] = useState([]);
+  const [detailsLoading, setDetailsLoading] = useState(false);
+  const [actionLoading, setActionLoading] = useState(false);
+  // Only the latest list request may update the table
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm);
+      setCurrentPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  useEffect(() => {
+    fetchUsers(currentPage, debouncedSearch);
+  }, [currentPage, debouncedSearch]);
+
+  const fetchUsers = async (page, search) => {
+    const requestId = ++requestIdRef.current;
+    try {
+      setLoading(true);
+      setError('');
+      const params = new URLSearchParams({
+        page,
+        limit: 20,
+        ...(search && { search })
+      });
+      const response = await apiGet(`admin/users?${params}`);
+      if (requestId !== requestIdRef.current) return;
+      const usersData = response.data || response || [];
+      setUsers(usersData);
+      setTotalPages(response.total_pages || Math.ceil((response.count || 0) / 20) || 1);
+      setTotalUsers(response.count ?? usersData.length);
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error fetching users:', error);
+      setError(error.message);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const handleSearchChange = (value) => {
+    setSearchTerm(value);
+  };
+
+  const handleViewUser = async (user) => {
+    try {
+      setDetailsLoading(true);
+      setError('');
+      setSelectedUser(user);
+      setUserOrders([]);
+
+      const [userResponse, ordersResponse] = await Promise.all([
+        apiGet(`admin/users/${user.id}`),
+        apiGet(`admin/users/${user.id}/orders`)
+      ]);
+
+      setSelectedUser(userResponse.data || userResponse);
+      const ordersData = ordersResponse.data || ordersResponse || [];
+      setUserOrders(Array.isArray(ordersData) ? ordersData : []);
+    } catch (error) {
+      console.error('Error fetching user details:', error);
+      setError(error.message);
+    } finally {
+      setDetailsLoading(false);
+    }
+  };
+
+  const closeUserDetails = () => {
+    setSelectedUser(null);
+    setUserOrders([]);
+  };
+
+  // Run an admin action on the selected user, then refresh both the list and the detail panel
+  const runUserAction = async (action, successMessage) => {
+    try {
+      setActionLoading(true);
+      setError('');
+      setSuccess('');
+      const response = await action();
+      const updatedUser = response?.data || response;
+
+      if (updatedUser && updatedUser.id) {
+        setSelectedUser(prev => ({ ...prev, ...updatedUser }));
+      }
+
+      await fetchUsers(currentPage, debouncedSearch);
+      setSuccess(successMessage);
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      console.error('Error updating user:', error);
+      setError(error.message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRoleChange = (user, role) => {
+    const label = role === 'staff' ? 'staff' : 'customer';
+    if (!window.confirm(`Change ${user.username || user.email} to ${label}?`)) return;
+
+    runUserAction(
+      () => apiPut(`admin/users/${user.id}/role`, { role, is_staff: role === 'staff' }),
+      `Role updated to ${label}`
+    );
+  };
+
+  const handleToggleSuspension = (user) => {
+    if (user.is_suspended) {
+      runUserAction(
+        () => apiPatch(`admin/users/${user.id}/reactivate`),
+        'Account reactivated'
+      );
+      return;
+    }
+
+    if (!window.confirm(`Suspend ${user.username || user.email}? They will not be able to log in or place orders.`)) return;
+
+    runUserAction(
+      () => apiPatch(`admin/users/${user.id}/suspend`),
+      'Account suspended'
+    );
+  };
+
+  const handleForcePasswordReset = (user) => {
+    if (!window.confirm(`Force a password reset for ${user.username || user.email}? Their current password will stop working.`)) return;
+
+    runUserAction(
+      () => apiPost(`admin/users/${user.id}/force-password-reset`),
+      'Password reset issued'
+    );
+  };
+
+  const isSelf = (user) => currentUser?.id != null && String(user.id) === String(currentUser.id);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="py-6 flex justify-between items-center">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Users Management</h1>
+              <p className="mt-1 text-sm text-gray-500">
+                Manage customer and staff accounts
+              </p>
+            </div>
+            <div className="relative">
+              <input
+                type="text"
+                placeholder="Search by name, username or email..."
+                value={searchTerm}
+                onChange={(e) => handleSearchChange(e.target.value)}
+                className="pl-10 pr-4 py-2 w-72 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
+                </svg>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Error Message */}
+        {error && (
+          <div className="mb-6 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+            <p>{error}</p>
+          </div>
+        )}
+
+        {/* Success Message */}
+        {success && (
+          <div className="mb-6 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+            <p>{success}</p>
+          </div>
+        )}
+
+        {/* User Details */}
+        {selectedUser && (
+          <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+            <div className="flex justify-between items-start mb-6">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">
+                  {selectedUser.name || selectedUser.username || `User ${selectedUser.id}`}
+                </h2>
+                <p className="text-sm text-gray-500">{selectedUser.email}</p>
+              </div>
+              <button
+                onClick={closeUserDetails}
+                className="text-gray-500 hover:text-gray-700 text-2xl font-bold"
+              >
+                ×
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+              <div>
+                <p className="text-sm text-gray-500">Username</p>
+                <p className="font-medium">{selectedUser.username || 'N/A'}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Joined</p>
+                <p className="font-medium">
+                  {selectedUser.created_at ? new Date(selectedUser.created_at).toLocaleDateString() : 'N/A'}
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Status</p>
+                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                  selectedUser.is_suspended ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+                }`}>
+                  {selectedUser.is_suspended ? 'Suspended' : 'Active'}
+                </span>
+              </div>
+            </div>
+
+            {/* Account Actions */}
+            <div className="flex flex-wrap items-center gap-3 pb-6 mb-6 border-b border-gray-200">
+              <label className="text-sm font-medium text-gray-700">Role</label>
+              <select
+                value={selectedUser.is_staff ? 'staff' : 'customer'}
+                onChange={(e) => handleRoleChange(selectedUser, e.target.value)}
+                disabled={actionLoading || isSelf(selectedUser)}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50"
+              >
+                <option value="customer">Customer</option>
+                <option value="staff">Staff</option>
+              </select>
+              <button
+                onClick={() => handleToggleSuspension(selectedUser)}
+                disabled={actionLoading || isSelf(selectedUser)}
+                className={`px-4 py-2 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed ${
+                  selectedUser.is_suspended ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'
+                }`}
+              >
+                {selectedUser.is_suspended ? 'Reactivate Account' : 'Suspend Account'}
+              </button>
+              <button
+                onClick={() => handleForcePasswordReset(selectedUser)}
+                disabled={actionLoading}
+                className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Force Password Reset
+              </button>
+              {isSelf(selectedUser) && (
+                <span className="text-xs text-gray-500">You can't change the role or status of your own account.</span>
+              )}
+            </div>
+
+            {/* User Orders */}
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Orders ({userOrders.length})</h3>
+            {detailsLoading ? (
+              <div className="p-6 text-center">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+                <p className="mt-2 text-gray-500">Loading user details...</p>
+              </div>
+            ) : userOrders.length === 0 ? (
+              <p className="text-gray-500 text-sm">This user hasn't placed any orders.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {userOrders.map((order) => {
+                      const orderDate = getOrderDate(order);
+                      return (
+                        <tr key={order.id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">#{order.id}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {orderDate ? new Date(orderDate).toLocaleDateString() : 'N/A'}
+                          </td>
+                          <td className="px-6 py-4 text-sm text-gray-500">
+                            {(order.sub_orders || []).map(sub => sub.game?.name || `Game ${sub.game_id}`).join(', ') || 'N/A'}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">
+                            {formatPrice(order.total_price)}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Users List */}
+        <div className="bg-white rounded-lg shadow-sm">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">
+              Users ({totalUsers})
+            </h2>
+          </div>
+
+          {loading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+              <p className="mt-2 text-gray-500">Loading users...</p>
+            </div>
+          ) : users.length === 0 ? (
+            <div className="p-8 text-center text-gray-500">
+              <p>No users found.</p>
+            </div>
+          ) : (
+            <>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        User
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Email
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Role
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Status
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Joined
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {users.map((user) => (
+                      <tr key={user.id} className={`hover:bg-gray-50 ${selectedUser?.id === user.id ? 'bg-blue-50' : ''}`}>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">
+                            {user.name || user.username}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            @{user.username} · ID: {user.id}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {user.email}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                            user.is_staff ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-800'
+                          }`}>
+                            {user.is_staff ? 'Staff' : 'Customer'}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                            user.is_suspended ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+                          }`}>
+                            {user.is_suspended ? 'Suspended' : 'Active'}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {user.created_at ? new Date(user.created_at).toLocaleDateString() : 'N/A'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          <button
+                            onClick={() => handleViewUser(user)}
+                            className="text-blue-600 hover:text-blue-900 px-2 py-1"
+                          >
+                            View
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Pagination */}
+              {totalPages > 1 && (
+                <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+                  <div className="text-sm text-gray-500">
+                    Page {currentPage} of {totalPages}
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                      disabled={currentPage === 1}
+                      className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                      disabled={currentPage === totalPages}
+                      className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StaffUsersPage;
@@ -1,6 +1,7 @@
 // API utility functions for handling HTTP requests with authentication
 
 import { getAuthCookies, clearAuthCookies, setAuthCookies } from './cookieUtils';
+import { applyCatalogFilters } from './catalogFilterUtils';
 
 // Base API configuration
 const API_BASE_URL = '/api';
@@ -25,53 +26,91 @@ const createHeaders = (additionalHeaders = {}) => {
   return headers;
 };
 
+// Shared in-flight refresh so concurrent 401s only trigger a single /auth/refresh call
+let refreshPromise = null;
+
 /**
- * Handle API response and check for authentication errors
+ * Handle API response and check for errors
  * @param {Response} response - Fetch response object
- * @param {boolean} isLoginRequest - Whether this is a login request (don't auto-redirect)
  * @returns {Promise<any>} Parsed response data
  */
-const handleResponse = async (response, isLoginRequest = false) => {
-  // If unauthorized, clear auth cookies
-  // if (response.status === 401) {
-  //   clearAuthCookies();
-  //   // Only redirect to login page if this isn't already a login request
-  //   if (!isLoginRequest) {
-  //     window.location.href = '/login';
-  //   }
-  //   throw new Error('Authentication failed. Please log in again.');
-  // }
-
-  // If response is not ok, throw error
+const handleResponse = async (response) => {
+  // If response is not ok, throw error (status and body are kept for callers that need them)
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+    const error = new Error(errorData.message || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    error.data = errorData;
+    throw error;
   }
 
   return response.json();
 };
 
+/**
+ * Refresh the session once, sharing the pending refresh between concurrent callers
+ * @returns {Promise<object>} New authentication data
+ */
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = refreshToken().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Clear the session and send the user to the login page, remembering where they were
+ */
+const redirectToLogin = () => {
+  clearAuthCookies();
+
+  if (typeof window === 'undefined' || window.location.pathname === '/login') {
+    return;
+  }
+
+  const returnTo = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+  window.location.href = `/login?returnTo=${encodeURIComponent(returnTo)}`;
+};
+
 /**
  * Generic API request function
+ * On a 401 the session is refreshed and the request replayed once; if the refresh
+ * fails the auth cookies are cleared and the user is redirected to /login.
  * @param {string} endpoint - API endpoint (relative to base URL)
  * @param {object} options - Fetch options
- * @param {boolean} isLoginRequest - Whether this is a login request
+ * @param {boolean} isLoginRequest - Whether this is a login/refresh request (no refresh or redirect on 401)
  * @returns {Promise<any>} API response data
  */
 const apiRequest = async (endpoint, options = {}, isLoginRequest = false) => {
   // Ensure proper URL construction - remove leading slash from endpoint if present
   const cleanEndpoint = endpoint.startsWith('/') ? endpoint.slice(1) : endpoint;
   const url = `${API_BASE_URL}/${cleanEndpoint}`;
-  const headers = createHeaders(options.headers);
 
-  const config = {
+  // Headers are rebuilt on every attempt so a replay picks up the refreshed token
+  const send = () => fetch(url, {
     ...options,
-    headers
-  };
+    headers: createHeaders(options.headers)
+  });
 
   try {
-    const response = await fetch(url, config);
-    return await handleResponse(response, isLoginRequest);
+    let response = await send();
+
+    if (response.status === 401 && !isLoginRequest) {
+      try {
+        await refreshSession();
+      } catch (refreshError) {
+        console.error('[API] Token refresh failed, redirecting to login:', refreshError);
+        redirectToLogin();
+        throw new Error('Authentication failed. Please log in again.');
+      }
+
+      console.log(`[API] Token refreshed, retrying request: ${endpoint}`);
+      response = await send();
+    }
+
+    return await handleResponse(response);
   } catch (error) {
     console.error(`API request failed: ${endpoint}`, error);
     throw error;
@@ -157,15 +196,11 @@ export const apiPatch = (endpoint, data = {}, options = {}, isLoginRequest = fal
 // Authentication specific API functions
 
 /**
- * Login user
- * @param {object} credentials - Email and password
- * @returns {Promise<object>} Authentication data
+ * Normalize the different auth response shapes returned by login and refresh
+ * @param {object} response - Raw auth response
+ * @returns {object} Authentication data with token, refreshToken, user and ISO expiresAt
  */
-export const loginUser = async (credentials) => {
-  // Use apiPost with login flag to prevent auto-redirect on 401
-  const response = await apiPost('/auth/login', credentials, {}, true); // true = isLoginRequest
-
-  // Handle different possible response structures from backend
+const normalizeAuthResponse = (response) => {
   let authData = response;
 
   // Check if response has nested data structure
@@ -196,6 +231,20 @@ export const loginUser = async (credentials) => {
     authData.expiresAt = new Date(authData.expiresAt * 1000).toISOString(); // Assume seconds, convert to milliseconds
   }
 
+  return authData;
+};
+
+/**
+ * Login user
+ * @param {object} credentials - Email and password
+ * @returns {Promise<object>} Authentication data
+ */
+export const loginUser = async (credentials) => {
+  // Use apiPost with login flag to prevent auto-redirect on 401
+  const response = await apiPost('/auth/login', credentials, {}, true); // true = isLoginRequest
+
+  const authData = normalizeAuthResponse(response);
+
   // Save authentication data to cookies
   if (authData.token) {
     setAuthCookies(authData);
@@ -218,6 +267,7 @@ export const registerUser = async (userData) => {
 
 /**
  * Refresh authentication token
+ * Missing user or refresh token fields fall back to the values already stored in cookies.
  * @returns {Promise<object>} New authentication data
  */
 export const refreshToken = async () => {
@@ -227,16 +277,25 @@ export const refreshToken = async () => {
     throw new Error('No refresh token available');
   }
   
+  // Flag as login request so a 401 here doesn't trigger another refresh
   const response = await apiPost('/auth/refresh', {
     refreshToken: authData.refreshToken
-  });
-  
-  // Update authentication cookies with new data
-  if (response.token) {
-    setAuthCookies(response);
+  }, {}, true);
+
+  const refreshedAuthData = normalizeAuthResponse(response);
+
+  if (!refreshedAuthData.token) {
+    throw new Error('No token found in refresh response');
   }
+
+  // Update authentication cookies with new data
+  setAuthCookies({
+    ...refreshedAuthData,
+    refreshToken: refreshedAuthData.refreshToken || authData.refreshToken,
+    user: refreshedAuthData.user || authData.user
+  });
   
-  return response;
+  return refreshedAuthData;
 };
 
 /**
@@ -245,8 +304,8 @@ export const refreshToken = async () => {
  */
 export const logoutUser = async () => {
   try {
-    // Call logout endpoint if it exists
-    await apiPost('/auth/logout');
+    // Call logout endpoint if it exists (flagged so an expired session doesn't trigger a refresh)
+    await apiPost('/auth/logout', {}, {}, true);
   } catch (error) {
     console.error('Logout API call failed:', error);
   } finally {
@@ -325,20 +384,40 @@ export const deleteUserAccount = async () => {
 // Game-related API functions
 
 /**
- * Fetch all games from the database
+ * Fetch games from the database
+ * Storefront listings and search should pass a limit with priceSummary rather than loading
+ * every game with its keys. Paged responses also carry total, page, has_more and next_cursor;
+ * facets (same shape as EMPTY_FACET_COUNTS) are added when includeFacets is set.
  * @param {object} options - Query options
+ * @param {string} options.q - Search text; the server matches and ranks games by it (optional)
  * @param {number} options.categoryId - Filter by category ID (optional)
+ * @param {Array<number|string>} options.ids - Only fetch these games (optional)
  * @param {boolean} options.includeCategory - Include category details (optional)
  * @param {boolean} options.includeGameKeys - Include game keys with prices (optional)
+ * @param {boolean} options.priceSummary - Include a price_summary per game instead of its keys (optional)
+ * @param {object} options.filters - Catalog filters from parseCatalogFilters (optional)
+ * @param {boolean} options.includeFacets - Include facet counts for the filters (optional)
+ * @param {string} options.sort - Sort order from CATALOG_SORTS, e.g. 'price_asc' (optional)
+ * @param {number} options.page - 1-based page number (optional)
+ * @param {number} options.limit - Page size (optional)
+ * @param {string} options.cursor - next_cursor from the previous page; takes precedence over page (optional)
  * @returns {Promise<object>} Games data with count and array
  */
 export const fetchGames = async (options = {}) => {
   const params = new URLSearchParams();
   
+  if (options.q) {
+    params.append('q', options.q);
+  }
+  
   if (options.categoryId) {
     params.append('categoryId', options.categoryId);
   }
   
+  if (options.ids?.length) {
+    params.append('ids', options.ids.join(','));
+  }
+  
   if (options.includeCategory) {
     params.append('includeCategory', 'true');
   }
@@ -347,6 +426,33 @@ export const fetchGames = async (options = {}) => {
     params.append('includeGameKeys', 'true');
   }
   
+  if (options.priceSummary) {
+    params.append('priceSummary', 'true');
+  }
+  
+  if (options.includeFacets) {
+    params.append('includeFacets', 'true');
+  }
+  
+  if (options.sort) {
+    params.append('sort', options.sort);
+  }
+  
+  if (options.cursor) {
+    params.append('cursor', options.cursor);
+  } else if (options.page) {
+    params.append('page', options.page);
+  }
+  
+  if (options.limit) {
+    params.append('limit', options.limit);
+  }
+  
+  if (options.filters) {
+    applyCatalogFilters(new URLSearchParams(), options.filters)
+      .forEach((value, key) => params.append(key, value));
+  }
+  
   const queryString = params.toString();
   const endpoint = queryString ? `/games?${queryString}` : '/games';
   
@@ -362,6 +468,56 @@ export const fetchGames = async (options = {}) => {
   }
 };
 
+/**
+ * Search the catalog on the server, one page at a time
+ * Results come with a price_summary instead of every key, so a page stays small.
+ * @param {string} query - Search text
+ * @param {object} options - Paging options
+ * @param {number} options.limit - Page size
+ * @param {number} options.page - 1-based page number (optional)
+ * @param {string} options.cursor - next_cursor from the previous page (optional)
+ * @returns {Promise<object>} Paged games response, best matches first
+ */
+export const searchCatalog = async (query, options = {}) => {
+  const q = query.trim();
+  console.log(`[API] Searching catalog for "${q}"`, options);
+
+  try {
+    const result = await fetchGames({
+      q,
+      includeCategory: true,
+      priceSummary: true,
+      limit: options.limit,
+      page: options.page,
+      cursor: options.cursor
+    });
+    console.log(`[API] Successfully searched catalog for "${q}":`, result?.total ?? result?.data?.length ?? 0, 'games');
+    return result;
+  } catch (error) {
+    console.error(`[API] Error searching catalog for "${q}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the active categories, e.g. for search suggestions
+ * @returns {Promise<Array>} Active categories
+ */
+export const fetchActiveCategories = async () => {
+  console.log('[API] Fetching active categories');
+
+  try {
+    const result = await apiGet('categories');
+    const categories = (Array.isArray(result) ? result : (result?.data || []))
+      .filter(category => category.is_active);
+    console.log('[API] Successfully fetched active categories:', categories.length);
+    return categories;
+  } catch (error) {
+    console.error('[API] Error fetching active categories:', error);
+    throw error;
+  }
+};
+
 /**
  * Fetch a single game by ID
  * @param {number|string} gameId - The ID of the game to fetch
@@ -428,6 +584,25 @@ export const fetchGameKeys = async (gameId) => {
   }
 };
 
+/**
+ * Find which of the given keys already exist in inventory (staff only)
+ * @param {Array<string>} keys - Game keys to look up
+ * @returns {Promise<Array<string>>} Keys that are already stored
+ */
+export const findExistingGameKeys = async (keys) => {
+  console.log(`[API] Checking ${keys.length} game keys against inventory`);
+
+  try {
+    const result = await apiPost('admin/game-keys/duplicates', { keys });
+    const existing = result?.duplicates || result?.data || [];
+    console.log(`[API] Found ${existing.length} keys already in inventory`);
+    return existing;
+  } catch (error) {
+    console.error('[API] Error checking game keys against inventory:', error);
+    throw error;
+  }
+};
+
 // Cart-related API functions
 
 /**
@@ -543,6 +718,42 @@ export const fetchCartCount = async () => {
   }
 };
 
+/**
+ * Hold every key in the cart for the store's reservation window.
+ * Keys that are already held keep their current expiry.
+ * @returns {Promise<object>} Cart items with reservation data
+ */
+export const reserveCartItems = async () => {
+  console.log('[API] Reserving cart items');
+  
+  try {
+    const result = await apiPost('/cart/reserve');
+    console.log('[API] Successfully reserved cart items:', result);
+    return result;
+  } catch (error) {
+    console.error('[API] Error reserving cart items:', error);
+    throw error;
+  }
+};
+
+/**
+ * Extend the hold on a cart item's key (allowed once per item)
+ * @param {number} cartItemId - Cart item ID
+ * @returns {Promise<object>} Updated cart item with reservation data
+ */
+export const extendCartReservation = async (cartItemId) => {
+  console.log(`[API] Extending reservation for cart item ${cartItemId}`);
+  
+  try {
+    const result = await apiPost(`/cart/items/${cartItemId}/extend-reservation`);
+    console.log(`[API] Successfully extended reservation for cart item ${cartItemId}:`, result);
+    return result;
+  } catch (error) {
+    console.error(`[API] Error extending reservation for cart item ${cartItemId}:`, error);
+    throw error;
+  }
+};
+
 // S3 and file upload related API functions
 
 /**
@@ -994,13 +1205,15 @@ export const deleteFile = async (fileName) => {
 /**
  * Create a new order from cart items
  * @param {object} orderData - Order data including billing info, payment info, and cart items
+ * @param {string} idempotencyKey - Key identifying this checkout attempt; resending it never creates a second order
  * @returns {Promise<object>} Created order data
  */
-export const createOrder = async (orderData) => {
+export const createOrder = async (orderData, idempotencyKey) => {
   console.log('[API] Creating order with data:', orderData);
   
   try {
-    const result = await apiPost('/cart/checkout', orderData);
+    const options = idempotencyKey ? { headers: { 'Idempotency-Key': idempotencyKey } } : {};
+    const result = await apiPost('/cart/checkout', orderData, options);
     console.log('[API] Successfully created order:', result);
     return result;
   } catch (error) {
@@ -1062,5 +1275,173 @@ export const cancelOrder = async (orderId) => {
   }
 };
 
+/**
+ * Ask to cancel an order. Creates a cancellation request that staff approve or deny.
+ * @param {number|string} orderId - The ID of the order to cancel
+ * @param {string} reason - Optional reason given by the customer
+ * @returns {Promise<object>} Created cancellation request
+ */
+export const requestOrderCancellation = async (orderId, reason = '') => {
+  console.log(`[API] Requesting cancellation of order ${orderId}`);
+
+  try {
+    const result = await apiPost(`/orders/${orderId}/cancel-request`, { reason: reason.trim() || null });
+    console.log(`[API] Successfully requested cancellation of order ${orderId}`);
+    return result;
+  } catch (error) {
+    console.error(`[API] Error requesting cancellation of order ${orderId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Ask for a refund on a delivered order. Creates a refund request that staff approve or deny.
+ * @param {number|string} orderId - The ID of the order to refund
+ * @param {string} reason - Why the customer wants a refund
+ * @returns {Promise<object>} Created refund request
+ */
+export const requestOrderRefund = async (orderId, reason) => {
+  console.log(`[API] Requesting refund for order ${orderId}`);
+
+  try {
+    const result = await apiPost(`/orders/${orderId}/refund-request`, { reason: reason.trim() });
+    console.log(`[API] Successfully requested refund for order ${orderId}`);
+    return result;
+  } catch (error) {
+    console.error(`[API] Error requesting refund for order ${orderId}:`, error);
+    throw error;
+  }
+};
+
+// Wishlist and notification API functions
+
+/**
+ * Fetch the user's wishlist
+ * Each item carries its game with a price_summary, so the current best price can be shown
+ * @returns {Promise<object>} Wishlist data with items
+ */
+export const fetchWishlist = async () => {
+  console.log('[API] Fetching wishlist');
+
+  try {
+    const result = await apiGet('/wishlist');
+    console.log('[API] Successfully fetched wishlist:', result?.data?.length || 0, 'items');
+    return result;
+  } catch (error) {
+    console.error('[API] Error fetching wishlist:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a game to the user's wishlist
+ * @param {number|string} gameId - The ID of the game to save
+ * @param {object} preferences - Initial notification preferences (optional)
+ * @returns {Promise<object>} Wishlist item data
+ */
+export const addToWishlist = async (gameId, preferences = {}) => {
+  console.log(`[API] Adding game ${gameId} to wishlist`);
+
+  try {
+    const result = await apiPost('/wishlist', { game_id: gameId, ...preferences });
+    console.log(`[API] Successfully added game ${gameId} to wishlist`);
+    return result;
+  } catch (error) {
+    console.error(`[API] Error adding game ${gameId} to wishlist:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Update a wishlist item's target price or notification preferences
+ * @param {number|string} itemId - The ID of the wishlist item
+ * @param {object} updates - Fields to change (target_price, notify_* flags)
+ * @returns {Promise<object>} Updated wishlist item data
+ */
+export const updateWishlistItem = async (itemId, updates) => {
+  console.log(`[API] Updating wishlist item ${itemId}:`, updates);
+
+  try {
+    const result = await apiPatch(`/wishlist/${itemId}`, updates);
+    console.log(`[API] Successfully updated wishlist item ${itemId}`);
+    return result;
+  } catch (error) {
+    console.error(`[API] Error updating wishlist item ${itemId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a game from the user's wishlist
+ * @param {number|string} itemId - The ID of the wishlist item
+ * @returns {Promise<object>} Removal confirmation
+ */
+export const removeFromWishlist = async (itemId) => {
+  console.log(`[API] Removing wishlist item ${itemId}`);
+
+  try {
+    const result = await apiDelete(`/wishlist/${itemId}`);
+    console.log(`[API] Successfully removed wishlist item ${itemId}`);
+    return result;
+  } catch (error) {
+    console.error(`[API] Error removing wishlist item ${itemId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the user's in-app notifications, newest first
+ * @returns {Promise<object>} Notifications data with items
+ */
+export const fetchNotifications = async () => {
+  console.log('[API] Fetching notifications');
+
+  try {
+    const result = await apiGet('/notifications');
+    console.log('[API] Successfully fetched notifications:', result?.data?.length || 0, 'items');
+    return result;
+  } catch (error) {
+    console.error('[API] Error fetching notifications:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark in-app notifications as read
+ * @param {Array<number|string>} notificationIds - IDs of the notifications to mark
+ * @returns {Promise<object>} Update confirmation
+ */
+export const markNotificationsRead = async (notificationIds) => {
+  console.log('[API] Marking notifications as read:', notificationIds);
+
+  try {
+    const result = await apiPatch('/notifications/read', { ids: notificationIds });
+    console.log('[API] Successfully marked notifications as read');
+    return result;
+  } catch (error) {
+    console.error('[API] Error marking notifications as read:', error);
+    throw error;
+  }
+};
+
+// Store settings API functions
+
+/**
+ * Fetch public store settings (name, currency, homepage content, maintenance mode)
+ * @returns {Promise<object>} Store settings
+ */
+export const fetchStoreSettings = async () => {
+  console.log('[API] Fetching store settings');
+
+  try {
+    const result = await apiGet('/settings');
+    console.log('[API] Successfully fetched store settings');
+    return result?.data || result;
+  } catch (error) {
+    console.error('[API] Error fetching store settings:', error);
+    throw error;
+  }
+};
+
 // Export the base API request function for custom use cases
 export { apiRequest };
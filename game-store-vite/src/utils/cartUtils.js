@@ -0,0 +1,68 @@
+/**
+ * Utility functions for checking a cached cart against the server's copy
+ */
+
+import { toCents } from './moneyUtils';
+import { getKeyStatus } from './gameKeyUtils';
+
+// Key statuses that can no longer be bought from a cart
+const UNAVAILABLE_KEY_STATUSES = ['sold', 'revoked'];
+
+/**
+ * Get the unit price of a cart item
+ * @param {object} item - Cart item
+ * @returns {number} Price
+ */
+export const getCartItemPrice = (item) => {
+  return item?.game_key?.price || item?.game_key?.game?.price || item?.price || 0;
+};
+
+/**
+ * Get the game a cart item belongs to
+ * @param {object} item - Cart item
+ * @returns {object} Game (empty object when unknown)
+ */
+export const getCartItemGame = (item) => {
+  return item?.game || item?.game_key?.game || {};
+};
+
+/**
+ * Check whether a cart item's key can still be bought
+ * @param {object} item - Cart item as returned by the server
+ * @returns {boolean} True if the key is still purchasable
+ */
+export const isCartItemAvailable = (item) => {
+  if (item?.available === false) return false;
+  return !UNAVAILABLE_KEY_STATUSES.includes(getKeyStatus(item?.game_key));
+};
+
+/**
+ * Compare the cart the customer has been looking at with a fresh copy from the server
+ * @param {Array} cachedItems - Cart items currently shown
+ * @param {Array} freshItems - Cart items just fetched from the server
+ * @returns {Array} Changes: { type: 'price' | 'unavailable' | 'added', item, oldPrice, newPrice }
+ */
+export const reconcileCartItems = (cachedItems, freshItems) => {
+  const freshById = new Map(freshItems.map(item => [item.id, item]));
+  const cachedIds = new Set(cachedItems.map(item => item.id));
+  const changes = [];
+
+  for (const cached of cachedItems) {
+    const fresh = freshById.get(cached.id);
+
+    if (!fresh || !isCartItemAvailable(fresh)) {
+      changes.push({ type: 'unavailable', item: cached, oldPrice: getCartItemPrice(cached), newPrice: null });
+    } else if (toCents(getCartItemPrice(cached)) !== toCents(getCartItemPrice(fresh))) {
+      changes.push({ type: 'price', item: fresh, oldPrice: getCartItemPrice(cached), newPrice: getCartItemPrice(fresh) });
+    }
+  }
+
+  // Items added elsewhere (e.g. another tab) would otherwise be ordered unseen
+  for (const fresh of freshItems) {
+    if (!cachedIds.has(fresh.id) && isCartItemAvailable(fresh)) {
+      changes.push({ type: 'added', item: fresh, oldPrice: null, newPrice: getCartItemPrice(fresh) });
+    }
+  }
+
+  return changes;
+};
@@ -0,0 +1,91 @@
+/**
+ * Utility functions for the faceted game catalog filters
+ * Filters live in the URL search params so filtered views can be bookmarked and shared:
+ *   ?category=1,4&platform=steam,gog&min_price=5&max_price=20&in_stock=1&on_sale=1
+ * The same params are sent to the games API, which filters, pages and counts facets server-side.
+ * Price, stock and sale filters only consider keys on the selected platforms, and each facet's
+ * counts ignore its own selection so its options stay comparable.
+ */
+
+import { KEY_TYPES, normalizeKeyType } from './gameKeyUtils';
+
+// Search params owned by the filters; anything else in the URL is left alone
+const FILTER_PARAMS = ['category', 'platform', 'min_price', 'max_price', 'in_stock', 'on_sale'];
+
+// Facet counts shown until the API has returned its own
+export const EMPTY_FACET_COUNTS = { categories: {}, platforms: {}, inStock: 0, onSale: 0 };
+
+export const EMPTY_CATALOG_FILTERS = {
+  categories: [],
+  platforms: [],
+  minPrice: null,
+  maxPrice: null,
+  inStock: false,
+  onSale: false
+};
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const parsePrice = (value) => {
+  const price = parseFloat(value);
+  return isNaN(price) || price < 0 ? null : price;
+};
+
+/**
+ * Read the catalog filters from URL search params
+ * @param {URLSearchParams} searchParams - Current search params
+ * @returns {object} Filters { categories, platforms, minPrice, maxPrice, inStock, onSale }
+ */
+export const parseCatalogFilters = (searchParams) => {
+  return {
+    categories: parseList(searchParams.get('category')).map(Number).filter(id => !isNaN(id)),
+    platforms: parseList(searchParams.get('platform')).map(platform => normalizeKeyType(platform) || platform.toLowerCase()),
+    minPrice: parsePrice(searchParams.get('min_price')),
+    maxPrice: parsePrice(searchParams.get('max_price')),
+    inStock: searchParams.get('in_stock') === '1',
+    onSale: searchParams.get('on_sale') === '1'
+  };
+};
+
+/**
+ * Write catalog filters into search params, keeping unrelated params
+ * @param {URLSearchParams} searchParams - Current search params
+ * @param {object} filters - Filters to apply
+ * @returns {URLSearchParams} New search params
+ */
+export const applyCatalogFilters = (searchParams, filters) => {
+  const params = new URLSearchParams(searchParams);
+  FILTER_PARAMS.forEach(param => params.delete(param));
+
+  if (filters.categories.length > 0) params.set('category', filters.categories.join(','));
+  if (filters.platforms.length > 0) params.set('platform', filters.platforms.join(','));
+  if (filters.minPrice != null) params.set('min_price', String(filters.minPrice));
+  if (filters.maxPrice != null) params.set('max_price', String(filters.maxPrice));
+  if (filters.inStock) params.set('in_stock', '1');
+  if (filters.onSale) params.set('on_sale', '1');
+
+  return params;
+};
+
+/**
+ * Check whether any filter is active
+ * @param {object} filters - Catalog filters
+ * @returns {boolean} True if at least one filter narrows the catalog
+ */
+export const hasActiveFilters = (filters) => {
+  return filters.categories.length > 0 ||
+    filters.platforms.length > 0 ||
+    filters.minPrice != null ||
+    filters.maxPrice != null ||
+    filters.inStock ||
+    filters.onSale;
+};
+
+/**
+ * Get the label for a platform filter value
+ * @param {string} platform - Normalized key type
+ * @returns {string} Display label
+ */
+export const getPlatformLabel = (platform) => {
+  return KEY_TYPES.find(type => type.value === platform)?.label || platform;
+};
@@ -0,0 +1,62 @@
+/**
+ * Utility functions for paging through the game catalog
+ * The catalog grid loads pages from the games API as the user scrolls. When the user opens
+ * a game and comes back, the loaded pages and scroll position are restored from sessionStorage
+ * instead of starting again from the first page.
+ */
+
+export const CATALOG_PAGE_SIZE = 24;
+
+const CATALOG_SNAPSHOT_STORAGE_KEY = 'catalogSnapshot';
+
+/**
+ * Work out how to request the page after a paged games response
+ * Cursor pagination is used when the server offers it, page numbers otherwise.
+ * @param {object} response - Games API response
+ * @param {number} loadedCount - Games loaded so far, including this response
+ * @param {number} currentPage - Page number this response was requested as
+ * @returns {object|null} { cursor } or { page } for the next request, or null on the last page
+ */
+export const getNextPageRequest = (response, loadedCount, currentPage = 1) => {
+  // An empty page means there is nothing more, whatever the metadata says
+  if (!response?.data?.length) return null;
+  if (response.next_cursor) return { cursor: response.next_cursor };
+
+  const page = Number(response.page) || currentPage;
+  if (response.has_more != null) {
+    return response.has_more ? { page: page + 1 } : null;
+  }
+  if (response.total != null && loadedCount < response.total) {
+    return { page: page + 1 };
+  }
+  return null;
+};
+
+/**
+ * Load the catalog snapshot saved for a set of search params
+ * @param {string} queryKey - Search params string the snapshot was taken with
+ * @returns {object|null} Snapshot { queryKey, games, total, facets, nextPage, scrollY } or null
+ */
+export const loadCatalogSnapshot = (queryKey) => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(CATALOG_SNAPSHOT_STORAGE_KEY) || 'null');
+    return stored && stored.queryKey === queryKey && Array.isArray(stored.games) ? stored : null;
+  } catch (error) {
+    console.error('Error reading catalog snapshot:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the loaded catalog pages and scroll position
+ * Only one snapshot is kept; browsing a different filter combination replaces it.
+ * @param {object} snapshot - Snapshot { queryKey, games, total, facets, nextPage, scrollY }
+ */
+export const saveCatalogSnapshot = (snapshot) => {
+  try {
+    sessionStorage.setItem(CATALOG_SNAPSHOT_STORAGE_KEY, JSON.stringify(snapshot));
+  } catch (error) {
+    // Quota errors just mean the next visit starts from the first page
+    console.error('Error saving catalog snapshot:', error);
+  }
+};
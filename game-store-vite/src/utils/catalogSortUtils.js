@@ -0,0 +1,99 @@
+/**
+ * Utility functions for sorting the game catalog
+ * The chosen order lives in the `sort` search param (?sort=price_asc) and is sent to the
+ * games API, so the server can sort before paginating. Lists the server does not order,
+ * such as the staff-picked featured games, are sorted in the browser with sortGames.
+ */
+
+import { getBestGamePrice } from './priceUtils';
+import { getKeyStatus } from './gameKeyUtils';
+
+export const SORT_PARAM = 'sort';
+
+// API order: featured picks and whatever the server returns
+export const DEFAULT_CATALOG_SORT = 'default';
+
+export const CATALOG_SORTS = [
+  { value: DEFAULT_CATALOG_SORT, label: 'Featured' },
+  { value: 'price_asc', label: 'Price: Low to High' },
+  { value: 'price_desc', label: 'Price: High to Low' },
+  { value: 'name_asc', label: 'Name: A–Z' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'best_selling', label: 'Best Selling' },
+  { value: 'most_wishlisted', label: 'Most Wishlisted' }
+];
+
+const isCatalogSort = (value) => CATALOG_SORTS.some(sort => sort.value === value);
+
+/**
+ * Read the catalog sort from URL search params
+ * @param {URLSearchParams} searchParams - Current search params
+ * @returns {string} Sort value, DEFAULT_CATALOG_SORT when missing or unknown
+ */
+export const parseCatalogSort = (searchParams) => {
+  const value = searchParams.get(SORT_PARAM);
+  return isCatalogSort(value) ? value : DEFAULT_CATALOG_SORT;
+};
+
+/**
+ * Write the catalog sort into search params, keeping unrelated params
+ * @param {URLSearchParams} searchParams - Current search params
+ * @param {string} sort - Sort value
+ * @returns {URLSearchParams} New search params
+ */
+export const applyCatalogSort = (searchParams, sort) => {
+  const params = new URLSearchParams(searchParams);
+  if (sort && sort !== DEFAULT_CATALOG_SORT && isCatalogSort(sort)) {
+    params.set(SORT_PARAM, sort);
+  } else {
+    params.delete(SORT_PARAM);
+  }
+  return params;
+};
+
+// Prefer the server's aggregate; fall back to counting the sold keys we were sent
+const getSalesCount = (game) => {
+  if (game.sales_count != null) return Number(game.sales_count) || 0;
+  return (game.game_keys || []).filter(key => getKeyStatus(key) === 'sold').length;
+};
+
+const getWishlistCount = (game) => Number(game.wishlist_count) || 0;
+
+const getCreatedTime = (game) => {
+  const time = new Date(game.created_at).getTime();
+  return isNaN(time) ? 0 : time;
+};
+
+const getName = (game) => game.name || '';
+
+// Games without a buyable key have no price and always sort after priced ones
+const comparePrice = (a, b, direction) => {
+  const priceA = getBestGamePrice(a);
+  const priceB = getBestGamePrice(b);
+  if (!priceA.hasKeys || !priceB.hasKeys) {
+    return Number(!priceA.hasKeys) - Number(!priceB.hasKeys);
+  }
+  return (priceA.rawPrice - priceB.rawPrice) * direction;
+};
+
+const COMPARATORS = {
+  price_asc: (a, b) => comparePrice(a, b, 1),
+  price_desc: (a, b) => comparePrice(a, b, -1),
+  name_asc: (a, b) => getName(a).localeCompare(getName(b), undefined, { sensitivity: 'base', numeric: true }),
+  newest: (a, b) => getCreatedTime(b) - getCreatedTime(a),
+  best_selling: (a, b) => getSalesCount(b) - getSalesCount(a),
+  most_wishlisted: (a, b) => getWishlistCount(b) - getWishlistCount(a)
+};
+
+/**
+ * Sort games for the catalog
+ * Ties are broken by name; games that still tie keep the API order.
+ * @param {Array} games - Games (with game_keys for price and best-selling sorts)
+ * @param {string} sort - Sort value
+ * @returns {Array} New sorted array; the input is left untouched
+ */
+export const sortGames = (games, sort) => {
+  const compare = COMPARATORS[sort];
+  if (!compare) return games;
+  return [...games].sort((a, b) => compare(a, b) || COMPARATORS.name_asc(a, b));
+};
@@ -0,0 +1,95 @@
+/**
+ * Utility functions for submitting orders safely
+ * Each checkout attempt carries an idempotency key so a retried or repeated
+ * submission can never create a second order or charge twice.
+ */
+
+const CHECKOUT_ATTEMPT_STORAGE_KEY = 'checkout_attempt';
+
+// Automatic retries after a network error, and the wait before each one
+export const ORDER_SUBMIT_RETRIES = 2;
+export const ORDER_RETRY_DELAY_MS = 1000;
+
+/**
+ * Generate a unique idempotency key for a checkout attempt
+ * @returns {string} Idempotency key
+ */
+export const createIdempotencyKey = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+};
+
+/**
+ * Build a signature of the cart so an attempt is only reused for the same cart
+ * @param {Array} cartItems - Cart items
+ * @returns {string} Cart signature
+ */
+export const getCartSignature = (cartItems) => {
+  return cartItems
+    .map(item => `${item.id}:${item.game_key?.id ?? item.game_key_id}:${item.game_key?.price ?? ''}`)
+    .sort()
+    .join('|');
+};
+
+/**
+ * Load the unfinished checkout attempt for this cart, if any.
+ * Kept in sessionStorage so a reload after a dropped connection reuses the same key.
+ * @param {Array} cartItems - Cart items
+ * @returns {object|null} Attempt { key, signature, payment } or null
+ */
+export const loadCheckoutAttempt = (cartItems) => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(CHECKOUT_ATTEMPT_STORAGE_KEY) || 'null');
+    return stored?.key && stored.signature === getCartSignature(cartItems) ? stored : null;
+  } catch (error) {
+    console.error('Error reading checkout attempt:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the current checkout attempt
+ * @param {object} attempt - Attempt { key, signature, payment }
+ */
+export const saveCheckoutAttempt = (attempt) => {
+  try {
+    sessionStorage.setItem(CHECKOUT_ATTEMPT_STORAGE_KEY, JSON.stringify(attempt));
+  } catch (error) {
+    console.error('Error saving checkout attempt:', error);
+  }
+};
+
+/**
+ * Forget the checkout attempt once it has finished or definitely failed
+ */
+export const clearCheckoutAttempt = () => {
+  try {
+    sessionStorage.removeItem(CHECKOUT_ATTEMPT_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error clearing checkout attempt:', error);
+  }
+};
+
+/**
+ * Check whether a request failed before the server answered
+ * @param {Error} error - Error thrown by the API helpers
+ * @returns {boolean} True for network failures (no HTTP status)
+ */
+export const isNetworkError = (error) => {
+  return !error?.status && (error instanceof TypeError || /network|failed to fetch/i.test(error?.message || ''));
+};
+
+/**
+ * Get the existing order when the server says this attempt was already processed
+ * @param {Error} error - Error thrown by createOrder
+ * @returns {object|null} { order, orderId } or null if this is not a replayed attempt
+ */
+export const getAlreadyProcessedOrder = (error) => {
+  if (error?.status !== 409) return null;
+
+  const order = error.data?.order || error.data?.data || null;
+  const orderId = error.data?.order_id || order?.id;
+  return orderId ? { order, orderId } : null;
+};
@@ -0,0 +1,24 @@
+/**
+ * Utility functions for saving generated files in the browser
+ */
+
+/**
+ * Save content as a file download
+ * @param {Blob|string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type, used when content is a string
+ */
+export const downloadFile = (content, filename, mimeType = 'text/plain;charset=utf-8') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,402 @@
+/**
+ * Utility functions for managing game key inventory
+ * Shared by the staff key forms and the spreadsheet importer
+ */
+
+/**
+ * Supported key platforms, in the order they appear in selects
+ */
+export const KEY_TYPES = [
+  { value: 'steam', label: 'Steam' },
+  { value: 'epic', label: 'Epic Games' },
+  { value: 'origin', label: 'Origin' },
+  { value: 'uplay', label: 'Uplay' },
+  { value: 'battle.net', label: 'Battle.net' },
+  { value: 'gog', label: 'GOG' },
+  { value: 'microsoft', label: 'Microsoft Store' },
+  { value: 'playstation', label: 'PlayStation' },
+  { value: 'xbox', label: 'Xbox' },
+  { value: 'nintendo', label: 'Nintendo' },
+  { value: 'other', label: 'Other' }
+];
+
+/**
+ * Key lifecycle statuses: available -> reserved (in a cart) -> sold, or revoked by staff
+ */
+export const KEY_STATUSES = [
+  { value: 'available', label: 'Available', color: 'bg-green-100 text-green-800' },
+  { value: 'reserved', label: 'Reserved', color: 'bg-yellow-100 text-yellow-800' },
+  { value: 'sold', label: 'Sold', color: 'bg-blue-100 text-blue-800' },
+  { value: 'revoked', label: 'Revoked', color: 'bg-red-100 text-red-800' }
+];
+
+/**
+ * Get the lifecycle status of a key
+ * Keys created before statuses existed have none and count as available
+ * @param {object} gameKey - Game key object
+ * @returns {string} Status value
+ */
+export const getKeyStatus = (gameKey) => {
+  return gameKey?.status || 'available';
+};
+
+/**
+ * Check whether a key can be shown and sold on the storefront
+ * @param {object} gameKey - Game key object
+ * @returns {boolean} True if the key is available
+ */
+export const isKeyAvailable = (gameKey) => {
+  return getKeyStatus(gameKey) === 'available';
+};
+
+/**
+ * Get the available keys of a game
+ * @param {object} game - Game object with game_keys array
+ * @returns {Array} Available keys (empty when the game has none)
+ */
+export const getAvailableKeys = (game) => {
+  if (!game || !Array.isArray(game.game_keys)) return [];
+  return game.game_keys.filter(isKeyAvailable);
+};
+
+// Used for games that have no low_stock_threshold of their own
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Get the low-stock threshold configured for a game
+ * @param {object} game - Game object (or inventory row) with optional low_stock_threshold
+ * @returns {number} Threshold number of available keys
+ */
+export const getLowStockThreshold = (game) => {
+  const threshold = parseInt(game?.low_stock_threshold, 10);
+  return isNaN(threshold) || threshold < 0 ? DEFAULT_LOW_STOCK_THRESHOLD : threshold;
+};
+
+/**
+ * Check whether an available key count is at or below a game's threshold
+ * Out-of-stock games count as low stock
+ * @param {number} availableCount - Number of available keys
+ * @param {object} game - Game object used for the threshold
+ * @returns {boolean} True if the game needs restocking
+ */
+export const isLowStock = (availableCount, game) => {
+  return (availableCount || 0) <= getLowStockThreshold(game);
+};
+
+/**
+ * Get the storefront stock level of a game from its loaded keys or price summary
+ * @param {object} game - Game object with game_keys array or price_summary
+ * @returns {object|null} { available, isLow, isOut }, or null when neither was loaded
+ */
+export const getStockLevel = (game) => {
+  if (!game) return null;
+  let available;
+  if (Array.isArray(game.game_keys)) {
+    available = getAvailableKeys(game).length;
+  } else if (game.price_summary) {
+    available = Number(game.price_summary.available_count) || 0;
+  } else {
+    return null;
+  }
+  return {
+    available,
+    isLow: available > 0 && isLowStock(available, game),
+    isOut: available === 0
+  };
+};
+
+// Spellings suppliers commonly use for the platforms above
+const KEY_TYPE_ALIASES = {
+  'epic games': 'epic',
+  'epic games store': 'epic',
+  'ea': 'origin',
+  'ea app': 'origin',
+  'ubisoft': 'uplay',
+  'ubisoft connect': 'uplay',
+  'battlenet': 'battle.net',
+  'battle net': 'battle.net',
+  'blizzard': 'battle.net',
+  'microsoft store': 'microsoft',
+  'windows': 'microsoft',
+  'psn': 'playstation',
+  'ps4': 'playstation',
+  'ps5': 'playstation',
+  'xbox live': 'xbox',
+  'switch': 'nintendo',
+  'nintendo switch': 'nintendo',
+  'eshop': 'nintendo'
+};
+
+/**
+ * Normalize a key type to one of the KEY_TYPES values
+ * @param {string} keyType - Raw key type (any case, aliases allowed)
+ * @returns {string|null} Normalized key type, '' when blank, or null when unknown
+ */
+export const normalizeKeyType = (keyType) => {
+  const value = (keyType || '').trim().toLowerCase();
+  if (!value) return '';
+  if (KEY_TYPES.some(type => type.value === value)) return value;
+  return KEY_TYPE_ALIASES[value] || null;
+};
+
+// Expected activation code shapes per platform, matched case-insensitively
+// Platforms without an entry (e.g. 'other') accept any key without whitespace
+const KEY_FORMATS = {
+  steam: {
+    pattern: /^[A-Z0-9]{5}(-[A-Z0-9]{5}){2}(-[A-Z0-9]{5}){0,2}$/,
+    example: 'XXXXX-XXXXX-XXXXX'
+  },
+  epic: {
+    pattern: /^[A-Z0-9]{5}(-[A-Z0-9]{5}){3}$/,
+    example: 'XXXXX-XXXXX-XXXXX-XXXXX'
+  },
+  origin: {
+    pattern: /^[A-Z0-9]{4}(-[A-Z0-9]{4}){3,4}$/,
+    example: 'XXXX-XXXX-XXXX-XXXX-XXXX'
+  },
+  uplay: {
+    pattern: /^[A-Z0-9]{3,5}(-[A-Z0-9]{3,5}){3,4}$/,
+    example: 'XXXX-XXXX-XXXX-XXXX'
+  },
+  'battle.net': {
+    pattern: /^[A-Z0-9]{4,6}(-[A-Z0-9]{4,6}){3}$/,
+    example: 'XXXX-XXXX-XXXX-XXXX'
+  },
+  gog: {
+    pattern: /^([A-Z0-9]{18}|[A-Z0-9]{5}-[A-Z0-9]{5}-[A-Z0-9]{5}-[A-Z0-9]{3})$/,
+    example: 'XXXXX-XXXXX-XXXXX-XXX'
+  },
+  microsoft: {
+    pattern: /^[A-Z0-9]{5}(-[A-Z0-9]{5}){4}$/,
+    example: 'XXXXX-XXXXX-XXXXX-XXXXX-XXXXX'
+  },
+  xbox: {
+    pattern: /^[A-Z0-9]{5}(-[A-Z0-9]{5}){4}$/,
+    example: 'XXXXX-XXXXX-XXXXX-XXXXX-XXXXX'
+  },
+  playstation: {
+    pattern: /^[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/,
+    example: 'XXXX-XXXX-XXXX'
+  },
+  nintendo: {
+    pattern: /^[A-Z0-9]{4}(-[A-Z0-9]{4}){3}$/,
+    example: 'XXXX-XXXX-XXXX-XXXX'
+  }
+};
+
+/**
+ * Get the example key format for a platform
+ * @param {string} keyType - Key type value
+ * @returns {string|null} Example such as 'XXXXX-XXXXX-XXXXX', or null when any format is accepted
+ */
+export const getKeyFormatExample = (keyType) => {
+  return KEY_FORMATS[normalizeKeyType(keyType)]?.example || null;
+};
+
+/**
+ * Check a key against the expected format for its platform
+ * @param {string} key - Game key
+ * @param {string} keyType - Key type value (blank or unknown types only require a non-empty key)
+ * @returns {string|null} Error message, or null when the key is valid
+ */
+export const validateKeyFormat = (key, keyType) => {
+  const value = (key || '').trim();
+  if (!value) return 'Missing key';
+  if (/\s/.test(value)) return 'Key must not contain spaces';
+
+  const format = KEY_FORMATS[normalizeKeyType(keyType)];
+  if (format && !format.pattern.test(value.toUpperCase())) {
+    const label = KEY_TYPES.find(type => type.value === normalizeKeyType(keyType))?.label || keyType;
+    return `Not a valid ${label} key (expected ${format.example})`;
+  }
+  return null;
+};
+
+/**
+ * Mask a key for display, keeping separators and the last few characters
+ * @param {string} key - Game key
+ * @param {number} visibleChars - Number of trailing characters left readable (default: 4)
+ * @returns {string} Masked key (e.g., '•••••-•••••-••ABC')
+ */
+export const maskKey = (key, visibleChars = 4) => {
+  if (!key) return '';
+  const hiddenUntil = Math.max(key.replace(/[^A-Za-z0-9]/g, '').length - visibleChars, 0);
+  let seen = 0;
+  return key.replace(/[A-Za-z0-9]/g, char => (seen++ < hiddenUntil ? '•' : char));
+};
+
+/**
+ * Find keys that appear more than once in a list (case-insensitive)
+ * @param {Array<string>} keys - Game keys
+ * @returns {Array<string>} Each repeated key once, as first written
+ */
+export const findDuplicateKeys = (keys) => {
+  const firstSeen = new Map();
+  const duplicates = new Set();
+  keys.forEach(key => {
+    const normalized = key.trim().toUpperCase();
+    if (firstSeen.has(normalized)) {
+      duplicates.add(firstSeen.get(normalized));
+    } else {
+      firstSeen.set(normalized, key.trim());
+    }
+  });
+  return [...duplicates];
+};
+
+// Header names accepted for each import column
+const COLUMN_ALIASES = {
+  game: ['game', 'game_id', 'game id', 'game_name', 'game name', 'title'],
+  key: ['key', 'game_key', 'game key', 'code', 'activation_code', 'activation code'],
+  price: ['price', 'cost', 'amount'],
+  key_type: ['key_type', 'key type', 'platform', 'type']
+};
+
+/**
+ * Split delimited text into rows of fields, honouring double-quoted fields
+ * @param {string} text - File contents
+ * @param {string} delimiter - Field delimiter (',' or '\t')
+ * @returns {Array<Array<string>>} Rows of raw field values
+ */
+const splitDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse a CSV or TSV key file into raw import rows
+ * The delimiter is detected from the header line; columns are matched by header name
+ * @param {string} text - File contents
+ * @returns {object} { rows: [{ line, game, key, price, key_type }], missingColumns: [] }
+ */
+export const parseKeyFile = (text) => {
+  const content = (text || '').replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = firstLine.includes('\t') ? '\t' : ',';
+  const [header = [], ...dataRows] = splitDelimited(content, delimiter);
+
+  const normalizedHeader = header.map(name => name.trim().toLowerCase());
+  const columnIndex = Object.fromEntries(
+    Object.entries(COLUMN_ALIASES).map(([column, aliases]) => [
+      column,
+      normalizedHeader.findIndex(name => aliases.includes(name))
+    ])
+  );
+
+  // key_type is optional, everything else must be present
+  const missingColumns = ['game', 'key', 'price'].filter(column => columnIndex[column] === -1);
+
+  const rows = dataRows.map((fields, index) => {
+    const read = (column) => (columnIndex[column] === -1 ? '' : (fields[columnIndex[column]] || '').trim());
+    return {
+      line: index + 2, // 1-based, after the header
+      game: read('game'),
+      key: read('key'),
+      price: read('price'),
+      key_type: read('key_type')
+    };
+  });
+
+  return { rows, missingColumns };
+};
+
+// Digits with at most one decimal dot, e.g. 12 or 12.99
+const IMPORT_PRICE_PATTERN = /^\d+(\.\d+)?$/;
+
+/**
+ * Validate parsed import rows against the game catalogue and within the file
+ * @param {Array} rows - Rows from parseKeyFile
+ * @param {Array} games - Games list ({ id, name })
+ * @returns {Array} Rows with game_id, game_name, normalized price/key_type and an errors array
+ */
+export const validateImportRows = (rows, games) => {
+  const gamesById = new Map(games.map(game => [String(game.id), game]));
+  const gamesByName = new Map(games.map(game => [(game.name || '').trim().toLowerCase(), game]));
+  const seenKeys = new Map();
+
+  return rows.map(row => {
+    const errors = [];
+
+    const game = gamesById.get(row.game) || gamesByName.get(row.game.toLowerCase());
+    if (!row.game) {
+      errors.push('Missing game');
+    } else if (!game) {
+      errors.push(`Unknown game "${row.game}"`);
+    }
+
+    const keyType = normalizeKeyType(row.key_type);
+    if (keyType === null) {
+      errors.push(`Unknown key type "${row.key_type}"`);
+    }
+
+    if (!row.key) {
+      errors.push('Missing key');
+    } else {
+      const formatError = validateKeyFormat(row.key, keyType);
+      if (formatError) errors.push(formatError);
+
+      const normalizedKey = row.key.toUpperCase();
+      if (seenKeys.has(normalizedKey)) {
+        errors.push(`Duplicate of line ${seenKeys.get(normalizedKey)}`);
+      } else {
+        seenKeys.set(normalizedKey, row.line);
+      }
+    }
+
+    // Only plain decimals like 12.99: "12,99" or "1.299,00" must not be guessed at
+    const price = IMPORT_PRICE_PATTERN.test(row.price) ? parseFloat(row.price) : NaN;
+    if (!row.price) {
+      errors.push('Missing price');
+    } else if (row.price.includes(',')) {
+      errors.push(`Invalid price "${row.price}": use a dot for decimals and no thousands separators`);
+    } else if (isNaN(price) || price <= 0) {
+      errors.push(`Invalid price "${row.price}"`);
+    }
+
+    return {
+      ...row,
+      game_id: game?.id ?? null,
+      game_name: game?.name || null,
+      price: isNaN(price) ? null : price,
+      key_type: keyType || null,
+      errors
+    };
+  });
+};
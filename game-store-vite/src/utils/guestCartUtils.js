@@ -0,0 +1,93 @@
+// Guest cart helpers for anonymous shoppers, persisted in localStorage
+
+import { isNetworkError } from './checkoutUtils';
+
+const GUEST_CART_STORAGE_KEY = 'guest_cart';
+
+/**
+ * Build a cart item for the guest cart, shaped like the server's cart items
+ * so cart pages can render both the same way
+ * @param {object} gameKey - Game key being added (id, price, key_type)
+ * @param {object} game - Game the key belongs to
+ * @param {number} quantity - Quantity to add
+ * @returns {object} Guest cart item
+ */
+export const createGuestCartItem = (gameKey, game = {}, quantity = 1) => {
+  // Only keep what the cart needs to display; never persist the key code itself
+  const gameSnapshot = {
+    id: game.id,
+    name: game.name,
+    cover: game.cover,
+    price: game.price
+  };
+
+  return {
+    id: `guest-${gameKey.id}`,
+    game_key_id: gameKey.id,
+    quantity,
+    game: gameSnapshot,
+    game_key: {
+      id: gameKey.id,
+      price: gameKey.price,
+      key_type: gameKey.key_type,
+      game: gameSnapshot
+    },
+    added_at: new Date().toISOString()
+  };
+};
+
+/**
+ * Load the guest cart from localStorage
+ * @returns {Array} Guest cart items (empty when missing or unreadable)
+ */
+export const loadGuestCart = () => {
+  if (typeof localStorage === 'undefined') {
+    return [];
+  }
+
+  try {
+    const stored = localStorage.getItem(GUEST_CART_STORAGE_KEY);
+    const items = stored ? JSON.parse(stored) : [];
+    return Array.isArray(items) ? items.filter(item => item && item.game_key_id) : [];
+  } catch (error) {
+    console.error('Error reading guest cart:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the guest cart to localStorage
+ * @param {Array} items - Guest cart items
+ */
+export const saveGuestCart = (items) => {
+  if (typeof localStorage === 'undefined') {
+    return;
+  }
+
+  try {
+    if (items.length === 0) {
+      localStorage.removeItem(GUEST_CART_STORAGE_KEY);
+    } else {
+      localStorage.setItem(GUEST_CART_STORAGE_KEY, JSON.stringify(items));
+    }
+  } catch (error) {
+    console.error('Error saving guest cart:', error);
+  }
+};
+
+/**
+ * Check whether moving a guest item into the server cart failed for a reason that may pass,
+ * such as no connection or a server error, rather than because the key is gone
+ * @param {Error} error - Error thrown by the API helpers
+ * @returns {boolean} True if the item should stay in the guest cart for another try
+ */
+export const isTransientMergeError = (error) => {
+  return isNetworkError(error) || error?.status === 429 || error?.status >= 500;
+};
+
+/**
+ * Remove the guest cart from localStorage
+ */
+export const clearGuestCart = () => {
+  saveGuestCart([]);
+};
@@ -1,6 +1,28 @@
 // Utility functions for handling image URLs
 
-const IMAGE_BASE_URL = 'https://s3.tebi.io/game-key-store';
+export const DEFAULT_IMAGE_BASE_URL = 'https://s3.tebi.io/game-key-store';
+
+// Overridden from store settings once they load
+let imageBaseUrl = DEFAULT_IMAGE_BASE_URL;
+
+/**
+ * Set the base URL that image filenames are resolved against
+ * @param {string} url - Base URL without trailing slash (falls back to the default when empty)
+ */
+export const setImageBaseUrl = (url) => {
+  imageBaseUrl = url ? url.replace(/\/+$/, '') : DEFAULT_IMAGE_BASE_URL;
+};
+
+/**
+ * Get full image URL for a file in the given folder
+ * @param {string} folder - Storage folder (e.g., 'games', 'categories')
+ * @param {string} filename - Just the filename
+ * @returns {string} Full URL
+ */
+export const getImageUrl = (folder, filename) => {
+  if (!filename) return '';
+  return `${imageBaseUrl}/${folder}/${filename}`;
+};
 
 /**
  * Get full image URL for a category
@@ -8,8 +30,7 @@ const IMAGE_BASE_URL = 'https://s3.tebi.io/game-key-store';
  * @returns {string} Full URL
  */
 export const getCategoryImageUrl = (filename) => {
-  if (!filename) return '';
-  return `${IMAGE_BASE_URL}/categories/${filename}`;
+  return getImageUrl('categories', filename);
 };
 
 /**
@@ -18,8 +39,7 @@ export const getCategoryImageUrl = (filename) => {
  * @returns {string} Full URL
  */
 export const getGameImageUrl = (filename) => {
-  if (!filename) return '';
-  return `${IMAGE_BASE_URL}/games/${filename}`;
+  return getImageUrl('games', filename);
 };
 
 /**
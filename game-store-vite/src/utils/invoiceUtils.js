@@ -0,0 +1,223 @@
+/**
+ * Utility functions for building order invoices and rendering them as PDF
+ */
+
+import { toCents, fromCents, formatPrice } from './moneyUtils';
+import { getOrderDate, formatOrderDate } from './orderUtils';
+import { createPdfPage, buildPdf, fitText, PAGE_WIDTH, PAGE_HEIGHT } from './pdfUtils';
+
+/**
+ * Get the invoice number for an order
+ * @param {object} order - Order object
+ * @returns {string} Invoice number like "INV-000123"
+ */
+export const getInvoiceNumber = (order) => {
+  return `INV-${String(order.id).padStart(6, '0')}`;
+};
+
+/**
+ * Split a tax-inclusive total into net amount and tax
+ * @param {number} total - Tax-inclusive total
+ * @param {number} taxRate - Tax rate as a percentage
+ * @returns {object} { net, tax }
+ */
+export const getTaxBreakdown = (total, taxRate) => {
+  const totalCents = toCents(total);
+  const netCents = Math.round(totalCents / (1 + (Number(taxRate) || 0) / 100));
+  return { net: fromCents(netCents), tax: fromCents(totalCents - netCents) };
+};
+
+/**
+ * Label for the tax line of a breakdown
+ * @param {string} taxLabel - Tax name, e.g. "VAT"
+ * @param {number|null} taxRate - Tax rate as a percentage, if known
+ * @returns {string} Label like "VAT 20%"
+ */
+export const formatTaxLabel = (taxLabel, taxRate) => {
+  return taxRate != null ? `${taxLabel} ${taxRate}%` : taxLabel;
+};
+
+/**
+ * Build the invoice for an order
+ * Prices are tax-inclusive. The tax comes from the rate and amount stored on the order when it was
+ * placed, so changing the store's rate later doesn't rewrite old invoices. Orders stored without
+ * them have no breakdown: net and tax are null.
+ * @param {object} order - Order with sub_orders
+ * @param {object} settings - Store settings (name, address, tax details)
+ * @param {object} customer - Customer (name, email)
+ * @returns {object} Invoice with store, customer, lines and totals
+ */
+export const buildInvoice = (order, settings, customer = {}) => {
+  const lines = (order.sub_orders || []).map(subOrder => {
+    const game = subOrder.game || subOrder.game_key?.game || {};
+    const keyType = subOrder.game_key?.key_type;
+    const unitPrice = subOrder.game_key?.price || subOrder.price || 0;
+    return {
+      id: subOrder.id,
+      description: `${game.name || 'Game key'}${keyType ? ` (${keyType})` : ''}`,
+      quantity: 1,
+      unitPrice,
+      amount: unitPrice
+    };
+  });
+
+  const subtotalCents = lines.reduce((total, line) => total + toCents(line.amount), 0);
+  const totalCents = toCents(order.total_price ?? fromCents(subtotalCents));
+  const taxRate = order.tax_rate != null ? Number(order.tax_rate) : null;
+  let taxBreakdown = null;
+  if (order.tax_amount != null) {
+    const taxCents = toCents(order.tax_amount);
+    taxBreakdown = { net: fromCents(totalCents - taxCents), tax: fromCents(taxCents) };
+  } else if (taxRate != null) {
+    taxBreakdown = getTaxBreakdown(fromCents(totalCents), taxRate);
+  }
+
+  return {
+    number: getInvoiceNumber(order),
+    orderId: order.id,
+    date: getOrderDate(order),
+    comment: order.comment || '',
+    store: {
+      name: settings.store_name,
+      address: settings.business_address || '',
+      email: settings.support_email || '',
+      taxId: settings.tax_id || ''
+    },
+    customer: {
+      name: customer.name || customer.username || '',
+      email: customer.email || ''
+    },
+    lines,
+    subtotal: fromCents(subtotalCents),
+    // Discounts or fees recorded on the order but not on its items
+    adjustment: fromCents(totalCents - subtotalCents),
+    taxLabel: order.tax_label || settings.tax_label || 'Tax',
+    taxRate,
+    net: taxBreakdown?.net ?? null,
+    tax: taxBreakdown?.tax ?? null,
+    total: fromCents(totalCents)
+  };
+};
+
+/**
+ * Get the file name for one invoice, or for a batch of invoices
+ * @param {object|Array} invoices - Invoice or invoices
+ * @returns {string} File name
+ */
+export const getInvoiceFilename = (invoices) => {
+  if (!Array.isArray(invoices)) return `${invoices.number}.pdf`;
+  if (invoices.length === 1) return `${invoices[0].number}.pdf`;
+  return `invoices-${invoices[invoices.length - 1].number}-to-${invoices[0].number}.pdf`;
+};
+
+// Page layout
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const BOTTOM = PAGE_HEIGHT - 80;
+const COLUMNS = { description: MARGIN, quantity: 370, unitPrice: 450, amount: RIGHT };
+
+const drawTableHeader = (page, y) => {
+  page.text('Description', COLUMNS.description, y, { bold: true, size: 9 });
+  page.text('Qty', COLUMNS.quantity, y, { bold: true, size: 9, align: 'right' });
+  page.text('Unit price', COLUMNS.unitPrice, y, { bold: true, size: 9, align: 'right' });
+  page.text('Amount', COLUMNS.amount, y, { bold: true, size: 9, align: 'right' });
+  page.line(MARGIN, y + 6, RIGHT, y + 6);
+  return y + 22;
+};
+
+// Draw one invoice, continuing on new pages when the line items run out of room
+const renderInvoicePages = (invoice) => {
+  const pages = [createPdfPage()];
+  let page = pages[0];
+
+  // Store details
+  let y = 70;
+  page.text(invoice.store.name, MARGIN, y, { bold: true, size: 16 });
+  y += 18;
+  const storeLines = [
+    ...invoice.store.address.split('\n').map(line => line.trim()).filter(Boolean),
+    invoice.store.email,
+    invoice.store.taxId && `${invoice.taxLabel} No: ${invoice.store.taxId}`
+  ].filter(Boolean);
+  storeLines.forEach(line => {
+    page.text(line, MARGIN, y, { size: 9, gray: 0.3 });
+    y += 13;
+  });
+
+  // Invoice details
+  page.text('INVOICE', RIGHT, 70, { bold: true, size: 20, align: 'right' });
+  page.text(`Invoice no: ${invoice.number}`, RIGHT, 92, { size: 9, align: 'right' });
+  page.text(`Order no: #${invoice.orderId}`, RIGHT, 105, { size: 9, align: 'right' });
+  page.text(`Date: ${formatOrderDate(invoice.date)}`, RIGHT, 118, { size: 9, align: 'right' });
+
+  // Customer
+  y = Math.max(y, 130) + 20;
+  page.text('Bill to', MARGIN, y, { bold: true, size: 10 });
+  y += 14;
+  [invoice.customer.name, invoice.customer.email].filter(Boolean).forEach(line => {
+    page.text(line, MARGIN, y, { size: 9 });
+    y += 13;
+  });
+
+  // Line items
+  y = drawTableHeader(page, y + 20);
+  invoice.lines.forEach(line => {
+    if (y > BOTTOM) {
+      page = createPdfPage();
+      pages.push(page);
+      page.text(`${invoice.number} (continued)`, MARGIN, 60, { bold: true, size: 11 });
+      y = drawTableHeader(page, 90);
+    }
+    page.text(fitText(line.description, COLUMNS.quantity - MARGIN - 40, 9), COLUMNS.description, y, { size: 9 });
+    page.text(String(line.quantity), COLUMNS.quantity, y, { size: 9, align: 'right' });
+    page.text(formatPrice(line.unitPrice), COLUMNS.unitPrice, y, { size: 9, align: 'right' });
+    page.text(formatPrice(line.amount), COLUMNS.amount, y, { size: 9, align: 'right' });
+    y += 18;
+  });
+
+  // Totals
+  const totals = [['Subtotal', invoice.subtotal]];
+  if (invoice.adjustment !== 0) totals.push(['Adjustments', invoice.adjustment]);
+  if (invoice.tax != null) {
+    totals.push(
+      [`Net amount (excl. ${invoice.taxLabel})`, invoice.net],
+      [formatTaxLabel(invoice.taxLabel, invoice.taxRate), invoice.tax]
+    );
+  }
+
+  if (y + 30 + totals.length * 16 > BOTTOM) {
+    page = createPdfPage();
+    pages.push(page);
+    y = 70;
+  }
+
+  page.line(MARGIN, y - 6, RIGHT, y - 6);
+  y += 12;
+  totals.forEach(([label, amount]) => {
+    page.text(label, COLUMNS.unitPrice, y, { size: 9, align: 'right', gray: 0.3 });
+    page.text(formatPrice(amount), COLUMNS.amount, y, { size: 9, align: 'right' });
+    y += 16;
+  });
+  page.text('Total', COLUMNS.unitPrice, y + 4, { bold: true, size: 11, align: 'right' });
+  page.text(formatPrice(invoice.total), COLUMNS.amount, y + 4, { bold: true, size: 11, align: 'right' });
+
+  // Footer on every page of this invoice
+  pages.forEach((invoicePage, index) => {
+    invoicePage.line(MARGIN, PAGE_HEIGHT - 55, RIGHT, PAGE_HEIGHT - 55);
+    invoicePage.text(`All prices include ${invoice.taxLabel}. Thank you for your purchase.`, MARGIN, PAGE_HEIGHT - 40, { size: 8, gray: 0.4 });
+    invoicePage.text(`${invoice.number} - page ${index + 1} of ${pages.length}`, RIGHT, PAGE_HEIGHT - 40, { size: 8, gray: 0.4, align: 'right' });
+  });
+
+  return pages;
+};
+
+/**
+ * Render one or more invoices into a single PDF
+ * @param {Array} invoices - Invoices built with buildInvoice
+ * @returns {Blob} PDF file
+ */
+export const createInvoicePdf = (invoices) => {
+  const pages = invoices.flatMap(renderInvoicePages);
+  const title = invoices.length === 1 ? `Invoice ${invoices[0].number}` : `Invoices (${invoices.length})`;
+  return buildPdf(pages, title);
+};
@@ -0,0 +1,91 @@
+/**
+ * Utility functions for exporting purchased game keys from orders
+ */
+
+import { formatPrice } from './moneyUtils';
+import { getOrderDate } from './orderUtils';
+
+// Supported export formats
+export const KEY_EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' },
+  txt: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain;charset=utf-8' }
+};
+
+const CSV_COLUMNS = [
+  ['game', 'Game'],
+  ['platform', 'Platform'],
+  ['key', 'Key'],
+  ['price', 'Price'],
+  ['purchased_at', 'Purchase Date'],
+  ['order_id', 'Order']
+];
+
+/**
+ * Collect the purchased keys from one or more orders
+ * @param {object|Array} orders - Order or orders with sub_orders
+ * @returns {Array} Rows { game, platform, key, price, purchased_at, order_id }
+ */
+export const getOrderKeys = (orders) => {
+  const orderList = Array.isArray(orders) ? orders : [orders];
+
+  return orderList.flatMap(order => (order.sub_orders || [])
+    .filter(subOrder => subOrder.game_key?.key)
+    .map(subOrder => ({
+      game: subOrder.game?.name || subOrder.game_key.game?.name || 'Unknown Game',
+      platform: subOrder.game_key.key_type || '',
+      key: subOrder.game_key.key,
+      price: Number(subOrder.game_key.price || subOrder.price || 0),
+      purchased_at: getOrderDate(order) || '',
+      order_id: order.id
+    })));
+};
+
+// Quote a CSV field when needed, and stop spreadsheets from running it as a formula
+const escapeCsvValue = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render key rows in an export format
+ * @param {Array} rows - Rows from getOrderKeys
+ * @param {string} format - One of KEY_EXPORT_FORMATS
+ * @returns {string} File content
+ */
+export const formatKeyExport = (rows, format) => {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(rows, null, 2);
+
+    case 'txt':
+      return rows.map(row => [
+        `${row.game} (${row.platform || 'Unknown platform'})`,
+        `Key: ${row.key}`,
+        `Price: ${formatPrice(row.price)}`,
+        `Purchased: ${row.purchased_at ? new Date(row.purchased_at).toLocaleDateString() : 'Unknown'} (Order #${row.order_id})`
+      ].join('\n')).join('\n\n');
+
+    case 'csv': {
+      const header = CSV_COLUMNS.map(([, label]) => label).join(',');
+      const lines = rows.map(row => CSV_COLUMNS.map(([field]) => escapeCsvValue(row[field])).join(','));
+      // The byte order mark lets spreadsheet apps detect UTF-8 game names
+      return `\uFEFF${[header, ...lines].join('\r\n')}`;
+    }
+
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+/**
+ * Get the file name for a key export
+ * @param {string} format - One of KEY_EXPORT_FORMATS
+ * @param {string|number} orderId - Order ID, or nothing for the whole history
+ * @returns {string} File name
+ */
+export const getKeyExportFilename = (format, orderId = null) => {
+  const name = orderId ? `order-${orderId}-keys` : `game-keys-${new Date().toISOString().slice(0, 10)}`;
+  return `${name}.${KEY_EXPORT_FORMATS[format].extension}`;
+};
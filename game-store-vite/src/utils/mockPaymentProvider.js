@@ -0,0 +1,89 @@
+/**
+ * Offline payment provider for developing and testing checkout without a real gateway.
+ * The outcome of each payment is picked with a test scenario instead of a card.
+ * Implements the provider interface described in paymentUtils.
+ */
+
+export const MOCK_SCENARIOS = [
+  { value: 'success', label: 'Payment succeeds' },
+  { value: '3ds', label: '3-D Secure challenge' },
+  { value: 'decline', label: 'Card is declined' },
+  { value: 'timeout', label: 'Gateway times out' }
+];
+
+// Simulated network latency
+const MOCK_DELAY_MS = 800;
+
+const payments = new Map();
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createPaymentId = () => `mock_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+const updatePayment = (paymentId, changes) => {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw new Error(`Unknown payment ${paymentId}`);
+  }
+  const updated = { ...payment, ...changes };
+  payments.set(paymentId, updated);
+  return updated;
+};
+
+const mockPaymentProvider = {
+  id: 'mock',
+  name: 'Test Payments (offline)',
+  isTest: true,
+  scenarios: MOCK_SCENARIOS,
+
+  async authorize({ amount, currency, reference, scenario = 'success' }) {
+    console.log(`[MockPayments] Authorizing ${amount} ${currency} for ${reference} (scenario: ${scenario})`);
+    await delay(MOCK_DELAY_MS);
+
+    if (scenario === 'timeout') {
+      // Never answer, so the checkout's timeout handling kicks in
+      return new Promise(() => {});
+    }
+
+    const payment = { id: createPaymentId(), amount, currency, reference, scenario };
+
+    if (scenario === 'decline') {
+      payments.set(payment.id, { ...payment, status: 'declined' });
+      return { ...payments.get(payment.id), message: 'Your card was declined.' };
+    }
+
+    if (scenario === '3ds') {
+      payments.set(payment.id, { ...payment, status: 'requires_action' });
+      return {
+        ...payments.get(payment.id),
+        action: { type: '3ds', message: 'Your bank needs you to confirm this payment.' }
+      };
+    }
+
+    payments.set(payment.id, { ...payment, status: 'authorized' });
+    return payments.get(payment.id);
+  },
+
+  async confirm(paymentId, { challengePassed = true } = {}) {
+    console.log(`[MockPayments] Confirming payment ${paymentId}`);
+    await delay(MOCK_DELAY_MS);
+
+    const payment = payments.get(paymentId);
+    if (payment?.status === 'requires_action' && !challengePassed) {
+      return { ...updatePayment(paymentId, { status: 'declined' }), message: 'Payment authentication failed.' };
+    }
+    if (payment?.status !== 'authorized' && payment?.status !== 'requires_action') {
+      return { ...payment, message: 'This payment can no longer be confirmed.' };
+    }
+
+    return updatePayment(paymentId, { status: 'succeeded' });
+  },
+
+  async cancel(paymentId) {
+    console.log(`[MockPayments] Cancelling payment ${paymentId}`);
+    await delay(MOCK_DELAY_MS / 2);
+    return updatePayment(paymentId, { status: 'cancelled' });
+  }
+};
+
+export default mockPaymentProvider;
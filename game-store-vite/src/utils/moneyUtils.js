@@ -3,6 +3,32 @@
  * Handles floating-point precision issues for financial calculations
  */
 
+export const DEFAULT_CURRENCY = 'USD';
+
+// Overridden from store settings once they load
+let currency = DEFAULT_CURRENCY;
+
+/**
+ * Set the ISO 4217 currency code used by formatPrice
+ * @param {string} code - Currency code (e.g., 'USD', 'EUR'); falls back to the default when empty or unsupported
+ */
+export const setCurrency = (code) => {
+  const normalized = code ? String(code).trim().toUpperCase() : '';
+  try {
+    // Throws a RangeError for malformed codes
+    new Intl.NumberFormat('en-US', { style: 'currency', currency: normalized });
+    currency = normalized;
+  } catch {
+    currency = DEFAULT_CURRENCY;
+  }
+};
+
+/**
+ * Get the currency code currently used by formatPrice
+ * @returns {string} Currency code
+ */
+export const getCurrency = () => currency;
+
 /**
  * Convert price to cents (integer) to avoid floating-point arithmetic
  * @param {number|string} price - Price in dollars (e.g., 19.99)
@@ -79,7 +105,12 @@ export const formatPrice = (price) => {
   const cents = toCents(price);
   const dollars = fromCents(cents);
   
-  return `$${dollars.toFixed(2)}`;
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(dollars);
 };
 
 /**
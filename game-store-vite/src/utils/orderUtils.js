@@ -0,0 +1,196 @@
+/**
+ * Utility functions for displaying orders
+ * The order table has no created_at column, so the date is derived from its sub_orders here
+ */
+
+import { toCents, fromCents } from './moneyUtils';
+
+/**
+ * Get the date an order was placed
+ * Uses the earliest sub_order created_at, falling back to the order's own created_at
+ * @param {object} order - Order object with optional sub_orders array
+ * @returns {string|null} Date string or null if unknown
+ */
+export const getOrderDate = (order) => {
+  if (order?.sub_orders && order.sub_orders.length > 0) {
+    const dates = order.sub_orders
+      .map(sub => sub.created_at)
+      .filter(date => date)
+      .sort();
+    if (dates[0]) return dates[0];
+  }
+  return order?.created_at || null;
+};
+
+/**
+ * Order statuses stored in order.status
+ * New orders are pending until their keys are delivered; cancelling or refunding an order,
+ * directly or by approving a customer request, closes it
+ */
+export const ORDER_STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'processing', label: 'Processing' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'refunded', label: 'Refunded' }
+];
+
+// Order status an approved customer request leads to
+export const APPROVED_REQUEST_STATUSES = {
+  cancellation: 'cancelled',
+  refund: 'refunded'
+};
+
+/**
+ * Get the display status of an order
+ * Uses order.status; responses without it fall back to the latest approved request,
+ * then to completed once the order has sub_orders
+ * @param {object} order - Order object
+ * @returns {string} Order status label, e.g. 'Completed'
+ */
+export const getOrderStatus = (order) => {
+  const approvedRequest = getOrderRequests(order).filter(request => request.status === 'approved').pop();
+  const status = order?.status ||
+    APPROVED_REQUEST_STATUSES[approvedRequest?.type] ||
+    (order?.sub_orders && order.sub_orders.length > 0 ? 'completed' : 'pending');
+  return ORDER_STATUSES.find(option => option.value === status.toLowerCase())?.label || status;
+};
+
+/**
+ * Get Tailwind badge classes for an order status
+ * @param {string} status - Order status
+ * @returns {string} Badge class names
+ */
+export const getOrderStatusColor = (status) => {
+  switch (status?.toLowerCase()) {
+    case 'completed':
+      return 'bg-green-100 text-green-800';
+    case 'pending':
+      return 'bg-yellow-100 text-yellow-800';
+    case 'cancelled':
+      return 'bg-red-100 text-red-800';
+    case 'refunded':
+      return 'bg-purple-100 text-purple-800';
+    case 'processing':
+      return 'bg-blue-100 text-blue-800';
+    default:
+      return 'bg-green-100 text-green-800'; // Default to completed for orders without status
+  }
+};
+
+/**
+ * Format an order date for display
+ * @param {string} dateString - Date string
+ * @returns {string} Formatted date with time, or 'N/A'
+ */
+export const formatOrderDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Sum the prices of an order's items
+ * @param {object} order - Order object with optional sub_orders array
+ * @returns {number} Subtotal
+ */
+export const getOrderSubtotal = (order) => {
+  const cents = (order?.sub_orders || []).reduce(
+    (total, subOrder) => total + toCents(subOrder.game_key?.price || subOrder.price || 0),
+    0
+  );
+  return fromCents(cents);
+};
+
+/**
+ * Customer requests on an order, with their badge colors
+ * Requests start pending and are approved or denied by staff
+ */
+export const ORDER_REQUEST_TYPES = {
+  cancellation: 'Cancellation',
+  refund: 'Refund'
+};
+
+export const ORDER_REQUEST_STATUSES = [
+  { value: 'pending', label: 'Pending', color: 'bg-yellow-100 text-yellow-800' },
+  { value: 'approved', label: 'Approved', color: 'bg-green-100 text-green-800' },
+  { value: 'denied', label: 'Denied', color: 'bg-red-100 text-red-800' }
+];
+
+/**
+ * Get the cancellation and refund requests on an order, oldest first
+ * @param {object} order - Order object with optional requests array
+ * @returns {Array} Requests
+ */
+export const getOrderRequests = (order) => {
+  return [...(order?.requests || [])].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+};
+
+/**
+ * Get the request on an order that is still waiting for staff, if any
+ * @param {object} order - Order object
+ * @returns {object|null} Pending request or null
+ */
+export const getPendingOrderRequest = (order) => {
+  return getOrderRequests(order).find(request => request.status === 'pending') || null;
+};
+
+/**
+ * Check whether the customer can ask to cancel an order
+ * Only orders whose keys have not been delivered yet can be cancelled
+ * @param {object} order - Order object
+ * @returns {boolean} True if cancellation can be requested
+ */
+export const canCancelOrder = (order) => {
+  const status = getOrderStatus(order).toLowerCase();
+  return ['pending', 'processing'].includes(status) && !getPendingOrderRequest(order);
+};
+
+/**
+ * Check whether the customer can ask for a refund on an order
+ * Refunds are for delivered orders; each order gets one refund request
+ * @param {object} order - Order object
+ * @returns {boolean} True if a refund can be requested
+ */
+export const canRequestRefund = (order) => {
+  const status = getOrderStatus(order).toLowerCase();
+  const requests = getOrderRequests(order);
+  return status === 'completed' &&
+    !getPendingOrderRequest(order) &&
+    !requests.some(request => request.type === 'refund');
+};
+
+/**
+ * Build the timeline of events on an order, oldest first
+ * @param {object} order - Order object with optional requests array
+ * @returns {Array} Events { date, title, detail, status }
+ */
+export const getOrderTimeline = (order) => {
+  const events = [{ date: getOrderDate(order), title: 'Order placed', detail: null, status: null }];
+
+  getOrderRequests(order).forEach(request => {
+    const type = ORDER_REQUEST_TYPES[request.type] || 'Request';
+    events.push({
+      date: request.created_at,
+      title: `${type} requested`,
+      detail: request.reason || null,
+      status: 'pending'
+    });
+    if (request.status !== 'pending') {
+      events.push({
+        date: request.processed_at || request.updated_at || request.created_at,
+        title: `${type} ${request.status}`,
+        detail: request.staff_note || null,
+        status: request.status
+      });
+    }
+  });
+
+  return events;
+};
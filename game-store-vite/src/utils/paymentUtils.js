@@ -0,0 +1,91 @@
+/**
+ * Payment provider registry and helpers for the checkout flow.
+ *
+ * A provider is an object with:
+ *   id, name        - identifier and display name
+ *   isTest          - true for providers that never move real money
+ *   scenarios       - optional [{ value, label }] a test provider can simulate
+ *   authorize(payment)           - payment: { amount, currency, reference, scenario }
+ *   confirm(paymentId, details)  - details: { challengePassed } after a 3-D Secure style challenge
+ *   cancel(paymentId)            - void an authorized or pending payment
+ * Each method resolves to { id, status, message?, action? } where status is one of PAYMENT_STATUS
+ * and action ({ type, message, redirect_url? }) is set when status is 'requires_action'.
+ */
+
+import mockPaymentProvider from './mockPaymentProvider';
+
+export const PAYMENT_STATUS = {
+  AUTHORIZED: 'authorized',
+  REQUIRES_ACTION: 'requires_action',
+  SUCCEEDED: 'succeeded',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled'
+};
+
+// How long to wait for the provider before treating the attempt as failed
+export const PAYMENT_TIMEOUT_MS = 15000;
+
+// Development builds fall back to the mock provider; production builds must name a provider
+const DEV_PAYMENT_PROVIDER = 'mock';
+
+const providers = {
+  [mockPaymentProvider.id]: mockPaymentProvider
+};
+
+/**
+ * Register a payment provider so checkout can use it
+ * @param {object} provider - Provider implementing authorize/confirm/cancel
+ */
+export const registerPaymentProvider = (provider) => {
+  if (!provider?.id || typeof provider.authorize !== 'function') {
+    throw new Error('Payment provider needs an id and an authorize method');
+  }
+  providers[provider.id] = provider;
+};
+
+/**
+ * Get the payment provider checkout should use
+ * The mock provider is only used in development or when it is configured explicitly (see .env.example).
+ * @param {string} providerId - Provider ID (defaults to VITE_PAYMENT_PROVIDER)
+ * @returns {object} Payment provider
+ * @throws {Error} error.code 'payment_not_configured' when no known provider is configured
+ */
+export const getPaymentProvider = (providerId = import.meta.env.VITE_PAYMENT_PROVIDER) => {
+  const id = providerId || (import.meta.env.DEV ? DEV_PAYMENT_PROVIDER : null);
+  const provider = providers[id];
+  if (!provider) {
+    const error = new Error(id ? `Unknown payment provider "${id}"` : 'No payment provider is configured (VITE_PAYMENT_PROVIDER)');
+    error.code = 'payment_not_configured';
+    throw error;
+  }
+  return provider;
+};
+
+/**
+ * Check whether checkout may let the user pick a test provider's simulated outcome
+ * Development builds only, so customers never see it even where the mock provider is configured.
+ * @param {object} provider - Payment provider
+ * @returns {boolean} True if test scenarios can be chosen
+ */
+export const canSimulatePayments = (provider) => {
+  return Boolean(import.meta.env.DEV && provider?.isTest);
+};
+
+/**
+ * Reject if a provider call takes too long
+ * @param {Promise} promise - Provider call
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Promise} The provider result, or a rejection with error.code 'timeout'
+ */
+export const withPaymentTimeout = (promise, ms = PAYMENT_TIMEOUT_MS) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error('The payment provider did not respond in time. Please try again.');
+      error.code = 'timeout';
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
@@ -0,0 +1,163 @@
+/**
+ * Minimal PDF writer for simple text documents (invoices, receipts).
+ * Supports text in the built-in Helvetica fonts and straight lines, which is
+ * all our documents need, without pulling in a PDF library.
+ */
+
+// A4 in PDF points
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+// Helvetica glyph widths (per 1000 units) for the characters that matter most
+// for alignment; everything else uses the average width
+const CHAR_WIDTHS = {
+  ' ': 278, '.': 278, ',': 278, ':': 278, '-': 333, '(': 333, ')': 333, '%': 889, '#': 556, '/': 278,
+  '0': 556, '1': 556, '2': 556, '3': 556, '4': 556, '5': 556, '6': 556, '7': 556, '8': 556, '9': 556,
+  'i': 222, 'l': 222, 'j': 222, 't': 278, 'f': 278, 'r': 333, 'I': 278, 'm': 833, 'w': 722, 'M': 833, 'W': 944
+};
+const AVERAGE_CHAR_WIDTH = 556;
+const BOLD_WIDTH_FACTOR = 1.05;
+
+/**
+ * Estimate the width of a string in Helvetica
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Whether the bold font is used
+ * @returns {number} Width in points
+ */
+export const measureText = (text, size, bold = false) => {
+  const units = [...String(text)].reduce((total, char) => total + (CHAR_WIDTHS[char] || AVERAGE_CHAR_WIDTH), 0);
+  return (units / 1000) * size * (bold ? BOLD_WIDTH_FACTOR : 1);
+};
+
+/**
+ * Cut text so it fits a width, adding an ellipsis when shortened
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in points
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Whether the bold font is used
+ * @returns {string} Text that fits
+ */
+export const fitText = (text, maxWidth, size, bold = false) => {
+  let result = String(text);
+  if (measureText(result, size, bold) <= maxWidth) return result;
+  while (result.length > 0 && measureText(`${result}...`, size, bold) > maxWidth) {
+    result = result.slice(0, -1);
+  }
+  return `${result}...`;
+};
+
+// WinAnsi codes (octal) for common characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '\u20AC': '200', // €
+  '\u2026': '205', // …
+  '\u2018': '221', '\u2019': '222', '\u201C': '223', '\u201D': '224', // curly quotes
+  '\u2022': '225', // •
+  '\u2013': '226', '\u2014': '227', // en and em dash
+  '\u2122': '231' // ™
+};
+
+// Encode text for a PDF string in WinAnsi: escape delimiters, map what we can, replace the rest
+const encodeText = (text) => {
+  return [...String(text)].map(char => {
+    if (char === '\\' || char === '(' || char === ')') return `\\${char}`;
+    if (WIN_ANSI_EXTRAS[char]) return `\\${WIN_ANSI_EXTRAS[char]}`;
+    // Narrow and regular no-break spaces from Intl number formatting
+    if (char === '\u00A0' || char === '\u202F') return ' ';
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code < 127) return char;
+    if (code >= 160 && code <= 255) return `\\${code.toString(8)}`;
+    return '?';
+  }).join('');
+};
+
+/**
+ * Create a blank page to draw on. Coordinates start at the top-left corner.
+ * @returns {object} Page with text() and line() drawing methods
+ */
+export const createPdfPage = () => {
+  const operations = [];
+
+  return {
+    operations,
+
+    /**
+     * Draw text
+     * @param {string} text - Text to draw
+     * @param {number} x - Distance from the left edge
+     * @param {number} y - Distance from the top edge (baseline)
+     * @param {object} options - { size, bold, align: 'left' | 'right', gray: 0 (black) to 1 (white) }
+     */
+    text(text, x, y, { size = 10, bold = false, align = 'left', gray = 0 } = {}) {
+      const left = align === 'right' ? x - measureText(text, size, bold) : x;
+      operations.push(
+        `${gray} g BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${encodeText(text)}) Tj ET`
+      );
+    },
+
+    /**
+     * Draw a straight line
+     * @param {number} x1 - Start distance from the left edge
+     * @param {number} y1 - Start distance from the top edge
+     * @param {number} x2 - End distance from the left edge
+     * @param {number} y2 - End distance from the top edge
+     * @param {object} options - { width, gray }
+     */
+    line(x1, y1, x2, y2, { width = 0.5, gray = 0.7 } = {}) {
+      operations.push(
+        `${gray} G ${width} w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`
+      );
+    }
+  };
+};
+
+/**
+ * Assemble pages into a PDF file
+ * @param {Array} pages - Pages created with createPdfPage
+ * @param {string} title - Document title
+ * @returns {Blob} PDF file
+ */
+export const buildPdf = (pages, title = 'Document') => {
+  const objects = [];
+  const addObject = (content) => {
+    objects.push(content);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title (${encodeText(title)}) >>`);
+
+  const pageIds = pages.map(page => {
+    const stream = page.operations.join('\n');
+    const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Every character is a single byte, so string lengths are byte offsets
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((content, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${content}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+
+  const bytes = new Uint8Array(output.length);
+  for (let i = 0; i < output.length; i++) {
+    bytes[i] = output.charCodeAt(i) & 0xff;
+  }
+  return new Blob([bytes], { type: 'application/pdf' });
+};
@@ -2,10 +2,15 @@
  * Utility functions for handling game pricing based on available keys
  */
 
+import { formatPrice as formatMoney, toCents, fromCents } from './moneyUtils';
+import { getAvailableKeys } from './gameKeyUtils';
+
 /**
  * Get the best price to display for a game based on available keys
  * Prioritizes Steam keys, then other platforms
- * @param {object} game - Game object with game_keys array
+ * Paged catalog responses carry a price_summary instead of the key array; it describes
+ * the same best key, picked by the server with the same rules.
+ * @param {object} game - Game object with game_keys array or price_summary
  * @returns {object} Price information with display data
  */
 export const getBestGamePrice = (game) => {
@@ -20,13 +25,21 @@ export const getBestGamePrice = (game) => {
     isOnSale: false
   };
 
-  // Check if game has keys
-  if (!game || !game.game_keys || !Array.isArray(game.game_keys) || game.game_keys.length === 0) {
+  if (!Array.isArray(game?.game_keys) && game?.price_summary) {
+    const summary = game.price_summary;
+    return summary.available_count > 0 && summary.price != null
+      ? getKeyPriceInfo(summary)
+      : noKeysResult;
+  }
+
+  // Only keys that can still be bought count towards the price
+  const availableKeys = getAvailableKeys(game);
+  if (availableKeys.length === 0) {
     return noKeysResult;
   }
 
   // Sort keys by priority: Steam first, then others by price (lowest first)
-  const sortedKeys = game.game_keys.sort((a, b) => {
+  const sortedKeys = availableKeys.sort((a, b) => {
     // Prioritize Steam keys
     if (a.key_type?.toLowerCase() === 'steam' && b.key_type?.toLowerCase() !== 'steam') {
       return -1;
@@ -45,34 +58,59 @@ export const getBestGamePrice = (game) => {
     return noKeysResult;
   }
 
+  return getKeyPriceInfo(bestKey);
+};
+
+// Price information for the key a game is sold at
+const getKeyPriceInfo = (bestKey) => {
   const currentPrice = bestKey.price;
   const keyType = bestKey.key_type || 'Unknown';
+  const isOnSale = isKeyOnSale(bestKey);
 
-  // For now, we don't have original price data from the API
-  // You can extend this logic when original/MSRP price data is available
   return {
     hasKeys: true,
     displayPrice: formatPrice(currentPrice),
-    originalPrice: null,
+    originalPrice: isOnSale ? bestKey.original_price : null,
     discountedPrice: currentPrice,
     keyType: keyType,
-    savings: null,
-    isOnSale: false,
+    savings: isOnSale ? formatPrice(fromCents(toCents(bestKey.original_price) - toCents(currentPrice))) : null,
+    isOnSale,
     rawPrice: currentPrice
   };
 };
 
+/**
+ * Check whether a key is discounted
+ * Staff set original_price (the regular price) on keys that are on sale
+ * @param {object} gameKey - Game key object
+ * @returns {boolean} True if the key sells below its original price
+ */
+export const isKeyOnSale = (gameKey) => {
+  return gameKey?.original_price != null &&
+    gameKey.price != null &&
+    toCents(gameKey.original_price) > toCents(gameKey.price);
+};
+
+/**
+ * Check whether a game has any discounted key available
+ * With only a price_summary, this reflects the best key
+ * @param {object} game - Game object with game_keys array or price_summary
+ * @returns {boolean} True if an available key is on sale
+ */
+export const isGameOnSale = (game) => {
+  if (!Array.isArray(game?.game_keys) && game?.price_summary) {
+    return game.price_summary.available_count > 0 && isKeyOnSale(game.price_summary);
+  }
+  return getAvailableKeys(game).some(isKeyOnSale);
+};
+
 /**
  * Format price for display
  * @param {number} price - Price value
  * @returns {string} Formatted price string
  */
 export const formatPrice = (price) => {
-  if (price == null || isNaN(price)) {
-    return 'Price unavailable';
-  }
-  
-  return `$${Number(price).toFixed(2)}`;
+  return formatMoney(price);
 };
 
 /**
@@ -81,11 +119,7 @@ export const formatPrice = (price) => {
  * @returns {Array<string>} Array of available key types/platforms
  */
 export const getAvailablePlatforms = (game) => {
-  if (!game || !game.game_keys || !Array.isArray(game.game_keys)) {
-    return [];
-  }
-
-  const platforms = game.game_keys
+  const platforms = getAvailableKeys(game)
     .map(key => key.key_type)
     .filter(platform => platform && platform.trim() !== '')
     .filter((platform, index, self) => self.indexOf(platform) === index); // Remove duplicates
@@ -99,26 +133,18 @@ export const getAvailablePlatforms = (game) => {
  * @returns {boolean} True if Steam keys are available
  */
 export const hasSteamKeys = (game) => {
-  if (!game || !game.game_keys || !Array.isArray(game.game_keys)) {
-    return false;
-  }
-
-  return game.game_keys.some(key => 
+  return getAvailableKeys(game).some(key => 
     key.key_type?.toLowerCase() === 'steam' && key.price != null
   );
 };
 
 /**
- * Get pricing information for all platforms
+ * Get pricing information for all platforms with available keys
  * @param {object} game - Game object with game_keys array
  * @returns {Array<object>} Array of pricing info for each platform
  */
 export const getAllPlatformPrices = (game) => {
-  if (!game || !game.game_keys || !Array.isArray(game.game_keys)) {
-    return [];
-  }
-
-  return game.game_keys
+  return getAvailableKeys(game)
     .filter(key => key.price != null)
     .map(key => ({
       keyType: key.key_type || 'Unknown',
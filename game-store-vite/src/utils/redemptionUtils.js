@@ -0,0 +1,179 @@
+/**
+ * Utility functions for helping customers redeem purchased keys
+ * Built-in platforms cover the common stores; staff can add platforms or
+ * replace the built-in instructions through the redemption_platforms setting.
+ */
+
+import { normalizeKeyType } from './gameKeyUtils';
+
+// Placeholder replaced with the customer's key in activation URLs
+const KEY_PLACEHOLDER = '{key}';
+
+/**
+ * Built-in redemption instructions, keyed by KEY_TYPES value.
+ * url opens the platform's redeem page; use {key} where the page accepts the key directly.
+ */
+export const REDEMPTION_PLATFORMS = {
+  steam: {
+    name: 'Steam',
+    url: 'https://store.steampowered.com/account/registerkey?key={key}',
+    steps: [
+      'Open the activation link, or launch Steam and choose Games > Activate a Product on Steam.',
+      'Sign in to your Steam account.',
+      'Paste your key if it is not already filled in, accept the Steam Subscriber Agreement and click Continue.',
+      'The game is added to your Library, ready to install.'
+    ]
+  },
+  gog: {
+    name: 'GOG',
+    url: 'https://www.gog.com/redeem/{key}',
+    steps: [
+      'Open the activation link, or go to gog.com/redeem.',
+      'Sign in to your GOG account.',
+      'Check the key, click Continue and then Redeem.',
+      'The game appears in your GOG library and in GOG Galaxy.'
+    ]
+  },
+  epic: {
+    name: 'Epic Games',
+    url: 'https://www.epicgames.com/store/redeem',
+    steps: [
+      'Open the redeem page, or in the Epic Games Launcher click your profile and choose Redeem Code.',
+      'Sign in to your Epic Games account.',
+      'Paste your key and click Redeem.',
+      'The game is added to your Library.'
+    ]
+  },
+  origin: {
+    name: 'EA app (Origin)',
+    url: '',
+    steps: [
+      'Open the EA app and sign in to your EA account.',
+      'Open the menu in the top-left corner and choose Redeem code.',
+      'Paste your key and click Next.',
+      'The game is added to your Library.'
+    ]
+  },
+  uplay: {
+    name: 'Ubisoft Connect',
+    url: '',
+    steps: [
+      'Open Ubisoft Connect and sign in to your Ubisoft account.',
+      'Open the menu in the top-left corner and choose Activate Key.',
+      'Paste your key and click Activate.',
+      'The game is added to your Games list.'
+    ]
+  },
+  'battle.net': {
+    name: 'Battle.net',
+    url: 'https://account.battle.net/codes',
+    steps: [
+      'Open the redeem page and sign in to your Battle.net account.',
+      'Paste your key and click Redeem.',
+      'Install the game from the Battle.net app.'
+    ]
+  },
+  microsoft: {
+    name: 'Microsoft Store',
+    url: 'https://redeem.microsoft.com',
+    steps: [
+      'Open the redeem page and sign in to your Microsoft account.',
+      'Paste your 25-character code and click Next.',
+      'Confirm to add the game to your account, then install it from the Microsoft Store.'
+    ]
+  },
+  xbox: {
+    name: 'Xbox',
+    url: 'https://redeem.microsoft.com',
+    steps: [
+      'Open the redeem page and sign in with the Microsoft account you use on Xbox.',
+      'Paste your 25-character code and click Next.',
+      'Confirm, and the game is ready to install on your console or PC.',
+      'On a console you can also press the Xbox button, go to Store and choose Redeem.'
+    ]
+  },
+  playstation: {
+    name: 'PlayStation',
+    url: '',
+    steps: [
+      'On your console open PlayStation Store, or sign in to the PlayStation website.',
+      'Choose Redeem Codes from the store menu or your account menu.',
+      'Enter your 12-character code and confirm.',
+      'The game appears in your Game Library, ready to download.'
+    ]
+  },
+  nintendo: {
+    name: 'Nintendo eShop',
+    url: '',
+    steps: [
+      'On your Nintendo Switch open Nintendo eShop and select the account to use.',
+      'Choose Enter Code from the menu on the left.',
+      'Enter your 16-character code and select OK.',
+      'The game starts downloading to your console.'
+    ]
+  }
+};
+
+// Instructions for platforms we know nothing about
+const GENERIC_PLATFORM = {
+  name: '',
+  url: '',
+  steps: [
+    'Open the store or launcher for this platform and sign in.',
+    'Look for an option such as Redeem Code or Activate Product.',
+    'Paste your key and follow the instructions.'
+  ]
+};
+
+/**
+ * Normalize a key type for registry lookups, keeping unknown types as entered
+ * @param {string} keyType - Raw key type
+ * @returns {string} Registry key
+ */
+const getPlatformId = (keyType) => {
+  return normalizeKeyType(keyType) || (keyType || '').trim().toLowerCase();
+};
+
+/**
+ * Get the redemption instructions for a key type
+ * Staff-defined platforms (from store settings) take priority over the built-in ones.
+ * @param {string} keyType - Key type of the purchased key
+ * @param {Array} customPlatforms - Staff-defined platforms [{ key_type, name, url, steps }]
+ * @returns {object} Platform { name, url, steps }
+ */
+export const getRedemptionPlatform = (keyType, customPlatforms = []) => {
+  const platformId = getPlatformId(keyType);
+  const custom = (customPlatforms || []).find(platform => getPlatformId(platform.key_type) === platformId);
+  const builtIn = REDEMPTION_PLATFORMS[platformId];
+
+  if (custom) {
+    const steps = (custom.steps || []).filter(step => step.trim());
+    return {
+      name: custom.name || builtIn?.name || keyType,
+      url: custom.url || '',
+      steps: steps.length > 0 ? steps : (builtIn || GENERIC_PLATFORM).steps
+    };
+  }
+
+  return builtIn || { ...GENERIC_PLATFORM, name: keyType || 'this platform' };
+};
+
+/**
+ * Build the activation link for a key
+ * @param {object} platform - Platform from getRedemptionPlatform
+ * @param {string} key - Game key
+ * @returns {string|null} URL, or null when the platform has no web redemption
+ */
+export const getRedemptionUrl = (platform, key) => {
+  if (!platform?.url) return null;
+  return platform.url.split(KEY_PLACEHOLDER).join(encodeURIComponent(key));
+};
+
+/**
+ * Check whether a platform's link fills in the key for the customer
+ * @param {object} platform - Platform from getRedemptionPlatform
+ * @returns {boolean} True when the URL contains the key placeholder
+ */
+export const isOneClickRedemption = (platform) => {
+  return Boolean(platform?.url?.includes(KEY_PLACEHOLDER));
+};
@@ -0,0 +1,73 @@
+/**
+ * Utility functions for cart key reservations (holds)
+ */
+
+// Countdowns turn urgent once less than this much time is left
+export const RESERVATION_WARNING_MS = 2 * 60 * 1000;
+
+/**
+ * Get when a cart item's hold runs out
+ * @param {object} item - Cart item
+ * @returns {Date|null} Expiry time, or null when the key is not held
+ */
+export const getReservationExpiry = (item) => {
+  const value = item?.reserved_until;
+  if (!value) return null;
+
+  const expiry = new Date(value);
+  return isNaN(expiry.getTime()) ? null : expiry;
+};
+
+/**
+ * Get the milliseconds left on a hold
+ * @param {Date|null} expiry - Expiry time
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Remaining milliseconds (never negative), or null without a hold
+ */
+export const getReservationRemaining = (expiry, now = Date.now()) => {
+  if (!expiry) return null;
+  return Math.max(0, expiry.getTime() - now);
+};
+
+/**
+ * Check whether a cart item's hold has run out
+ * @param {object} item - Cart item
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True when the item was held and the hold has expired
+ */
+export const isReservationExpired = (item, now = Date.now()) => {
+  return getReservationRemaining(getReservationExpiry(item), now) === 0;
+};
+
+/**
+ * Check whether a cart item's hold can still be extended
+ * @param {object} item - Cart item
+ * @returns {boolean} True when the item is held and has not been extended yet
+ */
+export const canExtendReservation = (item) => {
+  return Boolean(getReservationExpiry(item)) && !item.reservation_extended;
+};
+
+/**
+ * Get the hold that runs out first among cart items
+ * @param {Array} items - Cart items
+ * @returns {Date|null} Earliest expiry, or null when nothing is held
+ */
+export const getEarliestReservationExpiry = (items) => {
+  return (items || [])
+    .map(getReservationExpiry)
+    .filter(Boolean)
+    .reduce((earliest, expiry) => (!earliest || expiry < earliest ? expiry : earliest), null);
+};
+
+/**
+ * Format remaining hold time as a countdown
+ * @param {number} ms - Remaining milliseconds
+ * @returns {string} Countdown like "14:05"
+ */
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.ceil(Math.max(0, ms) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
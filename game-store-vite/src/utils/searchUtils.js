@@ -0,0 +1,244 @@
+/**
+ * Utility functions for searching the game catalog
+ * The server decides which games match a query. These helpers rank the candidates it
+ * returns for typeahead suggestions, matching every search word against game names,
+ * categories, platforms and descriptions with small typos tolerated, and highlight matches.
+ */
+
+import { KEY_TYPES, normalizeKeyType, getAvailableKeys } from './gameKeyUtils';
+
+// Wait after the last keystroke before updating suggestions
+export const SEARCH_DEBOUNCE_MS = 250;
+export const MIN_SEARCH_LENGTH = 2;
+
+// Server candidates fetched for the typeahead, and results per page on the search page
+export const SEARCH_SUGGESTION_CANDIDATES = 8;
+export const SEARCH_PAGE_SIZE = 20;
+
+// How much a match in each field counts towards relevance
+const FIELD_WEIGHTS = { name: 3, category: 1.5, platform: 1.5, description: 0.5 };
+
+// How well a word matched, best first
+const MATCH_SCORES = { exact: 1, prefix: 0.8, substring: 0.5, typo: 0.4 };
+
+/**
+ * Lowercase text and strip accents and punctuation so "Pokémon: Red" matches "pokemon red"
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export const normalizeSearchText = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, ' ');
+};
+
+/**
+ * Split a search query into normalized words
+ * @param {string} query - Search query
+ * @returns {Array} Search words
+ */
+export const getSearchTerms = (query) => {
+  return normalizeSearchText(query).split(' ').filter(Boolean);
+};
+
+// Edit distance between two words, giving up once it exceeds max
+const getEditDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Longer words may contain more typos
+const getTypoAllowance = (term) => {
+  if (term.length <= 3) return 0;
+  return term.length <= 6 ? 1 : 2;
+};
+
+/**
+ * Find how a search word matches a single word of text
+ * @param {string} term - Normalized search word
+ * @param {string} word - Normalized word of text
+ * @returns {string|null} Match type from MATCH_SCORES, or null
+ */
+const matchWord = (term, word) => {
+  if (word === term) return 'exact';
+  if (word.startsWith(term)) return 'prefix';
+  if (term.length >= 3 && word.includes(term)) return 'substring';
+
+  const allowance = getTypoAllowance(term);
+  if (allowance === 0) return null;
+  // Compare against the start of longer words too, so "witchr" still suggests "witcher 3"
+  const candidate = word.length > term.length ? word.slice(0, term.length + 1) : word;
+  if (getEditDistance(term, word, allowance) <= allowance || getEditDistance(term, candidate, allowance) <= allowance) {
+    return 'typo';
+  }
+  return null;
+};
+
+/**
+ * Score how well a search word matches a piece of text
+ * @param {string} term - Normalized search word
+ * @param {string} text - Text to search
+ * @returns {number} Best match score, 0 when nothing matched
+ */
+const scoreTerm = (term, text) => {
+  return normalizeSearchText(text).split(' ').filter(Boolean).reduce((best, word) => {
+    const match = matchWord(term, word);
+    return match ? Math.max(best, MATCH_SCORES[match]) : best;
+  }, 0);
+};
+
+/**
+ * Get the platform names a game has keys for
+ * @param {object} game - Game with game_keys, or a price_summary listing its platforms
+ * @returns {Array} Platform labels
+ */
+export const getGamePlatforms = (game) => {
+  const keyTypes = !Array.isArray(game?.game_keys) && game?.price_summary
+    ? (game.price_summary.platforms || [])
+    : getAvailableKeys(game).map(key => key.key_type);
+  const platforms = keyTypes.map(keyType => (
+    KEY_TYPES.find(type => type.value === normalizeKeyType(keyType))?.label || keyType
+  ));
+  return [...new Set(platforms.filter(Boolean))];
+};
+
+// Resolve a game's category name from the game itself or the category list
+const getCategoryName = (game, categories) => {
+  return game.category?.name || categories.find(category => category.id === game.category_id)?.name || '';
+};
+
+/**
+ * Score a game against search words. Every word has to match somewhere.
+ * @param {object} game - Game object
+ * @param {Array} terms - Normalized search words
+ * @param {Array} categories - Categories, used when games only carry category_id
+ * @returns {number} Relevance score, 0 when the game does not match
+ */
+const scoreGame = (game, terms, categories) => {
+  const fields = {
+    name: game.name || '',
+    category: getCategoryName(game, categories),
+    platform: getGamePlatforms(game).join(' '),
+    description: game.description || ''
+  };
+
+  let score = 0;
+  for (const term of terms) {
+    const termScore = Math.max(
+      ...Object.entries(fields).map(([field, text]) => scoreTerm(term, text) * FIELD_WEIGHTS[field])
+    );
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+
+  // Prefer games whose name is, or starts with, the whole query
+  const name = normalizeSearchText(fields.name).trim().replace(/\s+/g, ' ');
+  const query = terms.join(' ');
+  if (name === query) score += 5;
+  else if (name.startsWith(query)) score += 2;
+
+  return score;
+};
+
+/**
+ * Order the games the server matched for a query, most relevant first
+ * Nothing is dropped: games the server matched on something we can't score here
+ * keep their server order after the ones we can.
+ * @param {Array} games - Server search candidates, in server order
+ * @param {string} query - Search query
+ * @param {Array} categories - Categories, used when games only carry category_id
+ * @returns {Array} The same games, reordered
+ */
+export const rankSearchResults = (games, query, categories = []) => {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) return games;
+
+  return games
+    .map((game, index) => ({ game, index, score: scoreGame(game, terms, categories) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(result => result.game);
+};
+
+/**
+ * Build typeahead suggestions for a query
+ * @param {string} query - Search query
+ * @param {Array} games - Server search candidates for the query
+ * @param {Array} categories - Active categories
+ * @param {number} limit - Maximum game suggestions
+ * @returns {Array} Suggestions { type: 'game' | 'category' | 'platform', label, to }
+ */
+export const getSearchSuggestions = (query, games, categories = [], limit = 5) => {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) return [];
+
+  const matchesAll = (text) => terms.every(term => scoreTerm(term, text) > 0);
+
+  const gameSuggestions = rankSearchResults(games, query, categories)
+    .slice(0, limit)
+    .map(game => ({ type: 'game', label: game.name || `Game ${game.id}`, to: `/game/${game.id}` }));
+
+  const categorySuggestions = categories
+    .filter(category => matchesAll(category.name))
+    .slice(0, 3)
+    .map(category => ({ type: 'category', label: category.name, to: `/games?category=${category.id}` }));
+
+  const candidatePlatforms = new Set(games.flatMap(getGamePlatforms));
+  const platformSuggestions = [...candidatePlatforms]
+    .filter(platform => matchesAll(platform))
+    .slice(0, 3)
+    .map(platform => ({ type: 'platform', label: platform, to: `/search?q=${encodeURIComponent(platform)}` }));
+
+  return [...gameSuggestions, ...categorySuggestions, ...platformSuggestions];
+};
+
+/**
+ * Split text into highlighted and plain parts for a query
+ * Exact and partial matches highlight the matching letters; typo matches highlight the whole word.
+ * @param {string} text - Text to display
+ * @param {string} query - Search query
+ * @returns {Array} Parts { text, match }
+ */
+export const getHighlightParts = (text, query) => {
+  const source = String(text || '');
+  const terms = getSearchTerms(query);
+  if (!source || terms.length === 0) return [{ text: source, match: false }];
+
+  // Normalize one character at a time so positions always line up with the original text
+  const normalized = source.split('').map(char => normalizeSearchText(char)[0] || ' ').join('');
+  const highlighted = new Array(source.length).fill(false);
+
+  for (const { 0: word, index } of normalized.matchAll(/[a-z0-9]+/g)) {
+    for (const term of terms) {
+      const match = matchWord(term, word);
+      if (!match) continue;
+      const start = match === 'typo' ? 0 : word.indexOf(term);
+      const length = match === 'typo' ? word.length : term.length;
+      highlighted.fill(true, index + start, index + start + length);
+    }
+  }
+
+  return highlighted.reduce((parts, isMatch, i) => {
+    const last = parts[parts.length - 1];
+    if (last && last.match === isMatch) {
+      last.text += source[i];
+    } else {
+      parts.push({ text: source[i], match: isMatch });
+    }
+    return parts;
+  }, []);
+};
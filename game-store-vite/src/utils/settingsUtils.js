@@ -0,0 +1,45 @@
+/**
+ * Utility functions for store-wide settings
+ */
+
+import { DEFAULT_CURRENCY } from './moneyUtils';
+import { DEFAULT_IMAGE_BASE_URL } from './imageUtils';
+
+// Used until the settings endpoint responds, and whenever it is unavailable
+export const DEFAULT_STORE_SETTINGS = {
+  store_name: 'GameStore',
+  currency: DEFAULT_CURRENCY,
+  support_email: '',
+  image_base_url: DEFAULT_IMAGE_BASE_URL,
+  hero_title: 'Your Digital Game Key Store',
+  hero_subtitle: 'Instant game key delivery • Best prices guaranteed • Secure digital downloads',
+  stats: [
+    { value: '10,000+', label: 'Games Available' },
+    { value: '50,000+', label: 'Happy Customers' },
+    { value: '99.9%', label: 'Uptime' },
+    { value: '24/7', label: 'Customer Support' }
+  ],
+  featured_game_ids: [],
+  reservation_minutes: 15,
+  // Invoices: prices are tax-inclusive, tax_rate is a percentage
+  business_address: '',
+  tax_id: '',
+  tax_label: 'VAT',
+  tax_rate: 0,
+  // Extra or replacement key redemption instructions: [{ key_type, name, url, steps }]
+  redemption_platforms: [],
+  maintenance_mode: false,
+  maintenance_message: ''
+};
+
+/**
+ * Fill in missing or null settings with their defaults
+ * @param {object} data - Settings returned by the API
+ * @returns {object} Complete settings object
+ */
+export const mergeStoreSettings = (data) => {
+  const provided = Object.fromEntries(
+    Object.entries(data || {}).filter(([, value]) => value != null)
+  );
+  return { ...DEFAULT_STORE_SETTINGS, ...provided };
+};
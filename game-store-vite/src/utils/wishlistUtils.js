@@ -0,0 +1,82 @@
+/**
+ * Utility functions for the wishlist and its price-drop / back-in-stock notifications
+ * The server sends the notifications; these helpers cover what the storefront shows and validates.
+ */
+
+import { getBestGamePrice } from './priceUtils';
+import { toCents, fromCents } from './moneyUtils';
+
+/**
+ * Notification types the server sends for wishlisted games
+ */
+export const NOTIFICATION_TYPES = {
+  price_drop: { label: 'Price drop', icon: '💸' },
+  back_in_stock: { label: 'Back in stock', icon: '📦' }
+};
+
+// How often the header checks for new in-app notifications
+export const NOTIFICATION_POLL_MS = 60 * 1000;
+
+// Preferences for a newly wishlisted game: notify in the app about both events, no email
+export const DEFAULT_WISHLIST_PREFERENCES = {
+  target_price: null,
+  notify_price_drop: true,
+  notify_back_in_stock: true,
+  notify_in_app: true,
+  notify_email: false
+};
+
+/**
+ * Find the wishlist item for a game
+ * @param {Array} items - Wishlist items
+ * @param {number|string} gameId - Game ID
+ * @returns {object|null} Wishlist item or null
+ */
+export const findWishlistItem = (items, gameId) => {
+  return items.find(item => String(item.game_id ?? item.game?.id) === String(gameId)) || null;
+};
+
+/**
+ * Get the game of a wishlist item
+ * @param {object} item - Wishlist item
+ * @returns {object} Game object (at least { id })
+ */
+export const getWishlistGame = (item) => {
+  return item.game || { id: item.game_id };
+};
+
+/**
+ * Check whether a wishlisted game's best price has reached the user's target
+ * @param {object} item - Wishlist item with game and target_price
+ * @returns {boolean} True if the game can be bought at or below the target price
+ */
+export const isAtTargetPrice = (item) => {
+  if (item.target_price == null) return false;
+  const priceInfo = getBestGamePrice(getWishlistGame(item));
+  return priceInfo.hasKeys && toCents(priceInfo.rawPrice) <= toCents(item.target_price);
+};
+
+/**
+ * Parse a target price typed by the user
+ * @param {string} value - Input value; empty clears the target
+ * @returns {object} { value, error } where value is a number or null
+ */
+export const parseTargetPrice = (value) => {
+  const trimmed = String(value ?? '').trim();
+  if (trimmed === '') return { value: null, error: null };
+
+  const price = parseFloat(trimmed);
+  if (isNaN(price) || price < 0) {
+    return { value: null, error: 'Enter a target price of 0 or more' };
+  }
+  return { value: fromCents(toCents(price)), error: null };
+};
+
+/**
+ * Count the notifications the user hasn't read yet
+ * @param {Array} notifications - Notifications
+ * @returns {number} Unread count
+ */
+export const getUnreadCount = (notifications) => {
+  return notifications.filter(notification => !notification.read_at).length;
+};